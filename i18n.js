@@ -0,0 +1,2008 @@
+// ===================================
+// Language Packs
+// ===================================
+
+// Messages of the interface, reports and receipts by language; {name} marks a value filled in by t() in script.js
+const LANGUAGE_PACKS = {
+    ar: {
+        // Application and navigation
+        'app.title': 'نظام إدارة العقارات الذكي',
+        'app.brand': 'نظام إدارة العقارات',
+        'app.loadFailed': 'تعذر تحميل البيانات: {error}',
+        'update.available': 'يتوفر إصدار جديد من التطبيق.',
+        'update.reload': 'تحديث الآن',
+        'update.later': 'لاحقاً',
+        'nav.dashboard': 'لوحة التحكم',
+        'nav.properties': 'العقارات',
+        'nav.tenants': 'المستأجرون',
+        'nav.expenses': 'المصاريف',
+        'nav.payments': 'المدفوعات',
+        'nav.reports': 'التقارير',
+        'nav.history': 'السجل',
+        'nav.settings': 'الإعدادات',
+
+        // Shared labels
+        'common.undo': 'تراجع',
+        'common.property': 'العقار',
+        'common.tenant': 'المستأجر',
+        'common.rentDue': 'الإيجار المستحق',
+        'common.paid': 'المدفوع',
+        'common.ownerExpenses': 'مصاريف المالك',
+        'common.net': 'الصافي',
+        'common.due': 'المستحق',
+        'common.balanceWithArrears': 'الرصيد مع المتأخرات',
+        'common.status': 'الحالة',
+        'common.dueDate': 'تاريخ الاستحقاق',
+        'common.amount': 'المبلغ',
+        'common.endDate': 'تاريخ الانتهاء',
+        'common.search': 'بحث',
+        'common.all': 'الكل',
+        'common.actions': 'الإجراءات',
+        'common.phone': 'الهاتف',
+        'common.chooseProperty': 'اختر العقار',
+        'common.selectProperty': '-- اختر عقاراً --',
+        'common.monthAndYear': 'الشهر والسنة',
+        'common.currency': 'العملة',
+        'common.cancelEdit': 'إلغاء التعديل',
+        'common.allProperties': 'كل العقارات',
+        'common.fromMonth': 'من شهر',
+        'common.toMonth': 'إلى شهر',
+        'common.paidOn': 'تاريخ الدفع',
+        'common.paymentMethod': 'طريقة الدفع',
+        'common.period': 'الفترة',
+        'common.month': 'الشهر',
+        'common.date': 'التاريخ',
+        'common.category': 'الفئة',
+        'common.add': 'إضافة',
+        'common.notesOptional': 'ملاحظات (اختياري)',
+        'common.cancel': 'إلغاء',
+        'common.edit': 'تعديل',
+        'common.delete': 'حذف',
+        'common.listSeparator': '، ',
+        'common.noProperties': 'لا توجد عقارات',
+        'common.total': 'الإجمالي',
+        'common.today': 'اليوم',
+        'common.days': '{days} يوم',
+        'common.deletedProperty': 'عقار محذوف',
+        'common.fillRequired': 'يرجى ملء جميع الحقول المطلوبة',
+        'common.previous': 'السابق',
+        'common.next': 'التالي',
+        'common.deletedTenant': 'مستأجر محذوف',
+        'common.none': 'لا يوجد',
+        'common.grandTotal': 'المجموع الكلي',
+
+        // Dashboard
+        'dashboard.totalProperties': 'إجمالي العقارات',
+        'dashboard.rentedProperties': 'عقارات مؤجرة',
+        'dashboard.vacantProperties': 'عقارات شاغرة',
+        'dashboard.monthlyIncome': 'إجمالي الدخل الشهري',
+        'dashboard.totalExpenses': 'إجمالي المصاريف',
+        'dashboard.netProfit': 'صافي الأرباح',
+        'dashboard.collectedIncome': 'الإيجار المحصل هذا الشهر',
+        'dashboard.outstandingBalance': 'الإيجارات غير المحصلة',
+        'dashboard.monthlyTrend': 'التطور الشهري',
+        'dashboard.last12Months': 'آخر 12 شهراً',
+        'dashboard.last24Months': 'آخر 24 شهراً',
+        'dashboard.chartHint': 'اضغط على أي شهر لعرض تفاصيل العقارات',
+        'dashboard.expensesByCategory': 'المصاريف حسب الفئة',
+        'dashboard.noExpensesInPeriod': 'لا توجد مصاريف في هذه الفترة',
+        'dashboard.occupancyTrend': 'تطور نسبة الإشغال',
+        'dashboard.collectionStatus': 'حالة تحصيل الإيجار لهذا الشهر',
+        'dashboard.dueThisWeek': 'إيجارات مستحقة هذا الأسبوع',
+        'dashboard.overdueRents': 'إيجارات متأخرة',
+        'dashboard.daysLate': 'أيام التأخير',
+        'dashboard.overdueAmount': 'المبلغ المتأخر',
+        'dashboard.expiringLeases': 'عقود تقترب من الانتهاء',
+        'dashboard.within30Days': 'خلال 30 يوماً:',
+        'dashboard.within60Days': 'خلال 60 يوماً:',
+        'dashboard.within90Days': 'خلال 90 يوماً:',
+        'dashboard.daysLeft': 'الأيام المتبقية',
+        'dashboard.quickActions': 'الإجراءات السريعة',
+        'dashboard.recordExpenses': 'تسجيل مصاريف',
+        'dashboard.viewReports': 'عرض التقارير',
+        'dashboard.backup': 'نسخ احتياطي',
+        'dashboard.missingRates': 'لا يوجد سعر صرف للعملات: {currencies}. تُحسب مبالغها في الإجماليات كما هي دون تحويل إلى {base}؛ أضف أسعار الصرف من صفحة الإعدادات.',
+        'dashboard.occupancyRate': 'نسبة الإشغال %',
+        'dashboard.drillDownTitle': 'تفاصيل شهر {month}',
+        'dashboard.noneDueSoon': 'لا توجد إيجارات مستحقة خلال {days} أيام',
+        'dashboard.inDays': 'بعد {days} يوم',
+        'dashboard.noneOverdue': 'لا توجد إيجارات متأخرة',
+        'dashboard.since': 'منذ {date}',
+        'dashboard.monthsCount': '({months} أشهر)',
+        'dashboard.noExpiringLeases': 'لا توجد عقود تنتهي خلال 90 يوماً',
+        'dashboard.noneDueThisMonth': 'لا توجد إيجارات مستحقة هذا الشهر',
+
+        // Properties
+        'property.addTitle': 'إضافة عقار جديد',
+        'property.name': 'اسم العقار',
+        'property.monthlyRent': 'الإيجار الشهري',
+        'property.rentalDate': 'تاريخ التأجير',
+        'property.tenantChangeDate': 'تاريخ تغيير المستأجر',
+        'property.tenantChangeDateHint': 'يغادر المستأجر الحالي ويبدأ سكن المستأجر الجديد في هذا التاريخ',
+        'property.tenantChangeTooEarly': 'لا يمكن أن يسبق تاريخ تغيير المستأجر تاريخ سكن المستأجر الحالي ({date})',
+        'property.noTenant': '-- بدون مستأجر --',
+        'property.newTenantName': 'اسم المستأجر الجديد',
+        'property.monthlyRentAmount': 'مبلغ الإيجار الشهري',
+        'property.paymentDay': 'تاريخ الدفع الشهري',
+        'property.status': 'حالة العقار',
+        'property.save': 'حفظ العقار',
+        'property.paymentDayPlaceholder': 'مثال: 1 أو 15 أو 30',
+        'property.rentHint': 'إيجار العقود المسجلة يحل محل هذا المبلغ للأشهر التي تغطيها',
+        'property.currencyLocked': 'لا يمكن تغيير عملة العقار بعد تسجيل دفعات بها',
+        'property.editTitle': 'تعديل العقار',
+        'property.newTenantOption': '+ مستأجر جديد',
+        'property.tenantRequired': 'يرجى اختيار المستأجر للعقار المؤجر',
+        'property.newTenantRequired': 'يرجى إدخال اسم المستأجر الجديد',
+        'property.added': 'تم إضافة العقار بنجاح',
+        'property.updated': 'تم تحديث العقار بنجاح',
+        'property.updateFailed': 'تعذر تحديث العقار؛ لم تُحفظ التغييرات',
+        'property.deleteConfirm': 'هل أنت متأكد من حذف هذا العقار؟ سيتم نقله مع مصاريفه إلى سلة المحذوفات.',
+        'property.deleted': 'تم حذف العقار بنجاح، ويمكن استعادته من صفحة السجل',
+        'properties.title': 'إدارة العقارات',
+        'properties.minRent': 'الإيجار من',
+        'properties.maxRent': 'الإيجار إلى',
+        'properties.perPage': 'لكل صفحة',
+        'properties.empty': 'لا توجد عقارات مسجلة حتى الآن',
+        'properties.searchPlaceholder': 'اسم العقار أو المستأجر أو الملاحظات',
+        'properties.resetFilters': 'مسح التصفية',
+        'properties.count': '{shown} من {total} عقار',
+        'properties.noMatches': 'لا توجد عقارات مطابقة للبحث',
+        'properties.occupants': 'السكان',
+        'properties.leases': 'العقود',
+        'properties.history': 'السجل',
+        'propertyStatus.rented': 'مؤجر',
+        'propertyStatus.vacant': 'شاغر',
+
+        // Tenants and occupancy
+        'tenants.title': 'إدارة المستأجرين',
+        'tenants.currentProperty': 'العقار الحالي',
+        'tenants.empty': 'لا يوجد مستأجرون مسجلون حتى الآن',
+        'tenants.notLiving': 'لا يسكن حالياً',
+        'tenant.addTitle': 'إضافة مستأجر جديد',
+        'tenant.name': 'اسم المستأجر',
+        'tenant.nationalId': 'رقم الهوية',
+        'tenant.phone': 'رقم الهاتف',
+        'tenant.emailOptional': 'البريد الإلكتروني (اختياري)',
+        'tenant.save': 'حفظ المستأجر',
+        'tenant.editTitle': 'تعديل بيانات المستأجر',
+        'tenant.nameRequired': 'يرجى إدخال اسم المستأجر',
+        'tenant.added': 'تم إضافة المستأجر بنجاح',
+        'tenant.updated': 'تم تحديث بيانات المستأجر بنجاح',
+        'tenant.deleteConfirm': 'هل أنت متأكد من حذف هذا المستأجر؟',
+        'tenant.deleted': 'تم حذف المستأجر بنجاح',
+        'tenant.hasOccupancy': 'لا يمكن حذف مستأجر له سجل سكن، فالتقارير السابقة تعتمد عليه',
+        'occupancy.title': 'سجل السكان',
+        'occupancy.moveIn': 'تاريخ السكن',
+        'occupancy.moveOut': 'تاريخ الإخلاء',
+        'occupancy.currentMoveOut': 'تاريخ إخلاء المستأجر الحالي',
+        'occupancy.recordMoveOut': 'تسجيل الإخلاء',
+        'occupancy.modalTitle': 'سجل السكان: {property}',
+        'occupancy.empty': 'لم يسكن هذا العقار أي مستأجر بعد',
+        'occupancy.current': 'ساكن حالياً',
+        'occupancy.moveOutBeforeMoveIn': 'تاريخ الإخلاء لا يمكن أن يسبق تاريخ السكن',
+        'occupancy.moveOutConfirm': 'هل أنت متأكد من تسجيل إخلاء المستأجر الحالي؟',
+        'occupancy.movedOut': 'تم تسجيل الإخلاء بنجاح',
+
+        // Leases
+        'leases.title': 'عقود الإيجار',
+        'leases.duration': 'المدة',
+        'leases.escalation': 'الزيادة عند التجديد',
+        'leases.addTitle': 'تسجيل عقد جديد للمستأجر الحالي',
+        'leases.startDate': 'تاريخ بداية العقد',
+        'leases.startDateHint': 'إذا بدأ العقد بعد أول الشهر تُحسب أجرة ذلك الشهر بالتناسب مع الأيام',
+        'leases.durationMonths': 'المدة (بالأشهر)',
+        'leases.escalationValue': 'قيمة الزيادة',
+        'leases.save': 'حفظ العقد',
+        'leases.modalTitle': 'عقود الإيجار: {property}',
+        'leases.empty': 'لا توجد عقود مسجلة لهذا العقار',
+        'leases.until': 'حتى {date} ({months} شهر)',
+        'leases.renew': 'تجديد',
+        'leases.required': 'يرجى إدخال تاريخ البداية والمدة والإيجار',
+        'leases.added': 'تم تسجيل العقد بنجاح',
+        'leases.renewConfirm': 'هل تريد تجديد العقد لمدة {months} شهر إضافية؟',
+        'leases.renewed': 'تم تجديد العقد حتى {date} بإيجار {rent}',
+        'leases.deleteConfirm': 'هل أنت متأكد من حذف هذا العقد؟',
+        'leases.deleted': 'تم حذف العقد بنجاح',
+        'leaseStatus.upcoming': 'لم يبدأ',
+        'leaseStatus.active': 'ساري',
+        'leaseStatus.expired': 'منتهي',
+        'leaseStatus.renewed': 'مجدد',
+        'escalation.none': 'بدون زيادة',
+        'escalation.fixed': 'مبلغ ثابت',
+        'escalation.percent': 'نسبة مئوية',
+
+        // Expenses
+        'expenses.title': 'تسجيل المصاريف',
+        'expenses.addTitle': 'إضافة مصاريف جديدة',
+        'expenses.lines': 'بنود المصاريف',
+        'expenses.addLine': 'إضافة بند',
+        'expenses.save': 'حفظ المصاريف',
+        'expenses.log': 'سجل المصاريف',
+        'expenses.propertyCurrency': 'عملة العقار',
+        'expenses.propertyMonthRequired': 'يرجى اختيار العقار والشهر',
+        'expenses.lineRequired': 'يرجى إدخال بند مصاريف واحد على الأقل',
+        'expenses.updated': 'تم تحديث المصاريف بنجاح',
+        'expenses.added': 'تم تسجيل المصاريف بنجاح',
+        'expenses.empty': 'لا توجد مصاريف مسجلة',
+        'expenses.noMatches': 'لا توجد مصاريف مطابقة للتصفية',
+        'expenses.entry': 'إدخال {number}: {amount}',
+        'expenses.editTitle': 'تعديل المصاريف',
+        'expenses.update': 'تحديث المصاريف',
+        'expenses.deleteConfirm': 'هل أنت متأكد من حذف هذه المصاريف؟',
+        'expenses.deleted': 'تم حذف المصاريف بنجاح',
+        'category.electricity': 'فاتورة الكهرباء',
+        'category.water': 'فاتورة الماء',
+        'category.internet': 'الإنترنت',
+        'category.cleaning': 'النظافة',
+        'category.guard': 'الحراسة',
+        'category.propertyTax': 'ضريبة العقار',
+        'category.repairs': 'الصيانة والإصلاحات',
+        'category.other': 'مصاريف إضافية',
+        'responsibility.tenant': 'على المستأجر',
+        'responsibility.owner': 'على المالك',
+
+        // Payments and receipts
+        'payments.title': 'تسجيل المدفوعات',
+        'payments.addTitle': 'تسجيل دفعة إيجار',
+        'payments.forMonth': 'عن شهر',
+        'payments.amountPaid': 'المبلغ المدفوع',
+        'payments.referenceOptional': 'رقم المرجع (اختياري)',
+        'payments.save': 'حفظ الدفعة',
+        'payments.log': 'سجل المدفوعات',
+        'payments.required': 'يرجى اختيار العقار والشهر وإدخال المبلغ وتاريخ الدفع',
+        'payments.added': 'تم تسجيل الدفعة بنجاح',
+        'payments.dueHint': 'المستحق: {due} | المدفوع: {paid} | المتأخرات: {arrears} | الرصيد: {balance} {currency}',
+        'payments.empty': 'لا توجد دفعات مسجلة',
+        'payments.forMonthOn': 'عن شهر {month} | بتاريخ {date}',
+        'payments.reference': 'مرجع: {reference}',
+        'payments.receiptNumber': 'إيصال رقم {number}',
+        'payments.reprintReceipt': 'إعادة طباعة الإيصال',
+        'payments.issueReceipt': 'إصدار إيصال',
+        'payments.notFound': 'لم يتم العثور على الدفعة',
+        'payments.deleteConfirm': 'هل أنت متأكد من حذف هذه الدفعة؟',
+        'payments.deleted': 'تم حذف الدفعة بنجاح',
+        'paymentMethod.cash': 'نقداً',
+        'paymentMethod.transfer': 'تحويل بنكي',
+        'paymentMethod.cheque': 'شيك',
+        'paymentMethod.mobile': 'دفع عبر الهاتف',
+        'paymentStatus.paid': 'مدفوع',
+        'paymentStatus.partial': 'مدفوع جزئياً',
+        'paymentStatus.unpaid': 'غير مدفوع',
+        'paymentStatus.overdue': 'متأخر',
+        'paymentStatus.arrears': 'عليه متأخرات',
+        'paymentStatus.notDue': 'لا إيجار مستحق',
+        'receipt.fileName': 'إيصال_{number}.pdf',
+        'receipt.duplicateFileName': 'إيصال_{number}_نسخة.pdf',
+        'receipt.duplicate': 'نسخة مكررة',
+        'receipt.printFailed': 'تعذر فتح الإيصال، ولم يُحتسب كطباعة: {error}',
+        'pdf.popupBlocked': 'منع المتصفح فتح نافذة الملف. اسمح بالنوافذ المنبثقة لهذا الموقع ثم أعد المحاولة.',
+        'pdf.openFailed': 'تعذر إنشاء ملف PDF أو فتحه: {error}',
+        'receipt.title': 'إيصال استلام إيجار',
+        'receipt.numberAndDate': 'رقم الإيصال: {number} | تاريخ الإصدار: {date}',
+        'receipt.receivedFrom': 'استلمنا من',
+        'receipt.period': 'عن الفترة',
+        'receipt.amountInWords': 'المبلغ كتابةً',
+        'receipt.recipientSignature': 'توقيع المستلم: ____________________',
+        'receipt.stamp': 'الختم',
+        'receipt.duplicateNote': 'نسخة مكررة من الإيصال الأصلي، طُبعت بتاريخ {date}',
+
+        // Reports
+        'reports.monthlyTitle': 'التقارير الشهرية',
+        'reports.chooseMonth': 'اختر الشهر والسنة',
+        'reports.show': 'عرض التقرير',
+        'reports.choosePropertyAndMonth': 'يرجى اختيار العقار والشهر لعرض التقرير.',
+        'reports.propertyNotFound': 'لم يتم العثور على العقار.',
+        'reports.leasePeriod': 'من {start} إلى {end}',
+        'reports.noLease': 'لا يوجد عقد مسجل',
+        'reports.monthlyReportTitle': 'تقرير الإيجار الشهري',
+        'reports.propertyAndMonth': 'العقار: {property} | الشهر: {month}',
+        'reports.item': 'البند',
+        'reports.value': 'القيمة',
+        'reports.rateNotSet': 'غير محدد',
+        'reports.leaseTerm': 'فترة العقد',
+        'reports.paymentDayOfMonth': 'اليوم {day} من كل شهر',
+        'reports.ownerBorneExpenses': 'مصاريف يتحملها المالك',
+        'reports.ownerNetIncome': 'صافي دخل المالك (الإيجار - مصاريف المالك)',
+        'reports.tenantTotalDue': 'المبلغ الإجمالي المستحق على المستأجر (الإيجار + المصاريف المحمّلة عليه)',
+        'reports.paidThisMonth': 'المدفوع عن هذا الشهر',
+        'reports.previousArrears': 'متأخرات الأشهر السابقة',
+        'reports.remainingBalance': 'الرصيد المتبقي من الإيجار',
+        'reports.paymentStatus': '💳 حالة الدفع:',
+        'reports.reportDate': '📅 تاريخ التقرير:',
+        'reports.system': '🏠 النظام:',
+        'reports.exportPDF': 'تصدير تقرير PDF',
+        'reports.generatedBy': '🏠 بواسطة: {name}',
+        'reports.missingRates': 'تنبيه: لا يوجد سعر صرف للعملات: {currencies}، فمبالغها محسوبة في الإجماليات كما هي دون تحويل إلى {base}.',
+        'reports.fileName': 'تقرير_{property}_{month}.pdf',
+        'reports.propertyNotFoundAlert': 'لم يتم العثور على العقار',
+        'report.footer': 'تم إنشاء هذا التقرير بواسطة نظام إدارة العقارات الذكي',
+        'reportPeriod.month': 'شهر',
+        'reportPeriod.quarter': 'ربع سنة',
+        'reportPeriod.year': 'سنة',
+        'period.quarter': 'الربع {quarter} من {year}',
+        'period.year': 'سنة {year}',
+        'period.fiscalYear': 'السنة المالية {year}/{nextYear}',
+        'monthName.1': 'يناير',
+        'monthName.2': 'فبراير',
+        'monthName.3': 'مارس',
+        'monthName.4': 'أبريل',
+        'monthName.5': 'مايو',
+        'monthName.6': 'يونيو',
+        'monthName.7': 'يوليو',
+        'monthName.8': 'أغسطس',
+        'monthName.9': 'سبتمبر',
+        'monthName.10': 'أكتوبر',
+        'monthName.11': 'نوفمبر',
+        'monthName.12': 'ديسمبر',
+        'portfolio.title': 'تقرير المحفظة العقارية',
+        'portfolio.monthInPeriod': 'شهر ضمن الفترة',
+        'portfolio.show': 'عرض تقرير كل العقارات',
+        'portfolio.collected': 'المحصّل',
+        'portfolio.occupancy': 'الإشغال',
+        'portfolio.note': 'المبالغ بعملة {currency}، والعقارات المؤجرة بعملة أخرى محوّلة بسعر الصرف الساري في كل شهر مع ذكر إيجارها بعملتها الأصلية. أعمدة المصاريف تشمل ما يتحمله المالك وما يُحمّل على المستأجر.',
+        'portfolio.monthlyTotals': 'المجاميع الشهرية',
+        'portfolio.choosePeriod': 'يرجى اختيار الفترة لعرض التقرير.',
+        'portfolio.noProperties': 'لا توجد عقارات مسجلة حتى الآن.',
+        'portfolio.propertyCount': '{count} عقار',
+        'portfolio.ownerNetIncome': '💰 صافي دخل المالك:',
+        'portfolio.fileName': 'تقرير_المحفظة_{from}_{to}.pdf',
+        'statement.title': 'قائمة الدخل السنوية',
+        'statement.year': 'السنة',
+        'statement.yearType': 'نوع السنة',
+        'statement.calendarYear': 'سنة ميلادية (يناير - ديسمبر)',
+        'statement.fiscalYear': 'سنة مالية حسب الإعدادات',
+        'statement.show': 'عرض قائمة الدخل',
+        'statement.collectedRent': 'الإيجار المحصّل',
+        'statement.vacantMonths': 'أشهر الشغور',
+        'statement.vacancyLoss': 'خسارة الشغور',
+        'statement.totalCollectedRent': 'إجمالي الإيجار المحصّل',
+        'statement.deduction': 'يُخصم: {name}',
+        'statement.totalDeductible': 'إجمالي المصاريف القابلة للخصم',
+        'statement.vacancyLossNote': 'خسائر الشغور (للعلم، غير مخصومة)',
+        'statement.netTaxableIncome': 'صافي الدخل الخاضع للضريبة',
+        'statement.invalidYear': 'يرجى إدخال سنة صحيحة.',
+        'statement.periodRange': '{label} ({from} إلى {to})',
+        'statement.exportPDF': 'تصدير PDF',
+        'statement.exportCSV': 'تصدير CSV',
+        'statement.invalidYearAlert': 'يرجى إدخال سنة صحيحة',
+        'statement.fileName': 'قائمة_الدخل_{from}_{to}',
+        'statement.collectedRentOriginal': 'الإيجار المحصّل بعملة العقار',
+        'statement.note': 'المبالغ بعملة {currency}، والمبالغ بعملات أخرى محوّلة بسعر الصرف الساري في تاريخ الدفع أو شهر المصروف. الإيجار محسوب حسب تاريخ التحصيل، والمصاريف المخصومة هي ما يتحمله المالك فقط.',
+        'statement.issuedOn': '📅 تاريخ الإصدار: {date}',
+        'batch.title': 'تقارير جميع العقارات دفعة واحدة',
+        'batch.format': 'طريقة الإخراج',
+        'batch.singlePdf': 'ملف PDF واحد متعدد الصفحات',
+        'batch.zip': 'ملف ZIP بتقرير PDF لكل عقار',
+        'batch.generate': 'إنشاء كل التقارير',
+        'batch.monthRequired': 'يرجى اختيار الشهر',
+        'batch.noProperties': 'لا توجد عقارات مسجلة',
+        'batch.zipUnavailable': 'مكتبة الضغط غير متاحة، يرجى التحقق من الاتصال',
+        'batch.preparing': 'جاري إعداد تقرير {property}',
+        'batch.creatingZip': 'جاري إنشاء ملف ZIP',
+        'batch.creatingPdf': 'جاري إنشاء ملف PDF',
+        'batch.zipFileName': 'تقارير_{month}.zip',
+        'batch.pdfFileName': 'تقارير_{month}.pdf',
+        'batch.done': 'تم إنشاء {created} من {total} تقرير',
+        'batch.fileFailed': 'تعذر إنشاء الملف',
+        'batch.error': 'حدث خطأ أثناء إنشاء الملف: {error}',
+        'batch.failures': 'تعذر إنشاء تقارير العقارات التالية:',
+
+        // Change log
+        'history.undoLast': 'التراجع عن آخر عملية',
+        'history.recycleBin': 'سلة المحذوفات',
+        'history.deletedOn': 'تاريخ الحذف',
+        'history.user': 'المستخدم',
+        'history.expenseCount': 'عدد المصاريف',
+        'history.changeLog': 'سجل التغييرات',
+        'history.retentionNote': 'يُحتفظ بآخر {count} تغيير فقط، وما هو أقدم منها لا يمكن التراجع عنه أو استعادته.',
+        'history.changes': 'التغييرات',
+        'history.noChanges': 'لا توجد تغييرات مسجلة',
+        'history.moreChanges': 'و {count} تغييرات أخرى',
+        'history.recycleBinEmpty': 'سلة المحذوفات فارغة',
+        'history.restore': 'استعادة',
+        'history.propertyTitle': 'سجل تغييرات {property}',
+        'history.nothingToUndo': 'لا توجد عملية للتراجع عنها',
+        'history.undoConfirm': 'سيتم التراجع عن آخر عملية ({time}): {summary}. هل تريد المتابعة؟',
+        'history.undone': 'تم التراجع عن العملية بنجاح',
+        'history.restoreConfirm': 'هل تريد استعادة هذا العقار مع مصاريفه ومدفوعاته؟',
+        'history.restored': 'تم استعادة العقار بنجاح',
+        'changeType.add': 'إضافة',
+        'changeType.update': 'تعديل',
+        'changeType.delete': 'حذف',
+        'collection.properties': 'العقارات',
+        'collection.expenses': 'المصاريف',
+        'collection.payments': 'المدفوعات',
+        'collection.tenants': 'المستأجرون',
+        'collection.occupancies': 'سجلات السكن',
+        'collection.leases': 'العقود',
+        'collection.receipts': 'الإيصالات',
+        'collection.exchangeRates': 'أسعار الصرف',
+        'collection.settings': 'الإعدادات',
+        'field.name': 'الاسم',
+        'field.monthlyRent': 'الإيجار الشهري',
+        'field.rentalDate': 'تاريخ التأجير',
+        'field.paymentDate': 'يوم الدفع',
+        'field.status': 'الحالة',
+        'field.notes': 'ملاحظات',
+        'field.month': 'الشهر',
+        'field.lines': 'بنود المصاريف',
+        'field.amount': 'المبلغ',
+        'field.paidOn': 'تاريخ الدفع',
+        'field.method': 'طريقة الدفع',
+        'field.reference': 'المرجع',
+        'field.nationalId': 'رقم الهوية',
+        'field.phone': 'الهاتف',
+        'field.email': 'البريد الإلكتروني',
+        'field.moveIn': 'تاريخ الدخول',
+        'field.moveOut': 'تاريخ الخروج',
+        'field.startDate': 'بداية العقد',
+        'field.endDate': 'نهاية العقد',
+        'field.currency': 'العملة',
+        'field.rate': 'سعر الصرف',
+        'field.effectiveDate': 'تاريخ السريان',
+        'field.businessName': 'اسم المشروع',
+        'field.userName': 'اسم المستخدم',
+        'field.fiscalYearStart': 'بداية السنة المالية',
+        'field.reportLogo': 'الشعار',
+        'field.reportAddress': 'العنوان',
+        'field.reportPhone': 'الهاتف',
+        'field.reportSignature': 'التوقيع أو الختم',
+        'field.reportAccentColor': 'لون التقارير',
+        'field.reportFooterText': 'نص تذييل التقارير',
+        'field.reportPaperSize': 'حجم الورق',
+        'field.reportOrientation': 'اتجاه الصفحة',
+        'field.number': 'رقم الإيصال',
+        'field.payer': 'الدافع',
+        'field.issuedOn': 'تاريخ الإصدار',
+        'field.printCount': 'عدد مرات الطباعة',
+        'field.expenseCategories': 'فئات المصاريف',
+
+        // Settings
+        'settings.systemTitle': 'إعدادات النظام',
+        'settings.baseCurrency': 'العملة الأساسية',
+        'settings.baseCurrencyHint': 'تُحوَّل إليها إجماليات لوحة التحكم والتقارير المجمّعة',
+        'settings.businessName': 'اسم المشروع/الشركة',
+        'settings.userName': 'اسم المستخدم',
+        'settings.reminderLeadDays': 'التذكير قبل الاستحقاق (أيام)',
+        'settings.reminderLeadDaysHint': 'افصل بين الأيام بفاصلة',
+        'settings.gracePeriodDays': 'فترة السماح (أيام)',
+        'settings.gracePeriodDaysHint': 'يعتبر الإيجار متأخراً بعد انقضائها',
+        'settings.fiscalYearStart': 'بداية السنة المالية',
+        'settings.fiscalYearStartHint': 'يناير يعني السنة الميلادية؛ تُستخدم في قائمة الدخل السنوية',
+        'settings.notifications': 'إشعارات سطح المكتب عند اقتراب موعد الدفع',
+        'settings.save': 'حفظ الإعدادات',
+        'settings.userNameHint': 'يظهر في سجل التغييرات',
+        'settings.currencyRequired': 'يرجى إدخال العملة الأساسية',
+        'settings.invalidDays': 'أيام التذكير وفترة السماح يجب أن تكون أعداداً صحيحة موجبة',
+        'settings.renameCurrencyConfirm': 'هل تريد تحويل العقارات والمصاريف المسجلة بعملة {previous} إلى {currency}؟\nاختر "إلغاء" إذا كانت {currency} عملة مختلفة، فتُحوَّل أسعار الصرف المسجلة إلى {currency}.',
+        'settings.baseCurrencyNeedsRate': 'لا يمكن تحويل أسعار الصرف المسجلة إلى {currency} لعدم وجود سعر صرف له مقابل {previous}. أضف سعر صرف لـ {currency} أولاً ثم غيّر العملة الأساسية.',
+        'settings.saved': 'تم حفظ الإعدادات بنجاح',
+        'settings.languageTitle': 'اللغة والتاريخ',
+        'settings.interfaceLanguage': 'لغة الواجهة',
+        'settings.reportLanguage': 'لغة التقارير والإيصالات',
+        'settings.sameAsInterface': 'نفس لغة الواجهة',
+        'settings.calendar': 'التقويم',
+        'calendar.gregory': 'ميلادي',
+        'calendar.islamic-umalqura': 'هجري (أم القرى) مع الميلادي',
+        'settings.numerals': 'شكل الأرقام',
+        'numerals.latn': 'غربية (0123)',
+        'numerals.arab': 'مشرقية (٠١٢٣)',
+        'settings.languageHint': 'يُحفظ اختيار اللغة وشكل التاريخ على هذا الجهاز',
+        'notifications.unsupported': 'المتصفح لا يدعم الإشعارات',
+        'notifications.denied': 'لم يتم السماح بالإشعارات، يمكن تفعيلها من إعدادات المتصفح',
+        'notifications.dueToday': 'إيجار مستحق اليوم',
+        'notifications.dueInDays': 'إيجار مستحق بعد {days} يوم',
+        'notifications.overdue': 'إيجار متأخر',
+        'branding.title': 'هوية التقارير',
+        'branding.logo': 'الشعار',
+        'branding.address': 'العنوان',
+        'branding.signature': 'التوقيع أو الختم',
+        'branding.footerText': 'نص التذييل',
+        'branding.color': 'اللون',
+        'branding.paperSize': 'حجم الورق',
+        'branding.orientation': 'اتجاه الصفحة',
+        'branding.save': 'حفظ إعدادات التقارير',
+        'branding.removeImage': 'إزالة',
+        'branding.noImage': 'لا توجد صورة',
+        'branding.notImage': 'الملف المختار ليس صورة',
+        'branding.unreadableImage': 'تعذر قراءة الصورة',
+        'branding.invalidColor': 'لون التقارير غير صالح',
+        'branding.saved': 'تم حفظ إعدادات التقارير بنجاح',
+        'orientation.portrait': 'عمودي',
+        'orientation.landscape': 'أفقي',
+        'categories.title': 'فئات المصاريف',
+        'categories.defaultResponsibility': 'يتحملها افتراضياً',
+        'categories.newName': 'اسم فئة جديدة',
+        'categories.nameRequired': 'يرجى إدخال اسم الفئة',
+        'categories.duplicate': 'توجد فئة بهذا الاسم بالفعل',
+        'categories.namePrompt': 'اسم الفئة',
+        'categories.ownerPrompt': 'هل يتحمل المالك هذه الفئة افتراضياً؟ (موافق = المالك، إلغاء = المستأجر)',
+        'categories.deleteConfirm': 'هل أنت متأكد من حذف هذه الفئة؟',
+        'categories.archived': 'الفئة مستخدمة في مصاريف سابقة، لذا تم إخفاؤها من النموذج مع الاحتفاظ بها في التقارير',
+        'categories.deleted': 'تم حذف الفئة بنجاح',
+        'rates.title': 'أسعار الصرف',
+        'rates.hint': 'قيمة وحدة واحدة من كل عملة بالعملة الأساسية، ويسري كل سعر من تاريخه حتى السعر التالي.',
+        'rates.rate': 'السعر',
+        'rates.effectiveFrom': 'يسري من',
+        'rates.empty': 'لا توجد أسعار صرف مسجلة',
+        'rates.required': 'يرجى إدخال العملة وتاريخ السريان',
+        'rates.baseCurrency': 'سعر العملة الأساسية ثابت ولا يحتاج إلى إدخال',
+        'rates.invalid': 'سعر الصرف يجب أن يكون رقماً موجباً',
+        'rates.deleteConfirm': 'هل أنت متأكد من حذف سعر الصرف هذا؟',
+
+        // Backup, import and export
+        'backup.title': 'البيانات والنسخ الاحتياطي',
+        'backup.export': 'تصدير جميع البيانات (JSON)',
+        'backup.import': 'استيراد البيانات',
+        'backup.clear': 'حذف جميع البيانات',
+        'backup.clearConfirm': 'هل أنت متأكد من حذف جميع البيانات؟ يمكنك التراجع عن ذلك من صفحة السجل.',
+        'backup.cleared': 'تم حذف جميع البيانات بنجاح',
+        'backup.passphrase': 'كلمة مرور التشفير (اختياري)',
+        'backup.passphraseConfirm': 'تأكيد كلمة المرور',
+        'backup.passphraseHint': 'اتركها فارغة لتصدير ملف غير مشفر. لا يمكن استعادة النسخة المشفرة دون كلمة المرور.',
+        'backup.passphraseTooShort': 'يجب ألا تقل كلمة المرور عن {min} أحرف',
+        'backup.passphraseMismatch': 'كلمتا المرور غير متطابقتين',
+        'backup.passphraseRequired': 'يرجى إدخال كلمة المرور',
+        'backup.cryptoUnavailable': 'التشفير غير متاح في هذا المتصفح (يتطلب اتصالاً آمناً عبر HTTPS)',
+        'backup.encryptFailed': 'تعذر تشفير النسخة الاحتياطية: {error}',
+        'backup.encryptedTitle': 'نسخة احتياطية مشفرة:',
+        'backup.enterPassphrase': 'هذا الملف مشفر. أدخل كلمة المرور التي استُخدمت عند تصديره.',
+        'backup.decrypt': 'فك التشفير',
+        'backup.decryptFailed': 'تعذر فك التشفير: كلمة المرور غير صحيحة، أو أن الملف عُدّل أو تلف.',
+        'backup.invalidEncrypted': 'الملف المشفر غير صالح أو من إصدار غير مدعوم',
+        'snapshots.title': 'نقاط الاستعادة',
+        'snapshots.hint': 'يحفظ التطبيق على هذا الجهاز نسخة تلقائية من البيانات مرة كل يوم، وقبل كل استيراد أو حذف للبيانات أو استعادة.',
+        'snapshots.retention': 'عدد النسخ المحتفظ بها من كل نوع',
+        'snapshots.save': 'حفظ',
+        'snapshots.invalidRetention': 'يجب أن يكون عدد النسخ بين 1 و {max}',
+        'snapshots.retentionSaved': 'تم حفظ عدد النسخ المحتفظ بها',
+        'snapshots.createNow': 'إنشاء نقطة استعادة الآن',
+        'snapshots.created': 'تم إنشاء نقطة الاستعادة',
+        'snapshots.failed': 'تعذر حفظ نقطة الاستعادة: {error}',
+        'snapshots.error': 'تعذر إتمام العملية على نقاط الاستعادة: {error}',
+        'snapshots.failedContinue': 'تعذر حفظ نقطة استعادة قبل هذه العملية: {error}\nهل تريد المتابعة على أي حال؟',
+        'snapshots.empty': 'لا توجد نقاط استعادة بعد',
+        'snapshots.reason': 'السبب',
+        'snapshots.contents': 'المحتوى',
+        'snapshots.noRecords': 'لا توجد بيانات',
+        'snapshots.reason.daily': 'يومية',
+        'snapshots.reason.beforeImport': 'قبل الاستيراد',
+        'snapshots.reason.beforeClear': 'قبل حذف البيانات',
+        'snapshots.reason.beforeRestore': 'قبل الاستعادة',
+        'snapshots.reason.manual': 'يدوية',
+        'snapshots.restore': 'استعادة',
+        'snapshots.restoreConfirm': 'سيتم استبدال جميع البيانات الحالية بنقطة الاستعادة المحفوظة في {date}، بعد حفظ البيانات الحالية كنقطة استعادة جديدة. هل تريد المتابعة؟',
+        'snapshots.restored': 'تمت استعادة البيانات بنجاح',
+        'snapshots.cannotRestore': 'لا يمكن استعادة نقطة الاستعادة هذه:',
+        'snapshots.download': 'تنزيل',
+        'snapshots.deleteConfirm': 'هل تريد حذف نقطة الاستعادة هذه؟',
+        'snapshots.chooseFolder': 'نسخ إلى مجلد على الجهاز',
+        'snapshots.folderHint': 'اختياري: اختر مجلداً لتُكتب فيه كل نقطة استعادة كملف، فتبقى حتى لو مُسحت بيانات المتصفح. لتشفير هذه النسخ أدخل كلمة مرور التشفير في قسم النسخ الاحتياطي قبل اختيار المجلد.',
+        'snapshots.folderActive': 'يتم نسخ نقاط الاستعادة إلى المجلد: {folder}',
+        'snapshots.folderEncrypted': 'النسخ مشفرة بكلمة مرور التشفير.',
+        'snapshots.folderUnencrypted': 'النسخ غير مشفرة: يمكن لأي شخص يصل إلى المجلد قراءة جميع البيانات.',
+        'snapshots.folderUnencryptedConfirm': 'لم تُدخل كلمة مرور تشفير، فستُكتب نقاط الاستعادة في المجلد كملفات غير مشفرة يمكن لأي شخص يصل إليه قراءتها.\nلتشفيرها اختر "إلغاء" وأدخل كلمة المرور في قسم النسخ الاحتياطي. هل تريد المتابعة دون تشفير؟',
+        'snapshots.folderCopyFailed': 'تعذر نسخ نقطة الاستعادة إلى المجلد: {error}',
+        'snapshots.folderLastFailure': 'فشل آخر نسخ إلى المجلد ({date}): {error}',
+        'snapshots.folderPermission': 'يلزم السماح مجدداً بالكتابة في المجلد: {folder}',
+        'snapshots.allowFolder': 'السماح',
+        'snapshots.forgetFolder': 'إيقاف النسخ إلى المجلد',
+        'exchange.title': 'تبادل البيانات مع Excel / CSV',
+        'exchange.export': 'تصدير',
+        'exchange.dataset': 'البيانات',
+        'exchange.propertiesTable': 'جدول العقارات',
+        'exchange.monthlySummary': 'الملخص الشهري',
+        'exchange.bulkImport': 'استيراد جماعي',
+        'exchange.dataType': 'نوع البيانات',
+        'exchange.properties': 'عقارات',
+        'exchange.expenses': 'مصاريف',
+        'exchange.chooseFile': 'اختيار ملف Excel أو CSV',
+        'exchange.mapColumns': 'ربط أعمدة الملف بالحقول',
+        'exchange.validateRows': 'التحقق من الصفوف',
+        'exchange.importValidRows': 'استيراد الصفوف الصالحة',
+        'exchange.responsibility': 'يتحملها',
+        'exchange.forMonth': 'عن شهر',
+        'exchange.reference': 'المرجع',
+        'exchange.tenantExpenses': 'مصاريف على المستأجر',
+        'exchange.ownerExpenses': 'مصاريف على المالك',
+        'exchange.ownerNetIncome': 'صافي دخل المالك',
+        'exchange.paymentStatus': 'حالة الدفع',
+        'exchange.invalidRange': 'شهر البداية يجب أن يسبق شهر النهاية',
+        'exchange.excelUnavailable': 'مكتبة Excel غير متاحة، يرجى التحقق من الاتصال',
+        'exchange.excelMissing': 'مكتبة Excel غير متاحة',
+        'exchange.unreadableFile': 'تعذر قراءة الملف: {error}',
+        'exchange.noRows': 'الملف لا يحتوي على صفوف بيانات',
+        'exchange.fileRows': '{name} ({count} صف)',
+        'exchange.noColumn': '-- لا يوجد --',
+        'exchange.mapRequired': 'يرجى ربط الأعمدة المطلوبة: {fields}',
+        'exchange.validRows': 'صفوف صالحة:',
+        'exchange.errorRows': 'صفوف بها أخطاء:',
+        'exchange.row': 'الصف',
+        'exchange.errors': 'الأخطاء',
+        'exchange.importWithErrorsConfirm': 'سيتم استيراد {valid} صف وتجاهل {errors} صف به أخطاء. هل تريد المتابعة؟',
+        'exchange.importConfirm': 'سيتم استيراد {valid} صف. هل تريد المتابعة؟',
+        'exchange.imported': 'تم استيراد {count} صف بنجاح',
+        'import.title': 'استيراد البيانات:',
+        'import.mode': 'طريقة الاستيراد',
+        'import.merge': 'دمج حسب المعرف (الاحتفاظ بالبيانات الحالية وإضافة الجديد)',
+        'import.replace': 'استبدال الكل بمحتوى الملف',
+        'import.conflicts': 'سجلات موجودة بنسخة مختلفة',
+        'import.keepCurrent': 'الاحتفاظ بالنسخة الحالية',
+        'import.useImported': 'استخدام النسخة المستوردة',
+        'import.confirm': 'تأكيد الاستيراد',
+        'import.row.nameMissing': 'اسم العقار مفقود',
+        'import.row.duplicateName': 'يوجد عقار بنفس الاسم',
+        'import.row.invalidRent': 'الإيجار الشهري غير صالح',
+        'import.row.invalidRentalDate': 'تاريخ التأجير غير صالح',
+        'import.row.invalidPaymentDay': 'يوم الدفع يجب أن يكون بين 1 و 31',
+        'import.row.unknownStatus': 'الحالة غير معروفة',
+        'import.row.tenantRequired': 'العقار المؤجر يحتاج اسم المستأجر',
+        'import.row.propertyNotFound': 'العقار غير موجود',
+        'import.row.invalidMonth': 'الشهر غير صالح',
+        'import.row.unknownCategory': 'فئة المصاريف غير معروفة',
+        'import.row.invalidAmount': 'المبلغ غير صالح',
+        'import.row.unknownResponsibility': 'الجهة المتحملة غير معروفة',
+        'import.error.notBackup': 'الملف لا يحتوي على نسخة احتياطية صالحة',
+        'import.error.noKnownData': 'الملف لا يحتوي على أي بيانات معروفة',
+        'import.error.notList': '{collection}: يجب أن تكون قائمة',
+        'import.error.invalidItems': '{collection}: تحتوي على عناصر غير صالحة',
+        'import.error.settingsNotObject': 'الإعدادات: يجب أن تكون كائناً',
+        'import.error.invalidSchemaVersion': 'رقم إصدار البيانات غير صالح',
+        'import.error.newerVersion': 'الملف صادر من إصدار أحدث من هذا التطبيق',
+        'import.error.migrationFailed': 'تعذر تحويل البيانات إلى الإصدار الحالي: {error}',
+        'import.error.line': 'البند {line}: {problem}',
+        'import.error.duplicateId': 'المعرف مكرر',
+        'import.error.missingReference': 'الحقل "{field}" يشير إلى سجل غير موجود في {collection}',
+        'import.error.record': '{collection} - السجل {record}: {problem}',
+        'import.error.invalidSetting': 'الإعدادات: الحقل "{field}" غير صالح',
+        'import.error.categoriesNotList': 'الإعدادات: فئات المصاريف يجب أن تكون قائمة',
+        'import.invalidJson': 'خطأ في استيراد البيانات: الملف ليس بصيغة JSON صالحة',
+        'import.cannotImport': 'لا يمكن استيراد هذا الملف:',
+        'import.moreProblems': 'و {count} مشكلة أخرى',
+        'import.settingsReplaced': 'سيتم استبدالها',
+        'import.settingsMerged': 'تُضاف فئات المصاريف الجديدة فقط',
+        'import.unchanged': 'بدون تغيير',
+        'import.replaceConfirm': 'سيتم استبدال جميع البيانات الحالية بمحتوى الملف. هل أنت متأكد؟',
+        'import.done': 'تم استيراد البيانات بنجاح',
+        'validation.notAnObject': 'ليس كائناً صالحاً',
+        'validation.missingField': 'الحقل "{field}" مفقود',
+        'validation.invalidField': 'الحقل "{field}" قيمته غير صالحة',
+        'storage.noIndexedDB': 'المتصفح لا يدعم IndexedDB',
+        'storage.saveAborted': 'تم إلغاء عملية الحفظ',
+        'storage.saveFailed': 'تعذر حفظ البيانات: {error}'
+    },
+    fr: {
+        // Application and navigation
+        'app.title': 'Système intelligent de gestion immobilière',
+        'app.brand': 'Gestion immobilière',
+        'app.loadFailed': 'Impossible de charger les données : {error}',
+        'update.available': 'Une nouvelle version de l’application est disponible.',
+        'update.reload': 'Mettre à jour',
+        'update.later': 'Plus tard',
+        'nav.dashboard': 'Tableau de bord',
+        'nav.properties': 'Biens',
+        'nav.tenants': 'Locataires',
+        'nav.expenses': 'Dépenses',
+        'nav.payments': 'Paiements',
+        'nav.reports': 'Rapports',
+        'nav.history': 'Historique',
+        'nav.settings': 'Paramètres',
+
+        // Shared labels
+        'common.undo': 'Annuler',
+        'common.property': 'Bien',
+        'common.tenant': 'Locataire',
+        'common.rentDue': 'Loyer dû',
+        'common.paid': 'Payé',
+        'common.ownerExpenses': 'Dépenses du propriétaire',
+        'common.net': 'Net',
+        'common.due': 'Dû',
+        'common.balanceWithArrears': 'Solde avec arriérés',
+        'common.status': 'Statut',
+        'common.dueDate': 'Date d’échéance',
+        'common.amount': 'Montant',
+        'common.endDate': 'Date de fin',
+        'common.search': 'Recherche',
+        'common.all': 'Tous',
+        'common.actions': 'Actions',
+        'common.phone': 'Téléphone',
+        'common.chooseProperty': 'Choisir le bien',
+        'common.selectProperty': '-- Choisir un bien --',
+        'common.monthAndYear': 'Mois et année',
+        'common.currency': 'Devise',
+        'common.cancelEdit': 'Annuler la modification',
+        'common.allProperties': 'Tous les biens',
+        'common.fromMonth': 'Du mois',
+        'common.toMonth': 'Au mois',
+        'common.paidOn': 'Date de paiement',
+        'common.paymentMethod': 'Mode de paiement',
+        'common.period': 'Période',
+        'common.month': 'Mois',
+        'common.date': 'Date',
+        'common.category': 'Catégorie',
+        'common.add': 'Ajouter',
+        'common.notesOptional': 'Notes (facultatif)',
+        'common.cancel': 'Annuler',
+        'common.edit': 'Modifier',
+        'common.delete': 'Supprimer',
+        'common.listSeparator': ', ',
+        'common.noProperties': 'Aucun bien',
+        'common.total': 'Total',
+        'common.today': 'Aujourd’hui',
+        'common.days': '{days} j',
+        'common.deletedProperty': 'Bien supprimé',
+        'common.fillRequired': 'Veuillez remplir tous les champs obligatoires',
+        'common.previous': 'Précédent',
+        'common.next': 'Suivant',
+        'common.deletedTenant': 'Locataire supprimé',
+        'common.none': 'Aucun',
+        'common.grandTotal': 'Total général',
+
+        // Dashboard
+        'dashboard.totalProperties': 'Total des biens',
+        'dashboard.rentedProperties': 'Biens loués',
+        'dashboard.vacantProperties': 'Biens vacants',
+        'dashboard.monthlyIncome': 'Revenu mensuel total',
+        'dashboard.totalExpenses': 'Total des dépenses',
+        'dashboard.netProfit': 'Bénéfice net',
+        'dashboard.collectedIncome': 'Loyers encaissés ce mois-ci',
+        'dashboard.outstandingBalance': 'Loyers non encaissés',
+        'dashboard.monthlyTrend': 'Évolution mensuelle',
+        'dashboard.last12Months': '12 derniers mois',
+        'dashboard.last24Months': '24 derniers mois',
+        'dashboard.chartHint': 'Cliquez sur un mois pour voir le détail par bien',
+        'dashboard.expensesByCategory': 'Dépenses par catégorie',
+        'dashboard.noExpensesInPeriod': 'Aucune dépense sur cette période',
+        'dashboard.occupancyTrend': 'Évolution du taux d’occupation',
+        'dashboard.collectionStatus': 'Encaissement des loyers de ce mois',
+        'dashboard.dueThisWeek': 'Loyers dus cette semaine',
+        'dashboard.overdueRents': 'Loyers en retard',
+        'dashboard.daysLate': 'Jours de retard',
+        'dashboard.overdueAmount': 'Montant en retard',
+        'dashboard.expiringLeases': 'Baux arrivant à échéance',
+        'dashboard.within30Days': 'Sous 30 jours :',
+        'dashboard.within60Days': 'Sous 60 jours :',
+        'dashboard.within90Days': 'Sous 90 jours :',
+        'dashboard.daysLeft': 'Jours restants',
+        'dashboard.quickActions': 'Actions rapides',
+        'dashboard.recordExpenses': 'Saisir des dépenses',
+        'dashboard.viewReports': 'Voir les rapports',
+        'dashboard.backup': 'Sauvegarde',
+        'dashboard.missingRates': 'Aucun taux de change pour : {currencies}. Leurs montants entrent dans les totaux sans conversion en {base} ; ajoutez les taux depuis la page Paramètres.',
+        'dashboard.occupancyRate': 'Taux d’occupation %',
+        'dashboard.drillDownTitle': 'Détail du mois : {month}',
+        'dashboard.noneDueSoon': 'Aucun loyer dû dans les {days} jours',
+        'dashboard.inDays': 'Dans {days} j',
+        'dashboard.noneOverdue': 'Aucun loyer en retard',
+        'dashboard.since': 'Depuis le {date}',
+        'dashboard.monthsCount': '({months} mois)',
+        'dashboard.noExpiringLeases': 'Aucun bail n’arrive à échéance dans les 90 jours',
+        'dashboard.noneDueThisMonth': 'Aucun loyer dû ce mois-ci',
+
+        // Properties
+        'property.addTitle': 'Ajouter un bien',
+        'property.name': 'Nom du bien',
+        'property.monthlyRent': 'Loyer mensuel',
+        'property.rentalDate': 'Date de location',
+        'property.tenantChangeDate': 'Date du changement de locataire',
+        'property.tenantChangeDateHint': 'Le locataire actuel part et le nouveau entre à cette date',
+        'property.tenantChangeTooEarly': 'La date du changement ne peut pas précéder l’entrée du locataire actuel ({date})',
+        'property.noTenant': '-- Sans locataire --',
+        'property.newTenantName': 'Nom du nouveau locataire',
+        'property.monthlyRentAmount': 'Montant du loyer mensuel',
+        'property.paymentDay': 'Jour de paiement mensuel',
+        'property.status': 'Statut du bien',
+        'property.save': 'Enregistrer le bien',
+        'property.paymentDayPlaceholder': 'Ex. : 1, 15 ou 30',
+        'property.rentHint': 'Le loyer des baux enregistrés remplace ce montant pour les mois qu’ils couvrent',
+        'property.currencyLocked': 'La devise du bien ne peut plus changer une fois des paiements enregistrés',
+        'property.editTitle': 'Modifier le bien',
+        'property.newTenantOption': '+ Nouveau locataire',
+        'property.tenantRequired': 'Veuillez choisir le locataire du bien loué',
+        'property.newTenantRequired': 'Veuillez saisir le nom du nouveau locataire',
+        'property.added': 'Bien ajouté avec succès',
+        'property.updated': 'Bien mis à jour avec succès',
+        'property.updateFailed': 'Impossible de mettre à jour le bien ; les modifications n’ont pas été enregistrées',
+        'property.deleteConfirm': 'Voulez-vous vraiment supprimer ce bien ? Il sera placé dans la corbeille avec ses dépenses.',
+        'property.deleted': 'Bien supprimé ; il peut être restauré depuis la page Historique',
+        'properties.title': 'Gestion des biens',
+        'properties.minRent': 'Loyer min.',
+        'properties.maxRent': 'Loyer max.',
+        'properties.perPage': 'Par page',
+        'properties.empty': 'Aucun bien enregistré pour le moment',
+        'properties.searchPlaceholder': 'Nom du bien, du locataire ou notes',
+        'properties.resetFilters': 'Effacer les filtres',
+        'properties.count': '{shown} sur {total} biens',
+        'properties.noMatches': 'Aucun bien ne correspond à la recherche',
+        'properties.occupants': 'Occupants',
+        'properties.leases': 'Baux',
+        'properties.history': 'Historique',
+        'propertyStatus.rented': 'Loué',
+        'propertyStatus.vacant': 'Vacant',
+
+        // Tenants and occupancy
+        'tenants.title': 'Gestion des locataires',
+        'tenants.currentProperty': 'Bien actuel',
+        'tenants.empty': 'Aucun locataire enregistré pour le moment',
+        'tenants.notLiving': 'N’occupe aucun bien',
+        'tenant.addTitle': 'Ajouter un locataire',
+        'tenant.name': 'Nom du locataire',
+        'tenant.nationalId': 'Numéro d’identité',
+        'tenant.phone': 'Numéro de téléphone',
+        'tenant.emailOptional': 'E-mail (facultatif)',
+        'tenant.save': 'Enregistrer le locataire',
+        'tenant.editTitle': 'Modifier le locataire',
+        'tenant.nameRequired': 'Veuillez saisir le nom du locataire',
+        'tenant.added': 'Locataire ajouté avec succès',
+        'tenant.updated': 'Locataire mis à jour avec succès',
+        'tenant.deleteConfirm': 'Voulez-vous vraiment supprimer ce locataire ?',
+        'tenant.deleted': 'Locataire supprimé avec succès',
+        'tenant.hasOccupancy': 'Impossible de supprimer un locataire ayant un historique d’occupation : les rapports passés en dépendent',
+        'occupancy.title': 'Historique des occupants',
+        'occupancy.moveIn': 'Date d’entrée',
+        'occupancy.moveOut': 'Date de sortie',
+        'occupancy.currentMoveOut': 'Date de sortie du locataire actuel',
+        'occupancy.recordMoveOut': 'Enregistrer la sortie',
+        'occupancy.modalTitle': 'Historique des occupants : {property}',
+        'occupancy.empty': 'Aucun locataire n’a encore occupé ce bien',
+        'occupancy.current': 'Occupant actuel',
+        'occupancy.moveOutBeforeMoveIn': 'La date de sortie ne peut pas précéder la date d’entrée',
+        'occupancy.moveOutConfirm': 'Voulez-vous vraiment enregistrer la sortie du locataire actuel ?',
+        'occupancy.movedOut': 'Sortie enregistrée avec succès',
+
+        // Leases
+        'leases.title': 'Baux',
+        'leases.duration': 'Durée',
+        'leases.escalation': 'Augmentation au renouvellement',
+        'leases.addTitle': 'Nouveau bail pour le locataire actuel',
+        'leases.startDate': 'Date de début du bail',
+        'leases.startDateHint': 'Un bail qui commence après le 1er est facturé au prorata des jours pour ce mois',
+        'leases.durationMonths': 'Durée (en mois)',
+        'leases.escalationValue': 'Valeur de l’augmentation',
+        'leases.save': 'Enregistrer le bail',
+        'leases.modalTitle': 'Baux : {property}',
+        'leases.empty': 'Aucun bail enregistré pour ce bien',
+        'leases.until': 'jusqu’au {date} ({months} mois)',
+        'leases.renew': 'Renouveler',
+        'leases.required': 'Veuillez saisir la date de début, la durée et le loyer',
+        'leases.added': 'Bail enregistré avec succès',
+        'leases.renewConfirm': 'Renouveler le bail pour {months} mois de plus ?',
+        'leases.renewed': 'Bail renouvelé jusqu’au {date} avec un loyer de {rent}',
+        'leases.deleteConfirm': 'Voulez-vous vraiment supprimer ce bail ?',
+        'leases.deleted': 'Bail supprimé avec succès',
+        'leaseStatus.upcoming': 'À venir',
+        'leaseStatus.active': 'En cours',
+        'leaseStatus.expired': 'Expiré',
+        'leaseStatus.renewed': 'Renouvelé',
+        'escalation.none': 'Sans augmentation',
+        'escalation.fixed': 'Montant fixe',
+        'escalation.percent': 'Pourcentage',
+
+        // Expenses
+        'expenses.title': 'Saisie des dépenses',
+        'expenses.addTitle': 'Nouvelles dépenses',
+        'expenses.lines': 'Lignes de dépenses',
+        'expenses.addLine': 'Ajouter une ligne',
+        'expenses.save': 'Enregistrer les dépenses',
+        'expenses.log': 'Registre des dépenses',
+        'expenses.propertyCurrency': 'Devise du bien',
+        'expenses.propertyMonthRequired': 'Veuillez choisir le bien et le mois',
+        'expenses.lineRequired': 'Veuillez saisir au moins une ligne de dépense',
+        'expenses.updated': 'Dépenses mises à jour avec succès',
+        'expenses.added': 'Dépenses enregistrées avec succès',
+        'expenses.empty': 'Aucune dépense enregistrée',
+        'expenses.noMatches': 'Aucune dépense ne correspond au filtre',
+        'expenses.entry': 'Saisie {number} : {amount}',
+        'expenses.editTitle': 'Modifier les dépenses',
+        'expenses.update': 'Mettre à jour les dépenses',
+        'expenses.deleteConfirm': 'Voulez-vous vraiment supprimer ces dépenses ?',
+        'expenses.deleted': 'Dépenses supprimées avec succès',
+        'category.electricity': 'Facture d’électricité',
+        'category.water': 'Facture d’eau',
+        'category.internet': 'Internet',
+        'category.cleaning': 'Nettoyage',
+        'category.guard': 'Gardiennage',
+        'category.propertyTax': 'Taxe foncière',
+        'category.repairs': 'Entretien et réparations',
+        'category.other': 'Autres dépenses',
+        'responsibility.tenant': 'À la charge du locataire',
+        'responsibility.owner': 'À la charge du propriétaire',
+
+        // Payments and receipts
+        'payments.title': 'Saisie des paiements',
+        'payments.addTitle': 'Enregistrer un paiement de loyer',
+        'payments.forMonth': 'Pour le mois',
+        'payments.amountPaid': 'Montant payé',
+        'payments.referenceOptional': 'Référence (facultatif)',
+        'payments.save': 'Enregistrer le paiement',
+        'payments.log': 'Registre des paiements',
+        'payments.required': 'Veuillez choisir le bien et le mois et saisir le montant et la date de paiement',
+        'payments.added': 'Paiement enregistré avec succès',
+        'payments.dueHint': 'Dû : {due} | Payé : {paid} | Arriérés : {arrears} | Solde : {balance} {currency}',
+        'payments.empty': 'Aucun paiement enregistré',
+        'payments.forMonthOn': 'Pour {month} | le {date}',
+        'payments.reference': 'Réf. : {reference}',
+        'payments.receiptNumber': 'Quittance n° {number}',
+        'payments.reprintReceipt': 'Réimprimer la quittance',
+        'payments.issueReceipt': 'Émettre une quittance',
+        'payments.notFound': 'Paiement introuvable',
+        'payments.deleteConfirm': 'Voulez-vous vraiment supprimer ce paiement ?',
+        'payments.deleted': 'Paiement supprimé avec succès',
+        'paymentMethod.cash': 'Espèces',
+        'paymentMethod.transfer': 'Virement bancaire',
+        'paymentMethod.cheque': 'Chèque',
+        'paymentMethod.mobile': 'Paiement mobile',
+        'paymentStatus.paid': 'Payé',
+        'paymentStatus.partial': 'Payé partiellement',
+        'paymentStatus.unpaid': 'Impayé',
+        'paymentStatus.overdue': 'En retard',
+        'paymentStatus.arrears': 'Arriérés dus',
+        'paymentStatus.notDue': 'Rien à payer',
+        'receipt.fileName': 'quittance_{number}.pdf',
+        'receipt.duplicateFileName': 'quittance_{number}_duplicata.pdf',
+        'receipt.duplicate': 'DUPLICATA',
+        'receipt.printFailed': 'Impossible d’ouvrir la quittance ; elle n’est pas comptée comme imprimée : {error}',
+        'pdf.popupBlocked': 'Le navigateur a bloqué la fenêtre du fichier. Autorisez les fenêtres pop-up pour ce site puis réessayez.',
+        'pdf.openFailed': 'Impossible de créer ou d’ouvrir le PDF : {error}',
+        'receipt.title': 'Quittance de loyer',
+        'receipt.numberAndDate': 'Quittance n° {number} | émise le {date}',
+        'receipt.receivedFrom': 'Reçu de',
+        'receipt.period': 'Période',
+        'receipt.amountInWords': 'Montant en lettres',
+        'receipt.recipientSignature': 'Signature du bénéficiaire : ____________________',
+        'receipt.stamp': 'Cachet',
+        'receipt.duplicateNote': 'Duplicata de la quittance originale, imprimé le {date}',
+
+        // Reports
+        'reports.monthlyTitle': 'Rapports mensuels',
+        'reports.chooseMonth': 'Choisir le mois et l’année',
+        'reports.show': 'Afficher le rapport',
+        'reports.choosePropertyAndMonth': 'Veuillez choisir le bien et le mois pour afficher le rapport.',
+        'reports.propertyNotFound': 'Bien introuvable.',
+        'reports.leasePeriod': 'Du {start} au {end}',
+        'reports.noLease': 'Aucun bail enregistré',
+        'reports.monthlyReportTitle': 'Rapport mensuel de location',
+        'reports.propertyAndMonth': 'Bien : {property} | Mois : {month}',
+        'reports.item': 'Poste',
+        'reports.value': 'Valeur',
+        'reports.rateNotSet': 'Non défini',
+        'reports.leaseTerm': 'Durée du bail',
+        'reports.paymentDayOfMonth': 'Le {day} de chaque mois',
+        'reports.ownerBorneExpenses': 'Dépenses à la charge du propriétaire',
+        'reports.ownerNetIncome': 'Revenu net du propriétaire (loyer - dépenses du propriétaire)',
+        'reports.tenantTotalDue': 'Total dû par le locataire (loyer + dépenses refacturées)',
+        'reports.paidThisMonth': 'Payé pour ce mois',
+        'reports.previousArrears': 'Arriérés des mois précédents',
+        'reports.remainingBalance': 'Solde de loyer restant',
+        'reports.paymentStatus': '💳 Statut du paiement :',
+        'reports.reportDate': '📅 Date du rapport :',
+        'reports.system': '🏠 Système :',
+        'reports.exportPDF': 'Exporter le rapport en PDF',
+        'reports.generatedBy': '🏠 Par : {name}',
+        'reports.missingRates': 'Attention : aucun taux de change pour {currencies} ; leurs montants sont comptés dans les totaux sans conversion en {base}.',
+        'reports.fileName': 'rapport_{property}_{month}.pdf',
+        'reports.propertyNotFoundAlert': 'Bien introuvable',
+        'report.footer': 'Rapport généré par le Système intelligent de gestion immobilière',
+        'reportPeriod.month': 'Mois',
+        'reportPeriod.quarter': 'Trimestre',
+        'reportPeriod.year': 'Année',
+        'period.quarter': 'T{quarter} {year}',
+        'period.year': 'Année {year}',
+        'period.fiscalYear': 'Exercice {year}/{nextYear}',
+        'monthName.1': 'Janvier',
+        'monthName.2': 'Février',
+        'monthName.3': 'Mars',
+        'monthName.4': 'Avril',
+        'monthName.5': 'Mai',
+        'monthName.6': 'Juin',
+        'monthName.7': 'Juillet',
+        'monthName.8': 'Août',
+        'monthName.9': 'Septembre',
+        'monthName.10': 'Octobre',
+        'monthName.11': 'Novembre',
+        'monthName.12': 'Décembre',
+        'portfolio.title': 'Rapport du portefeuille immobilier',
+        'portfolio.monthInPeriod': 'Un mois de la période',
+        'portfolio.show': 'Afficher le rapport de tous les biens',
+        'portfolio.collected': 'Encaissé',
+        'portfolio.occupancy': 'Occupation',
+        'portfolio.note': 'Montants en {currency} ; les biens loués dans une autre devise sont convertis au taux en vigueur chaque mois, avec leur loyer indiqué dans la devise d’origine. Les colonnes de dépenses comprennent la part du propriétaire et la part refacturée au locataire.',
+        'portfolio.monthlyTotals': 'Totaux mensuels',
+        'portfolio.choosePeriod': 'Veuillez choisir la période pour afficher le rapport.',
+        'portfolio.noProperties': 'Aucun bien enregistré pour le moment.',
+        'portfolio.propertyCount': '{count} biens',
+        'portfolio.ownerNetIncome': '💰 Revenu net du propriétaire :',
+        'portfolio.fileName': 'portefeuille_{from}_{to}.pdf',
+        'statement.title': 'Compte de résultat annuel',
+        'statement.year': 'Année',
+        'statement.yearType': 'Type d’année',
+        'statement.calendarYear': 'Année civile (janvier - décembre)',
+        'statement.fiscalYear': 'Exercice selon les paramètres',
+        'statement.show': 'Afficher le compte de résultat',
+        'statement.collectedRent': 'Loyers encaissés',
+        'statement.vacantMonths': 'Mois de vacance',
+        'statement.vacancyLoss': 'Perte de vacance',
+        'statement.totalCollectedRent': 'Total des loyers encaissés',
+        'statement.deduction': 'Déduction : {name}',
+        'statement.totalDeductible': 'Total des dépenses déductibles',
+        'statement.vacancyLossNote': 'Pertes de vacance (pour information, non déduites)',
+        'statement.netTaxableIncome': 'Revenu net imposable',
+        'statement.invalidYear': 'Veuillez saisir une année valide.',
+        'statement.periodRange': '{label} ({from} au {to})',
+        'statement.exportPDF': 'Exporter en PDF',
+        'statement.exportCSV': 'Exporter en CSV',
+        'statement.invalidYearAlert': 'Veuillez saisir une année valide',
+        'statement.fileName': 'compte_de_resultat_{from}_{to}',
+        'statement.collectedRentOriginal': 'Loyers encaissés dans la devise du bien',
+        'statement.note': 'Montants en {currency} ; les montants dans d’autres devises sont convertis au taux en vigueur à la date du paiement ou au mois de la dépense. Les loyers sont comptés à la date d’encaissement, et seules les dépenses à la charge du propriétaire sont déduites.',
+        'statement.issuedOn': '📅 Émis le : {date}',
+        'batch.title': 'Rapports de tous les biens en une fois',
+        'batch.format': 'Format de sortie',
+        'batch.singlePdf': 'Un seul PDF de plusieurs pages',
+        'batch.zip': 'Un ZIP avec un PDF par bien',
+        'batch.generate': 'Générer tous les rapports',
+        'batch.monthRequired': 'Veuillez choisir le mois',
+        'batch.noProperties': 'Aucun bien enregistré',
+        'batch.zipUnavailable': 'La bibliothèque de compression n’est pas disponible ; vérifiez la connexion',
+        'batch.preparing': 'Préparation du rapport de {property}',
+        'batch.creatingZip': 'Création du fichier ZIP',
+        'batch.creatingPdf': 'Création du fichier PDF',
+        'batch.zipFileName': 'rapports_{month}.zip',
+        'batch.pdfFileName': 'rapports_{month}.pdf',
+        'batch.done': '{created} rapports créés sur {total}',
+        'batch.fileFailed': 'Impossible de créer le fichier',
+        'batch.error': 'Erreur lors de la création du fichier : {error}',
+        'batch.failures': 'Impossible de créer les rapports des biens suivants :',
+
+        // Change log
+        'history.undoLast': 'Annuler la dernière opération',
+        'history.recycleBin': 'Corbeille',
+        'history.deletedOn': 'Date de suppression',
+        'history.user': 'Utilisateur',
+        'history.expenseCount': 'Nombre de dépenses',
+        'history.changeLog': 'Journal des modifications',
+        'history.retentionNote': 'Seules les {count} dernières modifications sont conservées ; les plus anciennes ne peuvent plus être annulées ni restaurées.',
+        'history.changes': 'Modifications',
+        'history.noChanges': 'Aucune modification enregistrée',
+        'history.moreChanges': 'et {count} autres modifications',
+        'history.recycleBinEmpty': 'La corbeille est vide',
+        'history.restore': 'Restaurer',
+        'history.propertyTitle': 'Historique de {property}',
+        'history.nothingToUndo': 'Aucune opération à annuler',
+        'history.undoConfirm': 'La dernière opération ({time}) sera annulée : {summary}. Continuer ?',
+        'history.undone': 'Opération annulée avec succès',
+        'history.restoreConfirm': 'Voulez-vous restaurer ce bien avec ses dépenses et paiements ?',
+        'history.restored': 'Bien restauré avec succès',
+        'changeType.add': 'Ajout',
+        'changeType.update': 'Modification',
+        'changeType.delete': 'Suppression',
+        'collection.properties': 'Biens',
+        'collection.expenses': 'Dépenses',
+        'collection.payments': 'Paiements',
+        'collection.tenants': 'Locataires',
+        'collection.occupancies': 'Occupations',
+        'collection.leases': 'Baux',
+        'collection.receipts': 'Quittances',
+        'collection.exchangeRates': 'Taux de change',
+        'collection.settings': 'Paramètres',
+        'field.name': 'Nom',
+        'field.monthlyRent': 'Loyer mensuel',
+        'field.rentalDate': 'Date de location',
+        'field.paymentDate': 'Jour de paiement',
+        'field.status': 'Statut',
+        'field.notes': 'Notes',
+        'field.month': 'Mois',
+        'field.lines': 'Lignes de dépenses',
+        'field.amount': 'Montant',
+        'field.paidOn': 'Date de paiement',
+        'field.method': 'Mode de paiement',
+        'field.reference': 'Référence',
+        'field.nationalId': 'Numéro d’identité',
+        'field.phone': 'Téléphone',
+        'field.email': 'E-mail',
+        'field.moveIn': 'Date d’entrée',
+        'field.moveOut': 'Date de sortie',
+        'field.startDate': 'Début du bail',
+        'field.endDate': 'Fin du bail',
+        'field.currency': 'Devise',
+        'field.rate': 'Taux de change',
+        'field.effectiveDate': 'Date d’effet',
+        'field.businessName': 'Nom de l’entreprise',
+        'field.userName': 'Nom d’utilisateur',
+        'field.fiscalYearStart': 'Début de l’exercice',
+        'field.reportLogo': 'Logo',
+        'field.reportAddress': 'Adresse',
+        'field.reportPhone': 'Téléphone',
+        'field.reportSignature': 'Signature ou cachet',
+        'field.reportAccentColor': 'Couleur des rapports',
+        'field.reportFooterText': 'Pied de page des rapports',
+        'field.reportPaperSize': 'Format du papier',
+        'field.reportOrientation': 'Orientation',
+        'field.number': 'Numéro de quittance',
+        'field.payer': 'Payeur',
+        'field.issuedOn': 'Date d’émission',
+        'field.printCount': 'Nombre d’impressions',
+        'field.expenseCategories': 'Catégories de dépenses',
+
+        // Settings
+        'settings.systemTitle': 'Paramètres du système',
+        'settings.baseCurrency': 'Devise de référence',
+        'settings.baseCurrencyHint': 'Les totaux du tableau de bord et des rapports consolidés sont convertis dans cette devise',
+        'settings.businessName': 'Nom de l’entreprise',
+        'settings.userName': 'Nom d’utilisateur',
+        'settings.reminderLeadDays': 'Rappel avant l’échéance (jours)',
+        'settings.reminderLeadDaysHint': 'Séparez les jours par une virgule',
+        'settings.gracePeriodDays': 'Délai de grâce (jours)',
+        'settings.gracePeriodDaysHint': 'Le loyer est en retard une fois ce délai écoulé',
+        'settings.fiscalYearStart': 'Début de l’exercice',
+        'settings.fiscalYearStartHint': 'Janvier correspond à l’année civile ; utilisé par le compte de résultat annuel',
+        'settings.notifications': 'Notifications du bureau à l’approche des échéances',
+        'settings.save': 'Enregistrer les paramètres',
+        'settings.userNameHint': 'Apparaît dans le journal des modifications',
+        'settings.currencyRequired': 'Veuillez saisir la devise de base',
+        'settings.invalidDays': 'Les jours de rappel et le délai de grâce doivent être des entiers positifs',
+        'settings.renameCurrencyConfirm': 'Voulez-vous passer les biens et dépenses enregistrés en {previous} à {currency} ?\nChoisissez « Annuler » si {currency} est une autre devise : les taux de change enregistrés seront alors convertis en {currency}.',
+        'settings.baseCurrencyNeedsRate': 'Impossible de convertir les taux de change enregistrés en {currency} : aucun taux n’est défini pour {currency} par rapport à {previous}. Ajoutez d’abord un taux pour {currency}, puis changez la devise de référence.',
+        'settings.saved': 'Paramètres enregistrés avec succès',
+        'settings.languageTitle': 'Langue et dates',
+        'settings.interfaceLanguage': 'Langue de l’interface',
+        'settings.reportLanguage': 'Langue des rapports et quittances',
+        'settings.sameAsInterface': 'Identique à l’interface',
+        'settings.calendar': 'Calendrier',
+        'calendar.gregory': 'Grégorien',
+        'calendar.islamic-umalqura': 'Hégirien (Umm al-Qura) avec le grégorien',
+        'settings.numerals': 'Chiffres',
+        'numerals.latn': 'Occidentaux (0123)',
+        'numerals.arab': 'Arabes orientaux (٠١٢٣)',
+        'settings.languageHint': 'Les choix de langue et de format de date sont enregistrés sur cet appareil',
+        'notifications.unsupported': 'Le navigateur ne prend pas en charge les notifications',
+        'notifications.denied': 'Les notifications n’ont pas été autorisées ; vous pouvez les activer dans les paramètres du navigateur',
+        'notifications.dueToday': 'Loyer dû aujourd’hui',
+        'notifications.dueInDays': 'Loyer dû dans {days} jours',
+        'notifications.overdue': 'Loyer en retard',
+        'branding.title': 'Identité des rapports',
+        'branding.logo': 'Logo',
+        'branding.address': 'Adresse',
+        'branding.signature': 'Signature ou cachet',
+        'branding.footerText': 'Texte du pied de page',
+        'branding.color': 'Couleur',
+        'branding.paperSize': 'Format du papier',
+        'branding.orientation': 'Orientation',
+        'branding.save': 'Enregistrer les paramètres des rapports',
+        'branding.removeImage': 'Retirer',
+        'branding.noImage': 'Aucune image',
+        'branding.notImage': 'Le fichier choisi n’est pas une image',
+        'branding.unreadableImage': 'Impossible de lire l’image',
+        'branding.invalidColor': 'Couleur des rapports non valide',
+        'branding.saved': 'Paramètres des rapports enregistrés avec succès',
+        'orientation.portrait': 'Portrait',
+        'orientation.landscape': 'Paysage',
+        'categories.title': 'Catégories de dépenses',
+        'categories.defaultResponsibility': 'À la charge de (par défaut)',
+        'categories.newName': 'Nom de la nouvelle catégorie',
+        'categories.nameRequired': 'Veuillez saisir le nom de la catégorie',
+        'categories.duplicate': 'Une catégorie porte déjà ce nom',
+        'categories.namePrompt': 'Nom de la catégorie',
+        'categories.ownerPrompt': 'Cette catégorie est-elle à la charge du propriétaire par défaut ? (OK = propriétaire, Annuler = locataire)',
+        'categories.deleteConfirm': 'Voulez-vous vraiment supprimer cette catégorie ?',
+        'categories.archived': 'La catégorie est utilisée par des dépenses existantes ; elle est masquée du formulaire mais conservée dans les rapports',
+        'categories.deleted': 'Catégorie supprimée avec succès',
+        'rates.title': 'Taux de change',
+        'rates.hint': 'Valeur d’une unité de chaque devise dans la devise de référence ; chaque taux s’applique de sa date jusqu’au taux suivant.',
+        'rates.rate': 'Taux',
+        'rates.effectiveFrom': 'Applicable à partir du',
+        'rates.empty': 'Aucun taux de change enregistré',
+        'rates.required': 'Veuillez saisir la devise et la date d’effet',
+        'rates.baseCurrency': 'Le taux de la devise de base est fixe et n’a pas besoin d’être saisi',
+        'rates.invalid': 'Le taux de change doit être un nombre positif',
+        'rates.deleteConfirm': 'Voulez-vous vraiment supprimer ce taux de change ?',
+
+        // Backup, import and export
+        'backup.title': 'Données et sauvegarde',
+        'backup.export': 'Exporter toutes les données (JSON)',
+        'backup.import': 'Importer des données',
+        'backup.clear': 'Supprimer toutes les données',
+        'backup.clearConfirm': 'Voulez-vous vraiment supprimer toutes les données ? Vous pourrez annuler depuis la page Historique.',
+        'backup.cleared': 'Toutes les données ont été supprimées',
+        'backup.passphrase': 'Phrase de passe de chiffrement (facultatif)',
+        'backup.passphraseConfirm': 'Confirmer la phrase de passe',
+        'backup.passphraseHint': 'Laissez vide pour exporter un fichier non chiffré. Une sauvegarde chiffrée ne peut pas être restaurée sans sa phrase de passe.',
+        'backup.passphraseTooShort': 'La phrase de passe doit comporter au moins {min} caractères',
+        'backup.passphraseMismatch': 'Les phrases de passe ne correspondent pas',
+        'backup.passphraseRequired': 'Veuillez saisir la phrase de passe',
+        'backup.cryptoUnavailable': 'Le chiffrement n’est pas disponible dans ce navigateur (une connexion HTTPS est requise)',
+        'backup.encryptFailed': 'Impossible de chiffrer la sauvegarde : {error}',
+        'backup.encryptedTitle': 'Sauvegarde chiffrée :',
+        'backup.enterPassphrase': 'Ce fichier est chiffré. Saisissez la phrase de passe utilisée lors de l’export.',
+        'backup.decrypt': 'Déchiffrer',
+        'backup.decryptFailed': 'Déchiffrement impossible : la phrase de passe est incorrecte, ou le fichier a été modifié ou endommagé.',
+        'backup.invalidEncrypted': 'Fichier chiffré non valide ou d’une version non prise en charge',
+        'snapshots.title': 'Points de restauration',
+        'snapshots.hint': 'L’application enregistre automatiquement sur cet appareil une copie des données chaque jour, ainsi qu’avant chaque import, suppression des données ou restauration.',
+        'snapshots.retention': 'Copies conservées de chaque type',
+        'snapshots.save': 'Enregistrer',
+        'snapshots.invalidRetention': 'Le nombre de copies doit être compris entre 1 et {max}',
+        'snapshots.retentionSaved': 'Nombre de copies conservées enregistré',
+        'snapshots.createNow': 'Créer un point de restauration',
+        'snapshots.created': 'Point de restauration créé',
+        'snapshots.failed': 'Impossible d’enregistrer le point de restauration : {error}',
+        'snapshots.error': 'L’opération sur les points de restauration a échoué : {error}',
+        'snapshots.failedContinue': 'Impossible d’enregistrer un point de restauration avant cette opération : {error}\nContinuer quand même ?',
+        'snapshots.empty': 'Aucun point de restauration pour l’instant',
+        'snapshots.reason': 'Motif',
+        'snapshots.contents': 'Contenu',
+        'snapshots.noRecords': 'Aucune donnée',
+        'snapshots.reason.daily': 'Quotidien',
+        'snapshots.reason.beforeImport': 'Avant import',
+        'snapshots.reason.beforeClear': 'Avant suppression des données',
+        'snapshots.reason.beforeRestore': 'Avant restauration',
+        'snapshots.reason.manual': 'Manuel',
+        'snapshots.restore': 'Restaurer',
+        'snapshots.restoreConfirm': 'Toutes les données actuelles seront remplacées par le point de restauration du {date}, après avoir été enregistrées comme nouveau point de restauration. Continuer ?',
+        'snapshots.restored': 'Les données ont été restaurées',
+        'snapshots.cannotRestore': 'Impossible de restaurer ce point de restauration :',
+        'snapshots.download': 'Télécharger',
+        'snapshots.deleteConfirm': 'Supprimer ce point de restauration ?',
+        'snapshots.chooseFolder': 'Copier dans un dossier',
+        'snapshots.folderHint': 'Facultatif : choisissez un dossier où chaque point de restauration est aussi écrit comme fichier, pour le conserver même si les données du navigateur sont effacées. Pour chiffrer ces copies, saisissez la phrase de passe de chiffrement dans la section sauvegarde avant de choisir le dossier.',
+        'snapshots.folderActive': 'Les points de restauration sont copiés dans le dossier : {folder}',
+        'snapshots.folderEncrypted': 'Les copies sont chiffrées avec la phrase de passe.',
+        'snapshots.folderUnencrypted': 'Les copies ne sont pas chiffrées : toute personne ayant accès au dossier peut lire toutes les données.',
+        'snapshots.folderUnencryptedConfirm': 'Aucune phrase de passe n’a été saisie : les points de restauration seront écrits dans le dossier sans chiffrement, lisibles par toute personne y ayant accès.\nPour les chiffrer, choisissez « Annuler » et saisissez la phrase de passe dans la section sauvegarde. Continuer sans chiffrement ?',
+        'snapshots.folderCopyFailed': 'Impossible de copier le point de restauration dans le dossier : {error}',
+        'snapshots.folderLastFailure': 'La dernière copie dans le dossier a échoué ({date}) : {error}',
+        'snapshots.folderPermission': 'L’accès en écriture au dossier {folder} doit être autorisé de nouveau.',
+        'snapshots.allowFolder': 'Autoriser',
+        'snapshots.forgetFolder': 'Arrêter la copie',
+        'exchange.title': 'Échange de données avec Excel / CSV',
+        'exchange.export': 'Exporter',
+        'exchange.dataset': 'Données',
+        'exchange.propertiesTable': 'Tableau des biens',
+        'exchange.monthlySummary': 'Synthèse mensuelle',
+        'exchange.bulkImport': 'Import en masse',
+        'exchange.dataType': 'Type de données',
+        'exchange.properties': 'Biens',
+        'exchange.expenses': 'Dépenses',
+        'exchange.chooseFile': 'Choisir un fichier Excel ou CSV',
+        'exchange.mapColumns': 'Associer les colonnes du fichier aux champs',
+        'exchange.validateRows': 'Vérifier les lignes',
+        'exchange.importValidRows': 'Importer les lignes valides',
+        'exchange.responsibility': 'À la charge de',
+        'exchange.forMonth': 'Pour le mois',
+        'exchange.reference': 'Référence',
+        'exchange.tenantExpenses': 'Dépenses à la charge du locataire',
+        'exchange.ownerExpenses': 'Dépenses à la charge du propriétaire',
+        'exchange.ownerNetIncome': 'Revenu net du propriétaire',
+        'exchange.paymentStatus': 'Statut du paiement',
+        'exchange.invalidRange': 'Le mois de début doit précéder le mois de fin',
+        'exchange.excelUnavailable': 'La bibliothèque Excel n’est pas disponible ; vérifiez la connexion',
+        'exchange.excelMissing': 'La bibliothèque Excel n’est pas disponible',
+        'exchange.unreadableFile': 'Impossible de lire le fichier : {error}',
+        'exchange.noRows': 'Le fichier ne contient aucune ligne de données',
+        'exchange.fileRows': '{name} ({count} lignes)',
+        'exchange.noColumn': '-- Aucune --',
+        'exchange.mapRequired': 'Veuillez associer les colonnes obligatoires : {fields}',
+        'exchange.validRows': 'Lignes valides :',
+        'exchange.errorRows': 'Lignes avec erreurs :',
+        'exchange.row': 'Ligne',
+        'exchange.errors': 'Erreurs',
+        'exchange.importWithErrorsConfirm': '{valid} lignes seront importées et {errors} lignes avec erreurs ignorées. Continuer ?',
+        'exchange.importConfirm': '{valid} lignes seront importées. Continuer ?',
+        'exchange.imported': '{count} lignes importées avec succès',
+        'import.title': 'Import des données :',
+        'import.mode': 'Mode d’import',
+        'import.merge': 'Fusionner par identifiant (garder les données actuelles et ajouter les nouvelles)',
+        'import.replace': 'Tout remplacer par le contenu du fichier',
+        'import.conflicts': 'Enregistrements existants dans une version différente',
+        'import.keepCurrent': 'Garder la version actuelle',
+        'import.useImported': 'Utiliser la version importée',
+        'import.confirm': 'Confirmer l’import',
+        'import.row.nameMissing': 'Nom du bien manquant',
+        'import.row.duplicateName': 'Un bien porte déjà ce nom',
+        'import.row.invalidRent': 'Loyer mensuel non valide',
+        'import.row.invalidRentalDate': 'Date de location non valide',
+        'import.row.invalidPaymentDay': 'Le jour de paiement doit être compris entre 1 et 31',
+        'import.row.unknownStatus': 'Statut inconnu',
+        'import.row.tenantRequired': 'Un bien loué doit avoir un locataire',
+        'import.row.propertyNotFound': 'Bien introuvable',
+        'import.row.invalidMonth': 'Mois non valide',
+        'import.row.unknownCategory': 'Catégorie de dépenses inconnue',
+        'import.row.invalidAmount': 'Montant non valide',
+        'import.row.unknownResponsibility': 'Prise en charge inconnue',
+        'import.error.notBackup': 'Le fichier ne contient pas de sauvegarde valide',
+        'import.error.noKnownData': 'Le fichier ne contient aucune donnée reconnue',
+        'import.error.notList': '{collection} : doit être une liste',
+        'import.error.invalidItems': '{collection} : contient des éléments non valides',
+        'import.error.settingsNotObject': 'Paramètres : doivent être un objet',
+        'import.error.invalidSchemaVersion': 'Numéro de version des données non valide',
+        'import.error.newerVersion': 'Le fichier provient d’une version plus récente de l’application',
+        'import.error.migrationFailed': 'Impossible de convertir les données vers la version actuelle : {error}',
+        'import.error.line': 'Ligne {line} : {problem}',
+        'import.error.duplicateId': 'Identifiant en double',
+        'import.error.missingReference': 'Le champ « {field} » désigne un enregistrement absent de {collection}',
+        'import.error.record': '{collection} - enregistrement {record} : {problem}',
+        'import.error.invalidSetting': 'Paramètres : le champ « {field} » n’est pas valide',
+        'import.error.categoriesNotList': 'Paramètres : les catégories de dépenses doivent être une liste',
+        'import.invalidJson': 'Erreur d’importation : le fichier n’est pas un JSON valide',
+        'import.cannotImport': 'Impossible d’importer ce fichier :',
+        'import.moreProblems': 'et {count} autres problèmes',
+        'import.settingsReplaced': 'Seront remplacés',
+        'import.settingsMerged': 'Seules les nouvelles catégories de dépenses sont ajoutées',
+        'import.unchanged': 'Inchangé',
+        'import.replaceConfirm': 'Toutes les données actuelles seront remplacées par le contenu du fichier. Êtes-vous sûr ?',
+        'import.done': 'Données importées avec succès',
+        'validation.notAnObject': 'Objet non valide',
+        'validation.missingField': 'Le champ « {field} » est manquant',
+        'validation.invalidField': 'Le champ « {field} » a une valeur non valide',
+        'storage.noIndexedDB': 'Le navigateur ne prend pas en charge IndexedDB',
+        'storage.saveAborted': 'L’enregistrement a été annulé',
+        'storage.saveFailed': 'Impossible d’enregistrer les données : {error}'
+    },
+    en: {
+        // Application and navigation
+        'app.title': 'Smart Property Management System',
+        'app.brand': 'Property Management',
+        'app.loadFailed': 'Could not load the data: {error}',
+        'update.available': 'A new version of the app is available.',
+        'update.reload': 'Update now',
+        'update.later': 'Later',
+        'nav.dashboard': 'Dashboard',
+        'nav.properties': 'Properties',
+        'nav.tenants': 'Tenants',
+        'nav.expenses': 'Expenses',
+        'nav.payments': 'Payments',
+        'nav.reports': 'Reports',
+        'nav.history': 'History',
+        'nav.settings': 'Settings',
+
+        // Shared labels
+        'common.undo': 'Undo',
+        'common.property': 'Property',
+        'common.tenant': 'Tenant',
+        'common.rentDue': 'Rent due',
+        'common.paid': 'Paid',
+        'common.ownerExpenses': 'Owner expenses',
+        'common.net': 'Net',
+        'common.due': 'Due',
+        'common.balanceWithArrears': 'Balance incl. arrears',
+        'common.status': 'Status',
+        'common.dueDate': 'Due date',
+        'common.amount': 'Amount',
+        'common.endDate': 'End date',
+        'common.search': 'Search',
+        'common.all': 'All',
+        'common.actions': 'Actions',
+        'common.phone': 'Phone',
+        'common.chooseProperty': 'Choose property',
+        'common.selectProperty': '-- Select a property --',
+        'common.monthAndYear': 'Month and year',
+        'common.currency': 'Currency',
+        'common.cancelEdit': 'Cancel editing',
+        'common.allProperties': 'All properties',
+        'common.fromMonth': 'From month',
+        'common.toMonth': 'To month',
+        'common.paidOn': 'Payment date',
+        'common.paymentMethod': 'Payment method',
+        'common.period': 'Period',
+        'common.month': 'Month',
+        'common.date': 'Date',
+        'common.category': 'Category',
+        'common.add': 'Add',
+        'common.notesOptional': 'Notes (optional)',
+        'common.cancel': 'Cancel',
+        'common.edit': 'Edit',
+        'common.delete': 'Delete',
+        'common.listSeparator': ', ',
+        'common.noProperties': 'No properties',
+        'common.total': 'Total',
+        'common.today': 'Today',
+        'common.days': '{days} days',
+        'common.deletedProperty': 'Deleted property',
+        'common.fillRequired': 'Please fill in all required fields',
+        'common.previous': 'Previous',
+        'common.next': 'Next',
+        'common.deletedTenant': 'Deleted tenant',
+        'common.none': 'None',
+        'common.grandTotal': 'Grand total',
+
+        // Dashboard
+        'dashboard.totalProperties': 'Total properties',
+        'dashboard.rentedProperties': 'Rented properties',
+        'dashboard.vacantProperties': 'Vacant properties',
+        'dashboard.monthlyIncome': 'Total monthly income',
+        'dashboard.totalExpenses': 'Total expenses',
+        'dashboard.netProfit': 'Net profit',
+        'dashboard.collectedIncome': 'Rent collected this month',
+        'dashboard.outstandingBalance': 'Uncollected rent',
+        'dashboard.monthlyTrend': 'Monthly trend',
+        'dashboard.last12Months': 'Last 12 months',
+        'dashboard.last24Months': 'Last 24 months',
+        'dashboard.chartHint': 'Click a month to see the figures of each property',
+        'dashboard.expensesByCategory': 'Expenses by category',
+        'dashboard.noExpensesInPeriod': 'No expenses in this period',
+        'dashboard.occupancyTrend': 'Occupancy rate trend',
+        'dashboard.collectionStatus': 'Rent collection this month',
+        'dashboard.dueThisWeek': 'Rent due this week',
+        'dashboard.overdueRents': 'Overdue rent',
+        'dashboard.daysLate': 'Days late',
+        'dashboard.overdueAmount': 'Overdue amount',
+        'dashboard.expiringLeases': 'Leases ending soon',
+        'dashboard.within30Days': 'Within 30 days:',
+        'dashboard.within60Days': 'Within 60 days:',
+        'dashboard.within90Days': 'Within 90 days:',
+        'dashboard.daysLeft': 'Days left',
+        'dashboard.quickActions': 'Quick actions',
+        'dashboard.recordExpenses': 'Record expenses',
+        'dashboard.viewReports': 'View reports',
+        'dashboard.backup': 'Backup',
+        'dashboard.missingRates': 'No exchange rate for: {currencies}. Their amounts are counted in the totals as they are, without conversion to {base}; add the rates on the settings page.',
+        'dashboard.occupancyRate': 'Occupancy rate %',
+        'dashboard.drillDownTitle': 'Details of {month}',
+        'dashboard.noneDueSoon': 'No rent due in the next {days} days',
+        'dashboard.inDays': 'In {days} days',
+        'dashboard.noneOverdue': 'No overdue rent',
+        'dashboard.since': 'Since {date}',
+        'dashboard.monthsCount': '({months} months)',
+        'dashboard.noExpiringLeases': 'No leases ending in the next 90 days',
+        'dashboard.noneDueThisMonth': 'No rent due this month',
+
+        // Properties
+        'property.addTitle': 'Add property',
+        'property.name': 'Property name',
+        'property.monthlyRent': 'Monthly rent',
+        'property.rentalDate': 'Rental date',
+        'property.tenantChangeDate': 'Tenant change date',
+        'property.tenantChangeDateHint': 'The current tenant moves out and the new one moves in on this date',
+        'property.tenantChangeTooEarly': 'The change date cannot be before the current tenant moved in ({date})',
+        'property.noTenant': '-- No tenant --',
+        'property.newTenantName': 'New tenant name',
+        'property.monthlyRentAmount': 'Monthly rent amount',
+        'property.paymentDay': 'Monthly payment day',
+        'property.status': 'Property status',
+        'property.save': 'Save property',
+        'property.paymentDayPlaceholder': 'e.g. 1, 15 or 30',
+        'property.rentHint': 'The rent of recorded leases replaces this amount for the months they cover',
+        'property.currencyLocked': 'The property currency cannot change once payments have been recorded in it',
+        'property.editTitle': 'Edit property',
+        'property.newTenantOption': '+ New tenant',
+        'property.tenantRequired': 'Please choose the tenant of the rented property',
+        'property.newTenantRequired': 'Please enter the name of the new tenant',
+        'property.added': 'Property added successfully',
+        'property.updated': 'Property updated successfully',
+        'property.updateFailed': 'Could not update the property; the changes were not saved',
+        'property.deleteConfirm': 'Are you sure you want to delete this property? It will be moved to the recycle bin with its expenses.',
+        'property.deleted': 'Property deleted; it can be restored from the history page',
+        'properties.title': 'Property management',
+        'properties.minRent': 'Rent from',
+        'properties.maxRent': 'Rent to',
+        'properties.perPage': 'Per page',
+        'properties.empty': 'No properties recorded yet',
+        'properties.searchPlaceholder': 'Property name, tenant or notes',
+        'properties.resetFilters': 'Clear filters',
+        'properties.count': '{shown} of {total} properties',
+        'properties.noMatches': 'No properties match the search',
+        'properties.occupants': 'Occupants',
+        'properties.leases': 'Leases',
+        'properties.history': 'History',
+        'propertyStatus.rented': 'Rented',
+        'propertyStatus.vacant': 'Vacant',
+
+        // Tenants and occupancy
+        'tenants.title': 'Tenant management',
+        'tenants.currentProperty': 'Current property',
+        'tenants.empty': 'No tenants recorded yet',
+        'tenants.notLiving': 'Not living in a property',
+        'tenant.addTitle': 'Add tenant',
+        'tenant.name': 'Tenant name',
+        'tenant.nationalId': 'ID number',
+        'tenant.phone': 'Phone number',
+        'tenant.emailOptional': 'Email (optional)',
+        'tenant.save': 'Save tenant',
+        'tenant.editTitle': 'Edit tenant',
+        'tenant.nameRequired': 'Please enter the tenant name',
+        'tenant.added': 'Tenant added successfully',
+        'tenant.updated': 'Tenant updated successfully',
+        'tenant.deleteConfirm': 'Are you sure you want to delete this tenant?',
+        'tenant.deleted': 'Tenant deleted successfully',
+        'tenant.hasOccupancy': 'A tenant with an occupancy history cannot be deleted, as past reports depend on it',
+        'occupancy.title': 'Occupancy history',
+        'occupancy.moveIn': 'Move-in date',
+        'occupancy.moveOut': 'Move-out date',
+        'occupancy.currentMoveOut': 'Move-out date of the current tenant',
+        'occupancy.recordMoveOut': 'Record move-out',
+        'occupancy.modalTitle': 'Occupancy history: {property}',
+        'occupancy.empty': 'No tenant has lived in this property yet',
+        'occupancy.current': 'Current occupant',
+        'occupancy.moveOutBeforeMoveIn': 'The move-out date cannot be before the move-in date',
+        'occupancy.moveOutConfirm': 'Are you sure you want to record the move-out of the current tenant?',
+        'occupancy.movedOut': 'Move-out recorded successfully',
+
+        // Leases
+        'leases.title': 'Leases',
+        'leases.duration': 'Duration',
+        'leases.escalation': 'Increase on renewal',
+        'leases.addTitle': 'New lease for the current tenant',
+        'leases.startDate': 'Lease start date',
+        'leases.startDateHint': 'A lease starting after the 1st is charged pro rata by day for that month',
+        'leases.durationMonths': 'Duration (months)',
+        'leases.escalationValue': 'Increase value',
+        'leases.save': 'Save lease',
+        'leases.modalTitle': 'Leases: {property}',
+        'leases.empty': 'No leases recorded for this property',
+        'leases.until': 'until {date} ({months} months)',
+        'leases.renew': 'Renew',
+        'leases.required': 'Please enter the start date, duration and rent',
+        'leases.added': 'Lease recorded successfully',
+        'leases.renewConfirm': 'Renew the lease for another {months} months?',
+        'leases.renewed': 'Lease renewed until {date} at a rent of {rent}',
+        'leases.deleteConfirm': 'Are you sure you want to delete this lease?',
+        'leases.deleted': 'Lease deleted successfully',
+        'leaseStatus.upcoming': 'Not started',
+        'leaseStatus.active': 'Active',
+        'leaseStatus.expired': 'Expired',
+        'leaseStatus.renewed': 'Renewed',
+        'escalation.none': 'No increase',
+        'escalation.fixed': 'Fixed amount',
+        'escalation.percent': 'Percentage',
+
+        // Expenses
+        'expenses.title': 'Expense entry',
+        'expenses.addTitle': 'Add expenses',
+        'expenses.lines': 'Expense lines',
+        'expenses.addLine': 'Add line',
+        'expenses.save': 'Save expenses',
+        'expenses.log': 'Expense log',
+        'expenses.propertyCurrency': 'Property currency',
+        'expenses.propertyMonthRequired': 'Please choose the property and month',
+        'expenses.lineRequired': 'Please enter at least one expense line',
+        'expenses.updated': 'Expenses updated successfully',
+        'expenses.added': 'Expenses recorded successfully',
+        'expenses.empty': 'No expenses recorded',
+        'expenses.noMatches': 'No expenses match the filter',
+        'expenses.entry': 'Entry {number}: {amount}',
+        'expenses.editTitle': 'Edit expenses',
+        'expenses.update': 'Update expenses',
+        'expenses.deleteConfirm': 'Are you sure you want to delete these expenses?',
+        'expenses.deleted': 'Expenses deleted successfully',
+        'category.electricity': 'Electricity bill',
+        'category.water': 'Water bill',
+        'category.internet': 'Internet',
+        'category.cleaning': 'Cleaning',
+        'category.guard': 'Security guard',
+        'category.propertyTax': 'Property tax',
+        'category.repairs': 'Maintenance and repairs',
+        'category.other': 'Other expenses',
+        'responsibility.tenant': 'Charged to tenant',
+        'responsibility.owner': 'Borne by owner',
+
+        // Payments and receipts
+        'payments.title': 'Payment entry',
+        'payments.addTitle': 'Record a rent payment',
+        'payments.forMonth': 'For month',
+        'payments.amountPaid': 'Amount paid',
+        'payments.referenceOptional': 'Reference (optional)',
+        'payments.save': 'Save payment',
+        'payments.log': 'Payment log',
+        'payments.required': 'Please choose the property and month and enter the amount and payment date',
+        'payments.added': 'Payment recorded successfully',
+        'payments.dueHint': 'Due: {due} | Paid: {paid} | Arrears: {arrears} | Balance: {balance} {currency}',
+        'payments.empty': 'No payments recorded',
+        'payments.forMonthOn': 'For {month} | on {date}',
+        'payments.reference': 'Ref.: {reference}',
+        'payments.receiptNumber': 'Receipt no. {number}',
+        'payments.reprintReceipt': 'Reprint receipt',
+        'payments.issueReceipt': 'Issue receipt',
+        'payments.notFound': 'Payment not found',
+        'payments.deleteConfirm': 'Are you sure you want to delete this payment?',
+        'payments.deleted': 'Payment deleted successfully',
+        'paymentMethod.cash': 'Cash',
+        'paymentMethod.transfer': 'Bank transfer',
+        'paymentMethod.cheque': 'Cheque',
+        'paymentMethod.mobile': 'Mobile payment',
+        'paymentStatus.paid': 'Paid',
+        'paymentStatus.partial': 'Partly paid',
+        'paymentStatus.unpaid': 'Unpaid',
+        'paymentStatus.overdue': 'Overdue',
+        'paymentStatus.arrears': 'Arrears owed',
+        'paymentStatus.notDue': 'Nothing due',
+        'receipt.fileName': 'receipt_{number}.pdf',
+        'receipt.duplicateFileName': 'receipt_{number}_copy.pdf',
+        'receipt.duplicate': 'DUPLICATE',
+        'receipt.printFailed': 'Could not open the receipt, so it was not counted as printed: {error}',
+        'pdf.popupBlocked': 'The browser blocked the file window. Allow pop-ups for this site and try again.',
+        'pdf.openFailed': 'Could not create or open the PDF: {error}',
+        'receipt.title': 'Rent receipt',
+        'receipt.numberAndDate': 'Receipt no. {number} | issued on {date}',
+        'receipt.receivedFrom': 'Received from',
+        'receipt.period': 'For the period',
+        'receipt.amountInWords': 'Amount in words',
+        'receipt.recipientSignature': 'Recipient signature: ____________________',
+        'receipt.stamp': 'Stamp',
+        'receipt.duplicateNote': 'Duplicate of the original receipt, printed on {date}',
+
+        // Reports
+        'reports.monthlyTitle': 'Monthly reports',
+        'reports.chooseMonth': 'Choose month and year',
+        'reports.show': 'Show report',
+        'reports.choosePropertyAndMonth': 'Please choose the property and month to show the report.',
+        'reports.propertyNotFound': 'Property not found.',
+        'reports.leasePeriod': 'From {start} to {end}',
+        'reports.noLease': 'No lease recorded',
+        'reports.monthlyReportTitle': 'Monthly rent report',
+        'reports.propertyAndMonth': 'Property: {property} | Month: {month}',
+        'reports.item': 'Item',
+        'reports.value': 'Value',
+        'reports.rateNotSet': 'Not set',
+        'reports.leaseTerm': 'Lease term',
+        'reports.paymentDayOfMonth': 'Day {day} of each month',
+        'reports.ownerBorneExpenses': 'Expenses borne by the owner',
+        'reports.ownerNetIncome': 'Owner net income (rent - owner expenses)',
+        'reports.tenantTotalDue': 'Total due from the tenant (rent + recharged expenses)',
+        'reports.paidThisMonth': 'Paid for this month',
+        'reports.previousArrears': 'Arrears from previous months',
+        'reports.remainingBalance': 'Remaining rent balance',
+        'reports.paymentStatus': '💳 Payment status:',
+        'reports.reportDate': '📅 Report date:',
+        'reports.system': '🏠 System:',
+        'reports.exportPDF': 'Export report as PDF',
+        'reports.generatedBy': '🏠 By: {name}',
+        'reports.missingRates': 'Warning: no exchange rate for {currencies}; their amounts are counted in the totals as they are, without conversion to {base}.',
+        'reports.fileName': 'report_{property}_{month}.pdf',
+        'reports.propertyNotFoundAlert': 'Property not found',
+        'report.footer': 'This report was generated by the Smart Property Management System',
+        'reportPeriod.month': 'Month',
+        'reportPeriod.quarter': 'Quarter',
+        'reportPeriod.year': 'Year',
+        'period.quarter': 'Q{quarter} {year}',
+        'period.year': 'Year {year}',
+        'period.fiscalYear': 'Fiscal year {year}/{nextYear}',
+        'monthName.1': 'January',
+        'monthName.2': 'February',
+        'monthName.3': 'March',
+        'monthName.4': 'April',
+        'monthName.5': 'May',
+        'monthName.6': 'June',
+        'monthName.7': 'July',
+        'monthName.8': 'August',
+        'monthName.9': 'September',
+        'monthName.10': 'October',
+        'monthName.11': 'November',
+        'monthName.12': 'December',
+        'portfolio.title': 'Property portfolio report',
+        'portfolio.monthInPeriod': 'A month in the period',
+        'portfolio.show': 'Show report for all properties',
+        'portfolio.collected': 'Collected',
+        'portfolio.occupancy': 'Occupancy',
+        'portfolio.note': 'Amounts in {currency}; properties rented in another currency are converted at the rate in force each month, with their rent also shown in the original currency. Expense columns include both owner-borne and tenant-recharged expenses.',
+        'portfolio.monthlyTotals': 'Monthly totals',
+        'portfolio.choosePeriod': 'Please choose the period to show the report.',
+        'portfolio.noProperties': 'No properties recorded yet.',
+        'portfolio.propertyCount': '{count} properties',
+        'portfolio.ownerNetIncome': '💰 Owner net income:',
+        'portfolio.fileName': 'portfolio_{from}_{to}.pdf',
+        'statement.title': 'Annual income statement',
+        'statement.year': 'Year',
+        'statement.yearType': 'Year type',
+        'statement.calendarYear': 'Calendar year (January - December)',
+        'statement.fiscalYear': 'Fiscal year from settings',
+        'statement.show': 'Show income statement',
+        'statement.collectedRent': 'Rent collected',
+        'statement.vacantMonths': 'Vacant months',
+        'statement.vacancyLoss': 'Vacancy loss',
+        'statement.totalCollectedRent': 'Total rent collected',
+        'statement.deduction': 'Less: {name}',
+        'statement.totalDeductible': 'Total deductible expenses',
+        'statement.vacancyLossNote': 'Vacancy losses (for information, not deducted)',
+        'statement.netTaxableIncome': 'Net taxable income',
+        'statement.invalidYear': 'Please enter a valid year.',
+        'statement.periodRange': '{label} ({from} to {to})',
+        'statement.exportPDF': 'Export PDF',
+        'statement.exportCSV': 'Export CSV',
+        'statement.invalidYearAlert': 'Please enter a valid year',
+        'statement.fileName': 'income_statement_{from}_{to}',
+        'statement.collectedRentOriginal': 'Rent collected in the property currency',
+        'statement.note': 'Amounts in {currency}; amounts in other currencies are converted at the rate in force on the payment date or in the expense month. Rent is counted when collected, and only owner-borne expenses are deducted.',
+        'statement.issuedOn': '📅 Issued on: {date}',
+        'batch.title': 'Reports for all properties at once',
+        'batch.format': 'Output format',
+        'batch.singlePdf': 'One multi-page PDF',
+        'batch.zip': 'A ZIP with one PDF per property',
+        'batch.generate': 'Generate all reports',
+        'batch.monthRequired': 'Please choose the month',
+        'batch.noProperties': 'No properties recorded',
+        'batch.zipUnavailable': 'The compression library is not available; please check the connection',
+        'batch.preparing': 'Preparing the report of {property}',
+        'batch.creatingZip': 'Creating the ZIP file',
+        'batch.creatingPdf': 'Creating the PDF file',
+        'batch.zipFileName': 'reports_{month}.zip',
+        'batch.pdfFileName': 'reports_{month}.pdf',
+        'batch.done': '{created} of {total} reports created',
+        'batch.fileFailed': 'Could not create the file',
+        'batch.error': 'An error occurred while creating the file: {error}',
+        'batch.failures': 'Could not create the reports of these properties:',
+
+        // Change log
+        'history.undoLast': 'Undo last operation',
+        'history.recycleBin': 'Recycle bin',
+        'history.deletedOn': 'Deleted on',
+        'history.user': 'User',
+        'history.expenseCount': 'Number of expenses',
+        'history.changeLog': 'Change log',
+        'history.retentionNote': 'Only the last {count} changes are kept; older ones can no longer be undone or restored.',
+        'history.changes': 'Changes',
+        'history.noChanges': 'No changes recorded',
+        'history.moreChanges': 'and {count} more changes',
+        'history.recycleBinEmpty': 'The recycle bin is empty',
+        'history.restore': 'Restore',
+        'history.propertyTitle': 'Change history of {property}',
+        'history.nothingToUndo': 'There is nothing to undo',
+        'history.undoConfirm': 'The last operation ({time}) will be undone: {summary}. Continue?',
+        'history.undone': 'Operation undone successfully',
+        'history.restoreConfirm': 'Do you want to restore this property with its expenses and payments?',
+        'history.restored': 'Property restored successfully',
+        'changeType.add': 'Added',
+        'changeType.update': 'Updated',
+        'changeType.delete': 'Deleted',
+        'collection.properties': 'Properties',
+        'collection.expenses': 'Expenses',
+        'collection.payments': 'Payments',
+        'collection.tenants': 'Tenants',
+        'collection.occupancies': 'Occupancies',
+        'collection.leases': 'Leases',
+        'collection.receipts': 'Receipts',
+        'collection.exchangeRates': 'Exchange rates',
+        'collection.settings': 'Settings',
+        'field.name': 'Name',
+        'field.monthlyRent': 'Monthly rent',
+        'field.rentalDate': 'Rental date',
+        'field.paymentDate': 'Payment day',
+        'field.status': 'Status',
+        'field.notes': 'Notes',
+        'field.month': 'Month',
+        'field.lines': 'Expense lines',
+        'field.amount': 'Amount',
+        'field.paidOn': 'Payment date',
+        'field.method': 'Payment method',
+        'field.reference': 'Reference',
+        'field.nationalId': 'ID number',
+        'field.phone': 'Phone',
+        'field.email': 'Email',
+        'field.moveIn': 'Move-in date',
+        'field.moveOut': 'Move-out date',
+        'field.startDate': 'Lease start',
+        'field.endDate': 'Lease end',
+        'field.currency': 'Currency',
+        'field.rate': 'Exchange rate',
+        'field.effectiveDate': 'Effective date',
+        'field.businessName': 'Business name',
+        'field.userName': 'User name',
+        'field.fiscalYearStart': 'Fiscal year start',
+        'field.reportLogo': 'Logo',
+        'field.reportAddress': 'Address',
+        'field.reportPhone': 'Phone',
+        'field.reportSignature': 'Signature or stamp',
+        'field.reportAccentColor': 'Report colour',
+        'field.reportFooterText': 'Report footer',
+        'field.reportPaperSize': 'Paper size',
+        'field.reportOrientation': 'Orientation',
+        'field.number': 'Receipt number',
+        'field.payer': 'Payer',
+        'field.issuedOn': 'Issue date',
+        'field.printCount': 'Times printed',
+        'field.expenseCategories': 'Expense categories',
+
+        // Settings
+        'settings.systemTitle': 'System settings',
+        'settings.baseCurrency': 'Base currency',
+        'settings.baseCurrencyHint': 'Dashboard and consolidated report totals are converted to this currency',
+        'settings.businessName': 'Business name',
+        'settings.userName': 'User name',
+        'settings.reminderLeadDays': 'Reminder before due date (days)',
+        'settings.reminderLeadDaysHint': 'Separate days with a comma',
+        'settings.gracePeriodDays': 'Grace period (days)',
+        'settings.gracePeriodDaysHint': 'Rent counts as overdue once it has passed',
+        'settings.fiscalYearStart': 'Fiscal year start',
+        'settings.fiscalYearStartHint': 'January means the calendar year; used by the annual income statement',
+        'settings.notifications': 'Desktop notifications when rent is about to fall due',
+        'settings.save': 'Save settings',
+        'settings.userNameHint': 'Shown in the change log',
+        'settings.currencyRequired': 'Please enter the base currency',
+        'settings.invalidDays': 'Reminder days and grace period must be positive whole numbers',
+        'settings.renameCurrencyConfirm': 'Do you want to move the properties and expenses recorded in {previous} to {currency}?\nChoose "Cancel" if {currency} is a different currency; the recorded exchange rates are then converted to {currency}.',
+        'settings.baseCurrencyNeedsRate': 'The recorded exchange rates cannot be converted to {currency} because it has no rate against {previous}. Add an exchange rate for {currency} first, then change the base currency.',
+        'settings.saved': 'Settings saved successfully',
+        'settings.languageTitle': 'Language and dates',
+        'settings.interfaceLanguage': 'Interface language',
+        'settings.reportLanguage': 'Language of reports and receipts',
+        'settings.sameAsInterface': 'Same as the interface',
+        'settings.calendar': 'Calendar',
+        'calendar.gregory': 'Gregorian',
+        'calendar.islamic-umalqura': 'Hijri (Umm al-Qura) with Gregorian',
+        'settings.numerals': 'Numerals',
+        'numerals.latn': 'Western (0123)',
+        'numerals.arab': 'Eastern Arabic (٠١٢٣)',
+        'settings.languageHint': 'The language and date choices are kept on this device',
+        'notifications.unsupported': 'The browser does not support notifications',
+        'notifications.denied': 'Notifications were not allowed; they can be enabled in the browser settings',
+        'notifications.dueToday': 'Rent due today',
+        'notifications.dueInDays': 'Rent due in {days} days',
+        'notifications.overdue': 'Rent overdue',
+        'branding.title': 'Report branding',
+        'branding.logo': 'Logo',
+        'branding.address': 'Address',
+        'branding.signature': 'Signature or stamp',
+        'branding.footerText': 'Footer text',
+        'branding.color': 'Colour',
+        'branding.paperSize': 'Paper size',
+        'branding.orientation': 'Orientation',
+        'branding.save': 'Save report settings',
+        'branding.removeImage': 'Remove',
+        'branding.noImage': 'No image',
+        'branding.notImage': 'The chosen file is not an image',
+        'branding.unreadableImage': 'Could not read the image',
+        'branding.invalidColor': 'Invalid report colour',
+        'branding.saved': 'Report settings saved successfully',
+        'orientation.portrait': 'Portrait',
+        'orientation.landscape': 'Landscape',
+        'categories.title': 'Expense categories',
+        'categories.defaultResponsibility': 'Borne by default by',
+        'categories.newName': 'New category name',
+        'categories.nameRequired': 'Please enter the category name',
+        'categories.duplicate': 'A category with this name already exists',
+        'categories.namePrompt': 'Category name',
+        'categories.ownerPrompt': 'Is this category borne by the owner by default? (OK = owner, Cancel = tenant)',
+        'categories.deleteConfirm': 'Are you sure you want to delete this category?',
+        'categories.archived': 'The category is used by earlier expenses, so it was hidden from the form but kept in the reports',
+        'categories.deleted': 'Category deleted successfully',
+        'rates.title': 'Exchange rates',
+        'rates.hint': 'Value of one unit of each currency in the base currency; each rate applies from its date until the next one.',
+        'rates.rate': 'Rate',
+        'rates.effectiveFrom': 'Effective from',
+        'rates.empty': 'No exchange rates recorded',
+        'rates.required': 'Please enter the currency and effective date',
+        'rates.baseCurrency': 'The base currency rate is fixed and needs no entry',
+        'rates.invalid': 'The exchange rate must be a positive number',
+        'rates.deleteConfirm': 'Are you sure you want to delete this exchange rate?',
+
+        // Backup, import and export
+        'backup.title': 'Data and backup',
+        'backup.export': 'Export all data (JSON)',
+        'backup.import': 'Import data',
+        'backup.clear': 'Delete all data',
+        'backup.clearConfirm': 'Are you sure you want to delete all data? You can undo this from the History page.',
+        'backup.cleared': 'All data deleted successfully',
+        'backup.passphrase': 'Encryption passphrase (optional)',
+        'backup.passphraseConfirm': 'Confirm passphrase',
+        'backup.passphraseHint': 'Leave empty to export an unencrypted file. An encrypted backup cannot be restored without its passphrase.',
+        'backup.passphraseTooShort': 'The passphrase must be at least {min} characters long',
+        'backup.passphraseMismatch': 'The passphrases do not match',
+        'backup.passphraseRequired': 'Please enter the passphrase',
+        'backup.cryptoUnavailable': 'Encryption is not available in this browser (a secure HTTPS connection is required)',
+        'backup.encryptFailed': 'Could not encrypt the backup: {error}',
+        'backup.encryptedTitle': 'Encrypted backup:',
+        'backup.enterPassphrase': 'This file is encrypted. Enter the passphrase used when it was exported.',
+        'backup.decrypt': 'Decrypt',
+        'backup.decryptFailed': 'Could not decrypt: the passphrase is wrong, or the file has been modified or damaged.',
+        'backup.invalidEncrypted': 'The encrypted file is invalid or from an unsupported version',
+        'snapshots.title': 'Restore points',
+        'snapshots.hint': 'The app automatically keeps a copy of the data on this device every day, and before every import, data deletion or restore.',
+        'snapshots.retention': 'Copies to keep of each kind',
+        'snapshots.save': 'Save',
+        'snapshots.invalidRetention': 'The number of copies must be between 1 and {max}',
+        'snapshots.retentionSaved': 'The number of copies to keep has been saved',
+        'snapshots.createNow': 'Create a restore point now',
+        'snapshots.created': 'Restore point created',
+        'snapshots.failed': 'Could not save the restore point: {error}',
+        'snapshots.error': 'The restore point operation failed: {error}',
+        'snapshots.failedContinue': 'Could not save a restore point before this operation: {error}\nContinue anyway?',
+        'snapshots.empty': 'No restore points yet',
+        'snapshots.reason': 'Reason',
+        'snapshots.contents': 'Contents',
+        'snapshots.noRecords': 'No data',
+        'snapshots.reason.daily': 'Daily',
+        'snapshots.reason.beforeImport': 'Before import',
+        'snapshots.reason.beforeClear': 'Before clearing data',
+        'snapshots.reason.beforeRestore': 'Before restore',
+        'snapshots.reason.manual': 'Manual',
+        'snapshots.restore': 'Restore',
+        'snapshots.restoreConfirm': 'All current data will be replaced by the restore point of {date}, after the current data is saved as a new restore point. Continue?',
+        'snapshots.restored': 'The data has been restored',
+        'snapshots.cannotRestore': 'This restore point cannot be restored:',
+        'snapshots.download': 'Download',
+        'snapshots.deleteConfirm': 'Delete this restore point?',
+        'snapshots.chooseFolder': 'Copy to a folder',
+        'snapshots.folderHint': 'Optional: choose a folder where every restore point is also written as a file, so it survives clearing the browser data. To encrypt these copies, enter the encryption passphrase in the backup section before choosing the folder.',
+        'snapshots.folderActive': 'Restore points are copied to the folder: {folder}',
+        'snapshots.folderEncrypted': 'The copies are encrypted with the passphrase.',
+        'snapshots.folderUnencrypted': 'The copies are not encrypted: anyone with access to the folder can read all the data.',
+        'snapshots.folderUnencryptedConfirm': 'No passphrase was entered, so the restore points will be written to the folder unencrypted, readable by anyone with access to it.\nTo encrypt them, choose "Cancel" and enter the passphrase in the backup section. Continue without encryption?',
+        'snapshots.folderCopyFailed': 'Could not copy the restore point to the folder: {error}',
+        'snapshots.folderLastFailure': 'The last copy to the folder failed ({date}): {error}',
+        'snapshots.folderPermission': 'Write access to the folder {folder} must be allowed again.',
+        'snapshots.allowFolder': 'Allow',
+        'snapshots.forgetFolder': 'Stop copying',
+        'exchange.title': 'Data exchange with Excel / CSV',
+        'exchange.export': 'Export',
+        'exchange.dataset': 'Data',
+        'exchange.propertiesTable': 'Property table',
+        'exchange.monthlySummary': 'Monthly summary',
+        'exchange.bulkImport': 'Bulk import',
+        'exchange.dataType': 'Data type',
+        'exchange.properties': 'Properties',
+        'exchange.expenses': 'Expenses',
+        'exchange.chooseFile': 'Choose an Excel or CSV file',
+        'exchange.mapColumns': 'Map file columns to fields',
+        'exchange.validateRows': 'Check rows',
+        'exchange.importValidRows': 'Import valid rows',
+        'exchange.responsibility': 'Borne by',
+        'exchange.forMonth': 'For month',
+        'exchange.reference': 'Reference',
+        'exchange.tenantExpenses': 'Tenant expenses',
+        'exchange.ownerExpenses': 'Owner expenses',
+        'exchange.ownerNetIncome': 'Owner net income',
+        'exchange.paymentStatus': 'Payment status',
+        'exchange.invalidRange': 'The start month must come before the end month',
+        'exchange.excelUnavailable': 'The Excel library is not available; please check the connection',
+        'exchange.excelMissing': 'The Excel library is not available',
+        'exchange.unreadableFile': 'Could not read the file: {error}',
+        'exchange.noRows': 'The file contains no data rows',
+        'exchange.fileRows': '{name} ({count} rows)',
+        'exchange.noColumn': '-- None --',
+        'exchange.mapRequired': 'Please map the required columns: {fields}',
+        'exchange.validRows': 'Valid rows:',
+        'exchange.errorRows': 'Rows with errors:',
+        'exchange.row': 'Row',
+        'exchange.errors': 'Errors',
+        'exchange.importWithErrorsConfirm': '{valid} rows will be imported and {errors} rows with errors skipped. Continue?',
+        'exchange.importConfirm': '{valid} rows will be imported. Continue?',
+        'exchange.imported': '{count} rows imported successfully',
+        'import.title': 'Data import:',
+        'import.mode': 'Import mode',
+        'import.merge': 'Merge by id (keep current data and add new records)',
+        'import.replace': 'Replace everything with the file contents',
+        'import.conflicts': 'Existing records with a different version',
+        'import.keepCurrent': 'Keep the current version',
+        'import.useImported': 'Use the imported version',
+        'import.confirm': 'Confirm import',
+        'import.row.nameMissing': 'Property name is missing',
+        'import.row.duplicateName': 'A property with this name already exists',
+        'import.row.invalidRent': 'Invalid monthly rent',
+        'import.row.invalidRentalDate': 'Invalid rental date',
+        'import.row.invalidPaymentDay': 'The payment day must be between 1 and 31',
+        'import.row.unknownStatus': 'Unknown status',
+        'import.row.tenantRequired': 'A rented property needs a tenant name',
+        'import.row.propertyNotFound': 'Property not found',
+        'import.row.invalidMonth': 'Invalid month',
+        'import.row.unknownCategory': 'Unknown expense category',
+        'import.row.invalidAmount': 'Invalid amount',
+        'import.row.unknownResponsibility': 'Unknown responsibility',
+        'import.error.notBackup': 'The file does not contain a valid backup',
+        'import.error.noKnownData': 'The file does not contain any known data',
+        'import.error.notList': '{collection}: must be a list',
+        'import.error.invalidItems': '{collection}: contains invalid items',
+        'import.error.settingsNotObject': 'Settings: must be an object',
+        'import.error.invalidSchemaVersion': 'Invalid data version number',
+        'import.error.newerVersion': 'The file comes from a newer version of this application',
+        'import.error.migrationFailed': 'Could not upgrade the data to the current version: {error}',
+        'import.error.line': 'Line {line}: {problem}',
+        'import.error.duplicateId': 'Duplicate id',
+        'import.error.missingReference': 'The field "{field}" points to a record missing from {collection}',
+        'import.error.record': '{collection} - record {record}: {problem}',
+        'import.error.invalidSetting': 'Settings: field "{field}" is invalid',
+        'import.error.categoriesNotList': 'Settings: expense categories must be a list',
+        'import.invalidJson': 'Import error: the file is not valid JSON',
+        'import.cannotImport': 'This file cannot be imported:',
+        'import.moreProblems': 'and {count} more problems',
+        'import.settingsReplaced': 'Will be replaced',
+        'import.settingsMerged': 'Only new expense categories are added',
+        'import.unchanged': 'Unchanged',
+        'import.replaceConfirm': 'All current data will be replaced with the file contents. Are you sure?',
+        'import.done': 'Data imported successfully',
+        'validation.notAnObject': 'Not a valid object',
+        'validation.missingField': 'Field "{field}" is missing',
+        'validation.invalidField': 'Field "{field}" has an invalid value',
+        'storage.noIndexedDB': 'This browser does not support IndexedDB',
+        'storage.saveAborted': 'Saving was aborted',
+        'storage.saveFailed': 'Could not save the data: {error}'
+    }
+};
@@ -1,811 +1,6935 @@
 // ===================================
-// Data Management
+// Helpers
 // ===================================
 
-class PropertyManager {
-    constructor() {
-        this.properties = [];
-        this.expenses = [];
-        this.settings = {
-            currency: 'UM',
-            businessName: 'نظام إدارة العقارات الذكي'
-        };
-        this.loadData();
-    }
-
-    // Load data from LocalStorage
-    loadData() {
-        const propertiesData = localStorage.getItem('properties');
-        const expensesData = localStorage.getItem('expenses');
-        const settingsData = localStorage.getItem('settings');
-
-        this.properties = propertiesData ? JSON.parse(propertiesData) : [];
-        this.expenses = expensesData ? JSON.parse(expensesData) : [];
-        this.settings = settingsData ? JSON.parse(settingsData) : this.settings;
-    }
-
-    // Save data to LocalStorage
-    saveData() {
-        localStorage.setItem('properties', JSON.stringify(this.properties));
-        localStorage.setItem('expenses', JSON.stringify(this.expenses));
-        localStorage.setItem('settings', JSON.stringify(this.settings));
-    }
+// Current month as YYYY-MM
+function getCurrentMonth() {
+    return new Date().toISOString().slice(0, 7);
+}
 
-    // Add a new property
-    addProperty(property) {
-        property.id = Date.now();
-        this.properties.push(property);
-        this.saveData();
-        return property;
-    }
+// Shift a YYYY-MM month by a number of months
+function addMonths(month, count) {
+    const [year, monthNum] = month.split('-').map(Number);
+    const date = new Date(year, monthNum - 1 + count, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+}
 
-    // Update a property
-    updateProperty(id, updatedProperty) {
-        const index = this.properties.findIndex(p => p.id === id);
-        if (index !== -1) {
-            this.properties[index] = { ...this.properties[index], ...updatedProperty, id };
-            this.saveData();
-            return this.properties[index];
-        }
-        return null;
+// Report periods and the first and last month of the period containing `month`
+function getReportPeriod(period, month) {
+    const [year, monthNum] = month.split('-').map(Number);
+    if (period === 'quarter') {
+        const quarter = Math.ceil(monthNum / 3);
+        const fromMonth = `${year}-${String(quarter * 3 - 2).padStart(2, '0')}`;
+        return { fromMonth, toMonth: addMonths(fromMonth, 2), label: t('period.quarter', { quarter, year }) };
     }
-
-    // Delete a property
-    deleteProperty(id) {
-        this.properties = this.properties.filter(p => p.id !== id);
-        this.expenses = this.expenses.filter(e => e.propertyId !== id);
-        this.saveData();
+    if (period === 'year') {
+        return { fromMonth: `${year}-01`, toMonth: `${year}-12`, label: t('period.year', { year }) };
     }
+    return { fromMonth: month, toMonth: month, label: formatMonth(month) };
+}
 
-    // Get all properties
-    getProperties() {
-        return this.properties;
+// Months of a calendar year, or of a fiscal year starting in `startMonth` (1-12) of `year`
+function getFiscalYear(year, startMonth = 1) {
+    if (startMonth === 1) {
+        return { fromMonth: `${year}-01`, toMonth: `${year}-12`, label: t('period.year', { year }) };
     }
+    const fromMonth = `${year}-${String(startMonth).padStart(2, '0')}`;
+    return { fromMonth, toMonth: addMonths(fromMonth, 11), label: t('period.fiscalYear', { year, nextYear: year + 1 }) };
+}
 
-    // Get property by ID
-    getPropertyById(id) {
-        return this.properties.find(p => p.id === id);
-    }
+// Last day of a YYYY-MM month as YYYY-MM-DD
+function getMonthEnd(month) {
+    return addDaysToDate(`${addMonths(month, 1)}-01`, -1);
+}
 
-    // Add expense
-    addExpense(expense) {
-        expense.id = Date.now();
-        this.expenses.push(expense);
-        this.saveData();
-        return expense;
-    }
+// Today as YYYY-MM-DD
+function getToday() {
+    return new Date().toISOString().slice(0, 10);
+}
 
-    // Get expenses for a property and month
-    getExpenses(propertyId, month) {
-        return this.expenses.filter(e => e.propertyId === propertyId && e.month === month);
-    }
+// Shift a YYYY-MM-DD date by a number of months, clamping to the end of shorter months
+function addMonthsToDate(date, count) {
+    const [year, monthNum, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, monthNum - 1 + count, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+}
 
-    // Get all expenses
-    getAllExpenses() {
-        return this.expenses;
-    }
+// Shift a YYYY-MM-DD date by a number of days
+function addDaysToDate(date, count) {
+    const [year, monthNum, day] = date.split('-').map(Number);
+    return new Date(Date.UTC(year, monthNum - 1, day + count)).toISOString().slice(0, 10);
+}
 
-    // Delete expense
-    deleteExpense(id) {
-        this.expenses = this.expenses.filter(e => e.id !== id);
-        this.saveData();
-    }
+// Whole days from one YYYY-MM-DD date to another
+function daysBetween(from, to) {
+    const toUTC = date => {
+        const [year, monthNum, day] = date.split('-').map(Number);
+        return Date.UTC(year, monthNum - 1, day);
+    };
+    return Math.round((toUTC(to) - toUTC(from)) / 86400000);
+}
 
-    // Calculate statistics
-    getStatistics() {
-        const totalProperties = this.properties.length;
-        const rentedProperties = this.properties.filter(p => p.status === 'rented').length;
-        const vacantProperties = totalProperties - rentedProperties;
+// Round an amount to two decimals to avoid floating point drift
+function roundAmount(value) {
+    return Math.round(value * 100) / 100;
+}
 
-        const currentMonth = new Date().toISOString().slice(0, 7);
-        const monthlyIncome = this.properties
-            .filter(p => p.status === 'rented')
-            .reduce((sum, p) => sum + parseFloat(p.monthlyRent || 0), 0);
+const ARABIC_ONES = ['', 'واحد', 'اثنان', 'ثلاثة', 'أربعة', 'خمسة', 'ستة', 'سبعة', 'ثمانية', 'تسعة'];
+const ARABIC_TEENS = ['عشرة', 'أحد عشر', 'اثنا عشر', 'ثلاثة عشر', 'أربعة عشر', 'خمسة عشر', 'ستة عشر', 'سبعة عشر', 'ثمانية عشر', 'تسعة عشر'];
+const ARABIC_TENS = ['', '', 'عشرون', 'ثلاثون', 'أربعون', 'خمسون', 'ستون', 'سبعون', 'ثمانون', 'تسعون'];
+const ARABIC_HUNDREDS = ['', 'مائة', 'مائتان', 'ثلاثمائة', 'أربعمائة', 'خمسمائة', 'ستمائة', 'سبعمائة', 'ثمانمائة', 'تسعمائة'];
 
-        const monthlyExpenses = this.expenses
-            .filter(e => e.month === currentMonth)
-            .reduce((sum, e) => {
-                return sum + parseFloat(e.electricity || 0) + parseFloat(e.water || 0) + parseFloat(e.other || 0);
-            }, 0);
+// Scale words: singular, dual, plural (3 to 10) and the form used from 11 upwards
+const ARABIC_SCALES = [
+    { size: 1e9, words: ['مليار', 'ملياران', 'مليارات', 'مليار'] },
+    { size: 1e6, words: ['مليون', 'مليونان', 'ملايين', 'مليون'] },
+    { size: 1e3, words: ['ألف', 'ألفان', 'آلاف', 'ألف'] }
+];
 
-        const netProfit = monthlyIncome;
+// Arabic words for a number below one thousand
+function hundredsToArabicWords(number) {
+    const parts = [];
+    const hundreds = Math.floor(number / 100);
+    const rest = number % 100;
 
-        return {
-            totalProperties,
-            rentedProperties,
-            vacantProperties,
-            monthlyIncome,
-            monthlyExpenses,
-            netProfit
-        };
+    if (hundreds) parts.push(ARABIC_HUNDREDS[hundreds]);
+    if (rest >= 20) {
+        const ones = rest % 10;
+        parts.push(ones ? `${ARABIC_ONES[ones]} و${ARABIC_TENS[Math.floor(rest / 10)]}` : ARABIC_TENS[rest / 10]);
+    } else if (rest >= 10) {
+        parts.push(ARABIC_TEENS[rest - 10]);
+    } else if (rest) {
+        parts.push(ARABIC_ONES[rest]);
     }
+    return parts.join(' و');
+}
 
-    // Export all data as JSON
-    exportData() {
-        return {
-            properties: this.properties,
-            expenses: this.expenses,
-            settings: this.settings,
-            exportDate: new Date().toISOString()
-        };
-    }
+// Arabic words for a whole number, e.g. 2350 -> "ألفان وثلاثمائة وخمسون"
+function numberToArabicWords(number) {
+    if (number === 0) return 'صفر';
 
-    // Import data from JSON
-    importData(data) {
-        if (data.properties) this.properties = data.properties;
-        if (data.expenses) this.expenses = data.expenses;
-        if (data.settings) this.settings = data.settings;
-        this.saveData();
-    }
+    const parts = [];
+    let rest = number;
+    ARABIC_SCALES.forEach(({ size, words }) => {
+        const count = Math.floor(rest / size);
+        rest %= size;
+        if (count === 1) parts.push(words[0]);
+        else if (count === 2) parts.push(words[1]);
+        else if (count >= 3 && count <= 10) parts.push(`${hundredsToArabicWords(count)} ${words[2]}`);
+        else if (count > 10) parts.push(`${hundredsToArabicWords(count)} ${words[3]}`);
+    });
+    if (rest) parts.push(hundredsToArabicWords(rest));
+    return parts.join(' و');
+}
 
-    // Clear all data
-    clearAllData() {
-        this.properties = [];
-        this.expenses = [];
-        this.settings = {
-            currency: 'UM',
-            businessName: 'نظام إدارة العقارات الذكي'
-        };
-        this.saveData();
-    }
+// An amount written out in words for receipts, with the fraction in hundredths
+function amountToArabicWords(amount, currency) {
+    const cents = Math.round(amount * 100);
+    const whole = Math.floor(cents / 100);
+    const fraction = cents % 100;
+    const words = `${numberToArabicWords(whole)} ${currency}`;
+    return `فقط ${words}${fraction ? ` و${numberToArabicWords(fraction)} من المائة` : ''} لا غير`;
 }
 
-// Initialize Property Manager
-const manager = new PropertyManager();
+const FRENCH_UNITS = ['zéro', 'un', 'deux', 'trois', 'quatre', 'cinq', 'six', 'sept', 'huit', 'neuf', 'dix',
+    'onze', 'douze', 'treize', 'quatorze', 'quinze', 'seize'];
+const FRENCH_TENS = ['', '', 'vingt', 'trente', 'quarante', 'cinquante', 'soixante', 'soixante', 'quatre-vingt', 'quatre-vingt'];
 
-// ===================================
-// UI Functions
-// ===================================
+// French words for a number below one hundred; seventy and ninety count on from sixty and eighty
+function tensToFrenchWords(number, final = true) {
+    if (number <= 16) return FRENCH_UNITS[number];
+    if (number < 20) return `dix-${FRENCH_UNITS[number - 10]}`;
 
-// Show page
-function showPage(pageName) {
-    const pages = document.querySelectorAll('.page-content');
-    pages.forEach(page => page.style.display = 'none');
-    
-    const page = document.getElementById(pageName);
-    if (page) {
-        page.style.display = 'block';
-        
-        // Call page-specific initialization
-        if (pageName === 'properties') {
-            loadProperties();
-        } else if (pageName === 'expenses') {
-            loadExpensesList();
-            populateExpensePropertySelect();
-        } else if (pageName === 'dashboard') {
-            updateDashboard();
-        } else if (pageName === 'reports') {
-            populateReportPropertySelect();
-        }
-    }
+    const tens = Math.floor(number / 10);
+    const rest = tens === 7 || tens === 9 ? number % 20 : number % 10;
+    if (rest === 0) return tens === 8 && final ? 'quatre-vingts' : FRENCH_TENS[tens];
+    if ((rest === 1 || rest === 11) && tens !== 8 && tens !== 9) return `${FRENCH_TENS[tens]} et ${tensToFrenchWords(rest)}`;
+    return `${FRENCH_TENS[tens]}-${tensToFrenchWords(rest)}`;
 }
 
-// Populate report property select
-function populateReportPropertySelect() {
-    const properties = manager.getProperties();
-    const select = document.getElementById('reportProperty');
-    
-    select.innerHTML = '<option value="">-- اختر عقاراً --</option>' + 
-        properties.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
-}
+// French words for a number below one thousand; "cents" and "vingts" only take their s at the end of the number
+function hundredsToFrenchWords(number, final = true) {
+    const hundreds = Math.floor(number / 100);
+    const rest = number % 100;
+    const parts = [];
 
-// Update dashboard statistics
-function updateDashboard() {
-    const stats = manager.getStatistics();
-    
-    document.getElementById('totalProperties').textContent = stats.totalProperties;
-    document.getElementById('rentedProperties').textContent = stats.rentedProperties;
-    document.getElementById('vacantProperties').textContent = stats.vacantProperties;
-    document.getElementById('monthlyIncome').textContent = `${stats.monthlyIncome.toFixed(2)} ${manager.settings.currency}`;
-    document.getElementById('totalExpenses').textContent = `${stats.monthlyExpenses.toFixed(2)} ${manager.settings.currency}`;
-    document.getElementById('netProfit').textContent = `${stats.netProfit.toFixed(2)} ${manager.settings.currency}`;
+    if (hundreds === 1) parts.push('cent');
+    else if (hundreds > 1) parts.push(`${FRENCH_UNITS[hundreds]} ${rest === 0 && final ? 'cents' : 'cent'}`);
+    if (rest || !hundreds) parts.push(tensToFrenchWords(rest, final));
+    return parts.join(' ');
 }
 
-// Show add property modal
-function showAddPropertyModal() {
-    document.getElementById('propertyForm').reset();
-    document.getElementById('propertyModalTitle').textContent = 'إضافة عقار جديد';
-    document.getElementById('propertyForm').dataset.mode = 'add';
-    document.getElementById('propertyForm').dataset.id = '';
-    
-    const modal = new bootstrap.Modal(document.getElementById('propertyModal'));
-    modal.show();
+// French words for a whole number, e.g. 2350 -> "deux mille trois cent cinquante"
+function numberToFrenchWords(number) {
+    if (number === 0) return 'zéro';
+
+    const parts = [];
+    let rest = number;
+    [[1e9, 'milliard'], [1e6, 'million']].forEach(([size, word]) => {
+        const count = Math.floor(rest / size);
+        rest %= size;
+        if (count) parts.push(`${hundredsToFrenchWords(count)} ${word}${count > 1 ? 's' : ''}`);
+    });
+    const thousands = Math.floor(rest / 1000);
+    rest %= 1000;
+    if (thousands) parts.push(thousands === 1 ? 'mille' : `${hundredsToFrenchWords(thousands, false)} mille`);
+    if (rest) parts.push(hundredsToFrenchWords(rest));
+    return parts.join(' ');
 }
 
-// Show edit property modal
-function showEditPropertyModal(id) {
-    const property = manager.getPropertyById(id);
-    if (!property) return;
+// A French amount in words, with the fraction in hundredths
+function amountToFrenchWords(amount, currency) {
+    const cents = Math.round(amount * 100);
+    const whole = Math.floor(cents / 100);
+    const fraction = cents % 100;
+    return `${numberToFrenchWords(whole)} ${currency}${fraction ? ` et ${numberToFrenchWords(fraction)} centièmes` : ''}`;
+}
 
-    document.getElementById('propertyName').value = property.name;
-    document.getElementById('tenantName').value = property.tenant;
-    document.getElementById('monthlyRent').value = property.monthlyRent;
-    document.getElementById('rentalDate').value = property.rentalDate;
-    document.getElementById('paymentDate').value = property.paymentDate;
-    document.getElementById('propertyStatus').value = property.status;
-    document.getElementById('propertyNotes').value = property.notes || '';
+const ENGLISH_UNITS = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+    'eleven', 'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const ENGLISH_TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
 
-    document.getElementById('propertyModalTitle').textContent = 'تعديل العقار';
-    document.getElementById('propertyForm').dataset.mode = 'edit';
-    document.getElementById('propertyForm').dataset.id = id;
+// English words for a number below one thousand, e.g. 305 -> "three hundred and five"
+function hundredsToEnglishWords(number) {
+    const hundreds = Math.floor(number / 100);
+    const rest = number % 100;
+    const tens = rest < 20 ? ENGLISH_UNITS[rest] : ENGLISH_TENS[Math.floor(rest / 10)] + (rest % 10 ? `-${ENGLISH_UNITS[rest % 10]}` : '');
 
-    const modal = new bootstrap.Modal(document.getElementById('propertyModal'));
-    modal.show();
+    if (!hundreds) return tens;
+    return `${ENGLISH_UNITS[hundreds]} hundred${rest ? ` and ${tens}` : ''}`;
 }
 
-// Save property
-function saveProperty() {
-    const name = document.getElementById('propertyName').value.trim();
-    const tenant = document.getElementById('tenantName').value.trim();
-    const monthlyRent = parseFloat(document.getElementById('monthlyRent').value);
-    const rentalDate = document.getElementById('rentalDate').value;
-    const paymentDate = parseInt(document.getElementById('paymentDate').value);
-    const status = document.getElementById('propertyStatus').value;
-    const notes = document.getElementById('propertyNotes').value.trim();
+// English words for a whole number, e.g. 2350 -> "two thousand three hundred and fifty"
+function numberToEnglishWords(number) {
+    if (number === 0) return 'zero';
 
-    if (!name || !tenant || !monthlyRent || !rentalDate || !paymentDate) {
-        alert('يرجى ملء جميع الحقول المطلوبة');
-        return;
-    }
+    const parts = [];
+    let rest = number;
+    [[1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand']].forEach(([size, word]) => {
+        const count = Math.floor(rest / size);
+        rest %= size;
+        if (count) parts.push(`${hundredsToEnglishWords(count)} ${word}`);
+    });
+    if (rest) parts.push(rest < 100 && parts.length ? `and ${hundredsToEnglishWords(rest)}` : hundredsToEnglishWords(rest));
+    return parts.join(' ');
+}
 
-    const property = {
-        name,
-        tenant,
-        monthlyRent,
-        rentalDate,
-        paymentDate,
-        status,
-        notes
-    };
+// An English amount in words, with the fraction in hundredths
+function amountToEnglishWords(amount, currency) {
+    const cents = Math.round(amount * 100);
+    const whole = Math.floor(cents / 100);
+    const fraction = cents % 100;
+    return `${numberToEnglishWords(whole)} ${currency}${fraction ? ` and ${numberToEnglishWords(fraction)} hundredths` : ''} only`;
+}
 
-    const mode = document.getElementById('propertyForm').dataset.mode;
-    const id = parseInt(document.getElementById('propertyForm').dataset.id);
+// Read a number typed in a spreadsheet, accepting Arabic-Indic digits and separators
+function parseImportNumber(value) {
+    if (typeof value === 'number') return isFinite(value) ? value : null;
+    const text = String(value === undefined || value === null ? '' : value)
+        .trim()
+        .replace(/[٠-٩]/g, digit => '٠١٢٣٤٥٦٧٨٩'.indexOf(digit))
+        .replace(/٫/g, '.')
+        .replace(/[,٬\s]/g, '');
+    if (!text || isNaN(text)) return null;
+    return parseFloat(text);
+}
 
-    if (mode === 'add') {
-        manager.addProperty(property);
-        alert('تم إضافة العقار بنجاح');
-    } else {
-        manager.updateProperty(id, property);
-        alert('تم تحديث العقار بنجاح');
+// Read a date as YYYY-MM-DD from ISO, DD/MM/YYYY or a Date object
+function parseImportDate(value) {
+    if (value instanceof Date && !isNaN(value)) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
     }
 
-    bootstrap.Modal.getInstance(document.getElementById('propertyModal')).hide();
-    loadProperties();
-    updateDashboard();
-}
+    const text = String(value === undefined || value === null ? '' : value).trim()
+        .replace(/[٠-٩]/g, digit => '٠١٢٣٤٥٦٧٨٩'.indexOf(digit));
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+    let parts = match ? [match[1], match[2], match[3]] : null;
+    if (!parts) {
+        match = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/);
+        if (match) parts = [match[3], match[2], match[1]];
+    }
+    if (!parts) return null;
 
-// Load and display properties
-function loadProperties() {
-    const properties = manager.getProperties();
-    const table = document.getElementById('propertiesTable');
+    const [year, monthNum, day] = parts.map(Number);
+    const date = new Date(Date.UTC(year, monthNum - 1, day));
+    if (date.getUTCMonth() !== monthNum - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
 
-    if (properties.length === 0) {
-        table.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-4">لا توجد عقارات مسجلة حتى الآن</td></tr>';
-        return;
-    }
+// Read a month as YYYY-MM from YYYY-MM, MM/YYYY or any accepted date
+function parseImportMonth(value) {
+    const text = String(value === undefined || value === null ? '' : value).trim()
+        .replace(/[٠-٩]/g, digit => '٠١٢٣٤٥٦٧٨٩'.indexOf(digit));
+    let match = text.match(/^(\d{4})[-/.](\d{1,2})$/);
+    if (match && Number(match[2]) >= 1 && Number(match[2]) <= 12) return `${match[1]}-${match[2].padStart(2, '0')}`;
+    match = text.match(/^(\d{1,2})[-/.](\d{4})$/);
+    if (match && Number(match[1]) >= 1 && Number(match[1]) <= 12) return `${match[2]}-${match[1].padStart(2, '0')}`;
 
-    table.innerHTML = properties.map(property => {
-        const statusBadge = property.status === 'rented' 
-            ? '<span class="badge badge-rented">مؤجر</span>' 
-            : '<span class="badge badge-vacant">شاغر</span>';
+    const date = parseImportDate(value);
+    return date ? date.slice(0, 7) : null;
+}
 
-        return `
-            <tr>
-                <td><strong>${property.name}</strong></td>
-                <td>${property.tenant}</td>
-                <td>${property.monthlyRent.toFixed(2)} ${manager.settings.currency}</td>
-                <td>${statusBadge}</td>
-                <td>${new Date(property.rentalDate).toLocaleDateString('en-US')}</td>
-                <td>
-                    <button class="btn btn-sm btn-info action-btn" onclick="showEditPropertyModal(${property.id})">
-                        <i class="fas fa-edit"></i> تعديل
-                    </button>
-                    <button class="btn btn-sm btn-danger action-btn" onclick="deletePropertyConfirm(${property.id})">
-                        <i class="fas fa-trash"></i> حذف
-                    </button>
-                </td>
-            </tr>
-        `;
-    }).join('');
+// The labels of a message in every language, lower-cased for matching spreadsheet cells
+function lowerCaseTranslations(key) {
+    return translationsOf(key).map(label => label.toLowerCase());
 }
 
-// Delete property confirmation
-function deletePropertyConfirm(id) {
-    if (confirm('هل أنت متأكد من حذف هذا العقار؟')) {
-        manager.deleteProperty(id);
-        loadProperties();
-        updateDashboard();
-        alert('تم حذف العقار بنجاح');
-    }
+// Read a property status; an empty cell follows whether a tenant is named
+function parseImportStatus(text, tenantName) {
+    if (!text) return tenantName ? 'rented' : 'vacant';
+    if (['rented', ...lowerCaseTranslations('propertyStatus.rented')].includes(text.toLowerCase())) return 'rented';
+    if (['vacant', ...lowerCaseTranslations('propertyStatus.vacant')].includes(text.toLowerCase())) return 'vacant';
+    return null;
 }
 
-// Populate expense property select
-function populateExpensePropertySelect() {
-    const properties = manager.getProperties();
-    const select = document.getElementById('expenseProperty');
-    
-    select.innerHTML = '<option value="">-- اختر عقاراً --</option>' + 
-        properties.map(p => `<option value="${p.id}">${p.name}</option>`).join('');
+// Read who bears an expense line
+function parseImportResponsibility(text) {
+    const value = text.toLowerCase();
+    if (['owner', 'مالك', 'المالك', ...lowerCaseTranslations('responsibility.owner')].includes(value)) return 'owner';
+    if (['tenant', 'مستأجر', 'المستأجر', ...lowerCaseTranslations('responsibility.tenant')].includes(value)) return 'tenant';
+    return null;
 }
 
-// Handle expense form submission
-document.addEventListener('DOMContentLoaded', function() {
-    const expenseForm = document.getElementById('expenseForm');
-    if (expenseForm) {
-        expenseForm.addEventListener('submit', function(e) {
-            e.preventDefault();
-            
-            const propertyId = parseInt(document.getElementById('expenseProperty').value);
-            const month = document.getElementById('expenseMonth').value;
-            const electricity = parseFloat(document.getElementById('electricityBill').value) || 0;
-            const water = parseFloat(document.getElementById('waterBill').value) || 0;
-            const other = parseFloat(document.getElementById('otherExpenses').value) || 0;
+// Stored default of the business name; shown in the interface language until it is changed
+const DEFAULT_BUSINESS_NAME = 'نظام إدارة العقارات الذكي';
 
-            if (!propertyId || !month) {
-                alert('يرجى اختيار العقار والشهر');
-                return;
-            }
+// Letterhead, signature and page layout of the on-screen and PDF reports
+const DEFAULT_REPORT_BRANDING = {
+    reportLogo: '',
+    reportAddress: '',
+    reportPhone: '',
+    reportSignature: '',
+    reportAccentColor: '#0d6efd',
+    reportFooterText: 'تم إنشاء هذا التقرير بواسطة نظام إدارة العقارات الذكي',
+    reportPaperSize: 'a4',
+    reportOrientation: 'portrait'
+};
 
-            const expense = {
-                propertyId,
-                month,
-                electricity,
-                water,
-                other
-            };
+// Values the report branding settings may take; the colour ends up inside a stylesheet and the
+// page setup is handed to jsPDF, so anything else is replaced by the default
+const REPORT_ACCENT_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const REPORT_PAPER_SIZES = ['a4', 'a5', 'letter', 'legal'];
+const REPORT_ORIENTATIONS = ['portrait', 'landscape'];
 
-            manager.addExpense(expense);
-            alert('تم تسجيل المصاريف بنجاح');
-            
-            expenseForm.reset();
-            loadExpensesList();
-            updateDashboard();
-        });
-    }
+// Payment methods offered in the payment form; labels are the paymentMethod.* messages
+const PAYMENT_METHODS = ['cash', 'transfer', 'cheque', 'mobile'];
 
-    // Set current month in expense and report forms
-    const today = new Date();
-    const currentMonth = today.toISOString().slice(0, 7);
-    const expenseMonth = document.getElementById('expenseMonth');
-    const reportMonth = document.getElementById('reportMonth');
+// Starting expense categories; electricity, water and other keep the ids of the old fixed fields.
+// Their names are stored in Arabic and shown through the category.* messages until renamed
+const DEFAULT_EXPENSE_CATEGORIES = [
+    { id: 'electricity', name: 'فاتورة الكهرباء', defaultResponsibility: 'tenant' },
+    { id: 'water', name: 'فاتورة الماء', defaultResponsibility: 'tenant' },
+    { id: 'internet', name: 'الإنترنت', defaultResponsibility: 'tenant' },
+    { id: 'cleaning', name: 'النظافة', defaultResponsibility: 'tenant' },
+    { id: 'guard', name: 'الحراسة', defaultResponsibility: 'owner' },
+    { id: 'propertyTax', name: 'ضريبة العقار', defaultResponsibility: 'owner' },
+    { id: 'repairs', name: 'الصيانة والإصلاحات', defaultResponsibility: 'owner' },
+    { id: 'other', name: 'مصاريف إضافية', defaultResponsibility: 'tenant' }
+];
+
+// Columns of the spreadsheet import; the label messages double as headers of the matching exports,
+// and a header in any of the languages is recognised on import
+const EXCHANGE_FIELDS = {
+    properties: [
+        { key: 'name', label: 'property.name', required: true },
+        { key: 'tenantName', label: 'common.tenant' },
+        { key: 'monthlyRent', label: 'property.monthlyRent', required: true },
+        { key: 'rentalDate', label: 'property.rentalDate', required: true },
+        { key: 'paymentDate', label: 'field.paymentDate', required: true },
+        { key: 'status', label: 'common.status' },
+        { key: 'notes', label: 'field.notes' },
+        { key: 'currency', label: 'common.currency' }
+    ],
+    expenses: [
+        { key: 'propertyName', label: 'common.property', required: true },
+        { key: 'month', label: 'common.month', required: true },
+        { key: 'category', label: 'common.category', required: true },
+        { key: 'amount', label: 'common.amount', required: true },
+        { key: 'responsibility', label: 'exchange.responsibility' },
+        { key: 'currency', label: 'common.currency' }
+    ]
+};
+
+// Window of the "due this week" dashboard panel, in days
+const DUE_SOON_DAYS = 7;
+
+// ===================================
+// Storage
+// ===================================
+
+const DB_NAME = 'propertyManager';
+const DB_VERSION = 5;
+
+// Append-only store holding one entry per saved change set
+const AUDIT_STORE = 'auditLog';
+
+// Change log entries kept; older ones are dropped, along with their undo and recycle bin data
+const AUDIT_LOG_LIMIT = 1000;
+
+// Restore points: full copies of the data, kept apart from the stores that are saved, cleared and imported
+const SNAPSHOT_STORE = 'snapshots';
+
+// Restore points kept of each kind (daily, and before an import, clear or restore)
+const DEFAULT_SNAPSHOT_RETENTION = 7;
+const MAX_SNAPSHOT_RETENTION = 50;
+
+// Meta entries holding the folder that receives a copy of every restore point, and the key
+// that encrypts those copies when a passphrase was given for them
+const SNAPSHOT_FOLDER_KEY = 'snapshotFolder';
+const SNAPSHOT_FOLDER_ENCRYPTION_KEY = 'snapshotFolderEncryption';
+
+// Meta entry holding the last failed copy to that folder, cleared by the next successful one
+const SNAPSHOT_FOLDER_ERROR_KEY = 'snapshotFolderError';
+
+// Record collections kept on PropertyManager, each stored in its own object store keyed by id
+const STORE_COLLECTIONS = ['properties', 'expenses', 'payments', 'tenants', 'occupancies', 'leases', 'receipts', 'exchangeRates'];
+
+// Data migrations, applied in order to anything saved under an older schema version
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        // Properties created before the payment ledger existed start their ledger now,
+        // so earlier months are not reported as arrears
+        migrate: manager => manager.properties.forEach(p => {
+            if (!p.ledgerStart) p.ledgerStart = getCurrentMonth();
+        })
+    },
+    {
+        version: 2,
+        migrate: manager => manager.migrateLegacyTenants()
+    },
+    {
+        version: 3,
+        migrate: manager => manager.migrateLegacyExpenses()
+    },
+    {
+        version: 4,
+        // Reminder settings added with due-date tracking
+        migrate: manager => {
+            const settings = manager.settings;
+            if (!Array.isArray(settings.reminderLeadDays)) settings.reminderLeadDays = [3];
+            if (typeof settings.gracePeriodDays !== 'number') settings.gracePeriodDays = 0;
+            if (typeof settings.notificationsEnabled !== 'boolean') settings.notificationsEnabled = false;
+        }
+    },
+    {
+        version: 5,
+        // Fiscal year used by the annual income statement; 1 means the calendar year
+        migrate: manager => {
+            if (!Number.isInteger(manager.settings.fiscalYearStart)) manager.settings.fiscalYearStart = 1;
+        }
+    },
+    {
+        version: 6,
+        // Report branding settings
+        migrate: manager => {
+            Object.keys(DEFAULT_REPORT_BRANDING).forEach(key => {
+                if (typeof manager.settings[key] !== 'string') manager.settings[key] = DEFAULT_REPORT_BRANDING[key];
+            });
+        }
+    },
+    {
+        version: 7,
+        // Per-property and per-expense currencies: everything recorded so far is in the base currency
+        migrate: manager => {
+            const base = manager.settings.currency;
+            [...manager.properties, ...manager.expenses, ...manager.receipts].forEach(record => {
+                if (!record.currency) record.currency = base;
+            });
+        }
+    },
+    {
+        version: 8,
+        // Number of automatic restore points to keep
+        migrate: manager => {
+            if (!Number.isInteger(manager.settings.snapshotRetention)) manager.settings.snapshotRetention = DEFAULT_SNAPSHOT_RETENTION;
+        }
+    }
+];
+
+const SCHEMA_VERSION = SCHEMA_MIGRATIONS[SCHEMA_MIGRATIONS.length - 1].version;
+
+// Field types expected in each collection at the current schema version; a trailing ? marks optional fields
+const RECORD_SCHEMAS = {
+    properties: {
+        id: 'number', name: 'string', monthlyRent: 'number', rentalDate: 'date', paymentDate: 'number',
+        status: ['rented', 'vacant'], notes: 'string?', ledgerStart: 'month', currency: 'string'
+    },
+    expenses: { id: 'number', propertyId: 'number', month: 'month', lines: 'array', currency: 'string' },
+    payments: {
+        id: 'number', propertyId: 'number', month: 'month', amount: 'number', paidOn: 'date',
+        method: 'string', reference: 'string?'
+    },
+    tenants: { id: 'number', name: 'string', nationalId: 'string?', phone: 'string?', email: 'string?', notes: 'string?' },
+    occupancies: { id: 'number', propertyId: 'number', tenantId: 'number', moveIn: 'date', moveOut: 'date?' },
+    leases: {
+        id: 'number', propertyId: 'number', startDate: 'date', endDate: 'date', durationMonths: 'number',
+        monthlyRent: 'number', escalationType: ['none', 'fixed', 'percent'], escalationValue: 'number?'
+    },
+    receipts: {
+        id: 'number', number: 'number', paymentId: 'number', propertyId: 'number', propertyName: 'string',
+        payer: 'string', month: 'month', amount: 'number', paidOn: 'date', method: 'string',
+        reference: 'string?', issuedOn: 'date', printCount: 'number', currency: 'string'
+    },
+    exchangeRates: { id: 'number', currency: 'string', rate: 'number', effectiveDate: 'date' }
+};
+
+const EXPENSE_LINE_SCHEMA = { categoryId: 'string', amount: 'number', responsibility: ['owner', 'tenant'] };
+
+// Fields that must point to a record of another collection. Receipts are not listed: they keep
+// their own copy of the details and outlive the payment and property they were issued for
+const RECORD_REFERENCES = {
+    expenses: { propertyId: 'properties' },
+    payments: { propertyId: 'properties' },
+    occupancies: { propertyId: 'properties', tenantId: 'tenants' },
+    leases: { propertyId: 'properties' }
+};
+
+// Check one record against a schema and return readable problems
+function validateRecord(record, schema) {
+    if (!record || typeof record !== 'object' || Array.isArray(record)) return [t('validation.notAnObject')];
+
+    const problems = [];
+    Object.keys(schema).forEach(field => {
+        let type = schema[field];
+        const value = record[field];
+        const optional = typeof type === 'string' && type.endsWith('?');
+        if (optional) type = type.slice(0, -1);
+
+        if (value === undefined || value === null || value === '') {
+            if (!optional) problems.push(t('validation.missingField', { field }));
+            return;
+        }
+
+        const valid = Array.isArray(type) ? type.includes(value)
+            : type === 'number' ? typeof value === 'number' && isFinite(value)
+            : type === 'string' ? typeof value === 'string'
+            : type === 'date' ? typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)
+            : type === 'month' ? typeof value === 'string' && /^\d{4}-\d{2}$/.test(value)
+            : type === 'array' ? Array.isArray(value)
+            : true;
+
+        if (!valid) problems.push(t('validation.invalidField', { field }));
+    });
+    return problems;
+}
+
+// Thin promise wrapper around the IndexedDB database
+class IndexedDBStore {
+    constructor(name, version, collections) {
+        this.name = name;
+        this.version = version;
+        this.collections = collections;
+        this.db = null;
+    }
+
+    // Open the database, creating any missing object stores
+    open() {
+        return new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error(t('storage.noIndexedDB')));
+                return;
+            }
+
+            const request = indexedDB.open(this.name, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                this.collections.forEach(name => {
+                    if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+                });
+                if (!db.objectStoreNames.contains('meta')) db.createObjectStore('meta', { keyPath: 'key' });
+                if (!db.objectStoreNames.contains(AUDIT_STORE)) db.createObjectStore(AUDIT_STORE, { keyPath: 'id' });
+                if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+                    db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Read every record of every collection, plus the meta entries
+    readAll() {
+        return new Promise((resolve, reject) => {
+            const storeNames = [...this.collections, 'meta', AUDIT_STORE];
+            const transaction = this.db.transaction(storeNames, 'readonly');
+            const result = { meta: {} };
+
+            storeNames.forEach(name => {
+                const request = transaction.objectStore(name).getAll();
+                request.onsuccess = () => {
+                    if (name === 'meta') {
+                        request.result.forEach(entry => { result.meta[entry.key] = entry.value; });
+                    } else {
+                        result[name] = request.result;
+                    }
+                };
+            });
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    // Apply a set of changes in a single transaction
+    write(changes) {
+        return new Promise((resolve, reject) => {
+            const storeNames = [...this.collections, 'meta', AUDIT_STORE];
+            const transaction = this.db.transaction(storeNames, 'readwrite');
+
+            this.collections.forEach(name => {
+                const store = transaction.objectStore(name);
+                if (changes.clear) store.clear();
+                changes.puts[name].forEach(record => store.put(record));
+                changes.deletes[name].forEach(id => store.delete(id));
+            });
+
+            const metaStore = transaction.objectStore('meta');
+            Object.keys(changes.meta).forEach(key => metaStore.put({ key, value: changes.meta[key] }));
+
+            // Log entries are never rewritten; only the oldest are dropped past the retention limit
+            const auditStore = transaction.objectStore(AUDIT_STORE);
+            changes.log.forEach(entry => auditStore.add(entry));
+            changes.logDeletes.forEach(id => auditStore.delete(id));
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error(t('storage.saveAborted')));
+        });
+    }
+
+    // Run requests against one object store and resolve with the result of the returned request
+    request(storeName, mode, makeRequest) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, mode);
+            const request = makeRequest(transaction.objectStore(storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error(t('storage.saveAborted')));
+        });
+    }
+
+    readSnapshots() {
+        return this.request(SNAPSHOT_STORE, 'readonly', store => store.getAll());
+    }
+
+    // Resolves with the id given to the new snapshot
+    addSnapshot(snapshot) {
+        return this.request(SNAPSHOT_STORE, 'readwrite', store => store.add(snapshot));
+    }
+
+    deleteSnapshots(ids) {
+        return this.request(SNAPSHOT_STORE, 'readwrite', store => { ids.forEach(id => store.delete(id)); });
+    }
+
+    // Meta entries that are not part of the saved data, such as the restore point folder
+    async readMetaEntry(key) {
+        const entry = await this.request('meta', 'readonly', store => store.get(key));
+        return entry ? entry.value : undefined;
+    }
+
+    writeMetaEntry(key, value) {
+        return this.request('meta', 'readwrite', store => value === undefined ? store.delete(key) : store.put({ key, value }));
+    }
+}
+
+// The fields that differ between two versions of a record, as partial before and after copies
+function diffFields(before, after) {
+    const diff = { before: {}, after: {} };
+    Object.keys({ ...before, ...after }).forEach(key => {
+        if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+        if (key in before) diff.before[key] = before[key];
+        if (key in after) diff.after[key] = after[key];
+    });
+    return diff;
+}
+
+// Whether two exported copies of the data hold the same records and settings
+function isSameExport(a, b) {
+    return JSON.stringify({ ...a, exportDate: null }) === JSON.stringify({ ...b, exportDate: null });
+}
+
+// Read the data saved by the localStorage version of the app, or null if there is none
+function readLegacyLocalStorage() {
+    const keys = [...STORE_COLLECTIONS, 'settings'];
+    if (!keys.some(key => localStorage.getItem(key) !== null)) return null;
+
+    const data = {};
+    keys.forEach(key => {
+        const value = localStorage.getItem(key);
+        if (value !== null) data[key] = JSON.parse(value);
+    });
+    return data;
+}
+
+// ===================================
+// Data Management
+// ===================================
+
+class PropertyManager {
+    constructor() {
+        this.properties = [];
+        this.expenses = [];
+        this.payments = [];
+        this.tenants = [];
+        this.occupancies = [];
+        this.leases = [];
+        this.receipts = [];
+        this.exchangeRates = [];
+        this.auditLog = [];
+        this.lastReceiptNumber = 0;
+        this.settings = {
+            currency: 'UM',
+            businessName: DEFAULT_BUSINESS_NAME,
+            userName: '',
+            reminderLeadDays: [3],
+            gracePeriodDays: 0,
+            notificationsEnabled: false,
+            fiscalYearStart: 1,
+            ...DEFAULT_REPORT_BRANDING,
+            snapshotRetention: DEFAULT_SNAPSHOT_RETENTION,
+            expenseCategories: DEFAULT_EXPENSE_CATEGORIES.map(c => ({ ...c }))
+        };
+        this.schemaVersion = SCHEMA_VERSION;
+        this.store = new IndexedDBStore(DB_NAME, DB_VERSION, STORE_COLLECTIONS);
+        this.persisted = null;
+        this.auditBaseline = null;
+        this.undoing = null;
+        this.saveQueue = Promise.resolve();
+        this.ready = this.loadData();
+    }
+
+    // Load data from IndexedDB, moving localStorage data over on first start
+    async loadData() {
+        await this.store.open();
+        const stored = await this.store.readAll();
+
+        let fromVersion = stored.meta.schemaVersion;
+        let legacy = null;
+        this.auditLog = stored[AUDIT_STORE].sort((a, b) => a.id - b.id);
+        this.lastReceiptNumber = stored.meta.lastReceiptNumber || 0;
+
+        if (fromVersion === undefined) {
+            // Nothing saved in IndexedDB yet: take over the localStorage data, which has no schema version
+            legacy = readLegacyLocalStorage();
+            fromVersion = 0;
+            this.persisted = { records: {}, meta: {} };
+            if (legacy) this.assignData(legacy);
+        } else {
+            this.assignData({ ...stored, settings: stored.meta.settings });
+            this.schemaVersion = fromVersion;
+            this.persisted = this.snapshot();
+        }
+
+        this.runMigrations(fromVersion);
+        await this.saveData();
+
+        if (legacy) {
+            [...STORE_COLLECTIONS, 'settings'].forEach(key => localStorage.removeItem(key));
+        }
+    }
+
+    // Replace the in-memory collections with the given data
+    assignData(data) {
+        STORE_COLLECTIONS.forEach(name => {
+            if (data[name]) this[name] = data[name];
+        });
+        if (data.settings) this.settings = data.settings;
+    }
+
+    // Bring the loaded data up to the current schema version
+    runMigrations(fromVersion) {
+        SCHEMA_MIGRATIONS
+            .filter(migration => migration.version > fromVersion)
+            .forEach(migration => migration.migrate(this));
+        this.schemaVersion = SCHEMA_VERSION;
+    }
+
+    // Serialized copy of the data, used to find what changed since the last save
+    snapshot() {
+        const records = {};
+        STORE_COLLECTIONS.forEach(name => {
+            records[name] = new Map(this[name].map(record => [record.id, JSON.stringify(record)]));
+        });
+        return {
+            records,
+            meta: {
+                settings: JSON.stringify(this.settings),
+                schemaVersion: JSON.stringify(this.schemaVersion),
+                lastReceiptNumber: JSON.stringify(this.lastReceiptNumber)
+            }
+        };
+    }
+
+    // Run several changes and save them together
+    batch(changes) {
+        this.batching = true;
+        try {
+            changes();
+        } finally {
+            this.batching = false;
+        }
+        return this.saveData();
+    }
+
+    // Save changed records to IndexedDB; writes are queued so they land in order
+    saveData() {
+        if (this.batching) return this.saveQueue;
+
+        const previous = this.persisted;
+        const current = this.snapshot();
+        const changes = { clear: !previous, puts: {}, deletes: {}, meta: {}, log: [], logDeletes: [] };
+
+        // The first save after loading only records migrations, which are not user changes
+        const entry = this.auditBaseline ? this.buildAuditEntry(this.auditBaseline, current) : null;
+        this.auditBaseline = current;
+        if (entry) {
+            this.auditLog.push(entry);
+            changes.log.push(entry);
+            changes.logDeletes = this.auditLog
+                .splice(0, Math.max(0, this.auditLog.length - AUDIT_LOG_LIMIT))
+                .map(old => old.id);
+        }
+
+        STORE_COLLECTIONS.forEach(name => {
+            const before = previous ? previous.records[name] || new Map() : new Map();
+            const after = current.records[name];
+            changes.puts[name] = [];
+            changes.deletes[name] = [];
+
+            after.forEach((json, id) => {
+                if (before.get(id) !== json) changes.puts[name].push(JSON.parse(json));
+            });
+            before.forEach((json, id) => {
+                if (!after.has(id)) changes.deletes[name].push(id);
+            });
+        });
+
+        Object.keys(current.meta).forEach(key => {
+            if (!previous || previous.meta[key] !== current.meta[key]) changes.meta[key] = JSON.parse(current.meta[key]);
+        });
+
+        this.persisted = current;
+        this.saveQueue = this.saveQueue
+            .then(() => this.store.write(changes))
+            .catch(error => {
+                // Forget what was saved so the next save rewrites everything
+                this.persisted = null;
+                console.error(error);
+                alert(t('storage.saveFailed', { error: error.message }));
+            });
+        return this.saveQueue;
+    }
+
+    // Describe the difference between two snapshots as an audit log entry, or null when nothing changed
+    buildAuditEntry(before, after) {
+        const changes = [];
+
+        STORE_COLLECTIONS.forEach(name => {
+            const previous = before.records[name];
+            after.records[name].forEach((json, id) => {
+                if (!previous.has(id)) {
+                    changes.push({ collection: name, recordId: id, type: 'add', before: null, after: JSON.parse(json) });
+                } else if (previous.get(id) !== json) {
+                    // Updates keep only the changed fields, plus the property for the property history
+                    const record = JSON.parse(json);
+                    changes.push({
+                        collection: name, recordId: id, type: 'update', propertyId: record.propertyId,
+                        ...diffFields(JSON.parse(previous.get(id)), record)
+                    });
+                }
+            });
+            previous.forEach((json, id) => {
+                if (!after.records[name].has(id)) {
+                    changes.push({ collection: name, recordId: id, type: 'delete', before: JSON.parse(json), after: null });
+                }
+            });
+        });
+
+        if (before.meta.settings !== after.meta.settings) {
+            changes.push({
+                collection: 'settings', recordId: null, type: 'update',
+                ...diffFields(JSON.parse(before.meta.settings), JSON.parse(after.meta.settings))
+            });
+        }
+
+        if (changes.length === 0) return null;
+
+        const entry = { id: this.generateId(), timestamp: new Date().toISOString(), user: this.settings.userName || '', changes };
+        if (this.undoing) entry.undoOf = this.undoing;
+        return entry;
+    }
+
+    // Get the change log, newest first
+    getAuditLog() {
+        return [...this.auditLog].reverse();
+    }
+
+    // The most recent change that has not been undone yet; undo entries themselves are skipped
+    getUndoableEntry() {
+        const undone = new Set();
+        for (let i = this.auditLog.length - 1; i >= 0; i--) {
+            const entry = this.auditLog[i];
+            if (entry.undoOf) {
+                undone.add(entry.undoOf);
+            } else if (!undone.has(entry.id)) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    // Put back the records as they were before a set of logged changes
+    revertChanges(changes) {
+        // Update changes hold the changed fields only: fields missing before are removed again
+        const revertFields = (target, change) => {
+            Object.keys(change.after).forEach(key => {
+                if (!(key in change.before)) delete target[key];
+            });
+            Object.assign(target, JSON.parse(JSON.stringify(change.before)));
+        };
+
+        [...changes].reverse().forEach(change => {
+            if (change.collection === 'settings') {
+                revertFields(this.settings, change);
+                return;
+            }
+
+            const collection = this[change.collection];
+            const index = collection.findIndex(r => r.id === change.recordId);
+            if (change.type === 'add') {
+                if (index !== -1) collection.splice(index, 1);
+            } else if (change.type === 'update') {
+                if (index !== -1) revertFields(collection[index], change);
+            } else if (index !== -1) {
+                collection[index] = JSON.parse(JSON.stringify(change.before));
+            } else {
+                collection.push(JSON.parse(JSON.stringify(change.before)));
+            }
+        });
+    }
+
+    // Undo the last change; the undo is itself logged so the log stays append-only
+    undoLastAction() {
+        const entry = this.getUndoableEntry();
+        if (!entry) return null;
+
+        this.undoing = entry.id;
+        try {
+            this.revertChanges(entry.changes);
+            this.saveData();
+        } finally {
+            this.undoing = null;
+        }
+        return entry;
+    }
+
+    // Deleted properties that are not back in the data, newest deletion first
+    getDeletedProperties() {
+        const seen = new Set();
+        const deleted = [];
+
+        this.getAuditLog().forEach(entry => {
+            entry.changes
+                .filter(c => c.collection === 'properties' && c.type === 'delete')
+                .forEach(change => {
+                    if (seen.has(change.recordId) || this.getPropertyById(change.recordId)) return;
+                    seen.add(change.recordId);
+                    deleted.push({
+                        entryId: entry.id,
+                        timestamp: entry.timestamp,
+                        user: entry.user,
+                        property: change.before,
+                        expenseCount: entry.changes.filter(c =>
+                            c.collection === 'expenses' && c.type === 'delete' && c.before.propertyId === change.recordId
+                        ).length
+                    });
+                });
+        });
+
+        return deleted;
+    }
+
+    // Restore a deleted property with the expenses, payments, leases and occupancies deleted along with it
+    restoreProperty(entryId, propertyId) {
+        const entry = this.auditLog.find(e => e.id === entryId);
+        if (!entry || this.getPropertyById(propertyId)) return false;
+
+        entry.changes
+            .filter(c => c.type === 'delete')
+            .filter(c => c.recordId === propertyId
+                ? c.collection === 'properties'
+                : c.before.propertyId === propertyId && c.collection !== 'properties')
+            .forEach(change => {
+                const collection = this[change.collection];
+                if (collection.some(r => r.id === change.recordId)) return;
+                // An occupancy is useless once its tenant has been deleted
+                if (change.collection === 'occupancies' && !this.getTenantById(change.before.tenantId)) return;
+                collection.push(JSON.parse(JSON.stringify(change.before)));
+            });
+
+        this.saveData();
+        return true;
+    }
+
+    // Logged changes that touched a property or any record belonging to it, newest first
+    getPropertyHistory(propertyId) {
+        return this.getAuditLog()
+            .map(entry => ({
+                ...entry,
+                changes: entry.changes.filter(c => {
+                    const record = { ...c.before, ...c.after, ...(c.propertyId !== undefined && { propertyId: c.propertyId }) };
+                    return c.collection === 'properties' ? c.recordId === propertyId : record.propertyId === propertyId;
+                })
+            }))
+            .filter(entry => entry.changes.length > 0);
+    }
+
+    // A record of any collection by id
+    getRecord(collection, id) {
+        return STORE_COLLECTIONS.includes(collection) ? this[collection].find(record => record.id === id) || null : null;
+    }
+
+    // Generate a unique record id (Date.now() alone collides when records are created in a loop)
+    generateId() {
+        const id = Math.max(Date.now(), (this.lastId || 0) + 1);
+        this.lastId = id;
+        return id;
+    }
+
+    // Convert the free-text tenant name of older properties into tenant records with an occupancy
+    migrateLegacyTenants() {
+        let migrated = false;
+        const currentMonthStart = `${getCurrentMonth()}-01`;
+        const previousMonth = addMonths(getCurrentMonth(), -1);
+        const [prevYear, prevMonthNum] = previousMonth.split('-').map(Number);
+        const previousMonthEnd = `${previousMonth}-${new Date(prevYear, prevMonthNum, 0).getDate()}`;
+
+        this.properties.forEach(property => {
+            if (property.tenant === undefined) return;
+
+            const name = String(property.tenant).trim();
+            if (name) {
+                let tenant = this.tenants.find(t => t.name === name);
+                if (!tenant) {
+                    tenant = { id: this.generateId(), name, nationalId: '', phone: '', email: '', notes: '' };
+                    this.tenants.push(tenant);
+                }
+
+                const moveIn = property.rentalDate || getToday();
+                // A vacant property's last tenant left at some unknown point before this month
+                let moveOut = null;
+                if (property.status !== 'rented') {
+                    moveOut = moveIn < currentMonthStart ? previousMonthEnd : moveIn;
+                }
+
+                this.occupancies.push({
+                    id: this.generateId(),
+                    propertyId: property.id,
+                    tenantId: tenant.id,
+                    moveIn,
+                    moveOut
+                });
+            }
+
+            delete property.tenant;
+            migrated = true;
+        });
+
+        return migrated;
+    }
+
+    // Convert expenses with fixed electricity/water/other fields into category lines
+    migrateLegacyExpenses() {
+        let migrated = false;
+
+        if (!this.settings.expenseCategories) {
+            this.settings.expenseCategories = DEFAULT_EXPENSE_CATEGORIES.map(c => ({ ...c }));
+            migrated = true;
+        }
+
+        this.expenses.forEach(expense => {
+            if (expense.lines) return;
+
+            expense.lines = ['electricity', 'water', 'other']
+                .filter(field => parseFloat(expense[field] || 0) > 0)
+                .map(field => ({
+                    categoryId: field,
+                    amount: parseFloat(expense[field]),
+                    // Records from before the responsibility flag were all recharged to the tenant
+                    responsibility: (expense.responsibility && expense.responsibility[field]) || 'tenant'
+                }));
+
+            delete expense.electricity;
+            delete expense.water;
+            delete expense.other;
+            delete expense.responsibility;
+            migrated = true;
+        });
+
+        return migrated;
+    }
+
+    // Add a new property, optionally moving a tenant in on the rental date
+    addProperty(property) {
+        const { tenantId, ...fields } = property;
+        const newProperty = {
+            currency: this.getBaseCurrency(),
+            ...fields,
+            id: this.generateId(),
+            ledgerStart: getCurrentMonth()
+        };
+        this.properties.push(newProperty);
+        if (tenantId) {
+            this.moveInTenant(newProperty.id, tenantId, newProperty.rentalDate || getToday());
+        }
+        this.saveData();
+        return newProperty;
+    }
+
+    // Update a property; a changed tenantId moves the previous tenant out and the new one in
+    updateProperty(id, updatedProperty) {
+        const index = this.properties.findIndex(p => p.id === id);
+        if (index !== -1) {
+            const { tenantId, tenantChangeDate = getToday(), ...fields } = updatedProperty;
+            const current = this.getCurrentOccupancy(id);
+            // The current tenant cannot leave before moving in
+            if (tenantId !== undefined && current && current.tenantId !== tenantId && tenantChangeDate < current.moveIn) {
+                return null;
+            }
+            // Payments carry no currency of their own, so a new currency would re-denominate them
+            if (fields.currency !== undefined && fields.currency !== this.getPropertyCurrency(id) && this.isCurrencyLocked(id)) {
+                return null;
+            }
+
+            this.properties[index] = { ...this.properties[index], ...fields, id };
+
+            if (tenantId !== undefined) {
+                if (!tenantId && current) {
+                    this.moveOutTenant(id, tenantChangeDate);
+                } else if (tenantId && (!current || current.tenantId !== tenantId)) {
+                    this.moveInTenant(id, tenantId, tenantChangeDate);
+                }
+            }
+
+            this.saveData();
+            return this.properties[index];
+        }
+        return null;
+    }
+
+    // Delete a property
+    deleteProperty(id) {
+        this.properties = this.properties.filter(p => p.id !== id);
+        this.expenses = this.expenses.filter(e => e.propertyId !== id);
+        this.payments = this.payments.filter(p => p.propertyId !== id);
+        this.occupancies = this.occupancies.filter(o => o.propertyId !== id);
+        this.leases = this.leases.filter(l => l.propertyId !== id);
+        this.saveData();
+    }
+
+    // Get all properties
+    getProperties() {
+        return this.properties;
+    }
+
+    // Properties matching a text search, status and rent range, sorted by one column
+    queryProperties({ search = '', status = '', minRent = null, maxRent = null, sort = 'name', direction = 'asc' } = {}) {
+        const currentMonth = getCurrentMonth();
+        const term = search.trim().toLowerCase();
+
+        const rows = this.properties.map(property => {
+            const tenant = this.getCurrentTenant(property.id);
+            return {
+                property,
+                tenant,
+                rent: this.getRentForMonth(property, currentMonth)
+            };
+        }).filter(row => {
+            if (term) {
+                const text = [row.property.name, row.tenant ? row.tenant.name : '', row.property.notes || ''].join(' ').toLowerCase();
+                if (!text.includes(term)) return false;
+            }
+            if (status && row.property.status !== status) return false;
+            if (minRent !== null && row.rent < minRent) return false;
+            if (maxRent !== null && row.rent > maxRent) return false;
+            return true;
+        });
+
+        const sortValue = {
+            name: row => row.property.name,
+            tenant: row => row.tenant ? row.tenant.name : '',
+            rent: row => row.rent,
+            status: row => row.property.status,
+            rentalDate: row => row.property.rentalDate || ''
+        }[sort] || (row => row.property.name);
+
+        const factor = direction === 'desc' ? -1 : 1;
+        return rows.sort((a, b) => {
+            const x = sortValue(a);
+            const y = sortValue(b);
+            return factor * (typeof x === 'number' ? x - y : String(x).localeCompare(String(y), 'ar', { numeric: true }));
+        });
+    }
+
+    // Get property by ID
+    getPropertyById(id) {
+        return this.properties.find(p => p.id === id);
+    }
+
+    // Add tenant
+    addTenant(tenant) {
+        tenant.id = this.generateId();
+        this.tenants.push(tenant);
+        this.saveData();
+        return tenant;
+    }
+
+    // Update tenant
+    updateTenant(id, updatedTenant) {
+        const index = this.tenants.findIndex(t => t.id === id);
+        if (index !== -1) {
+            this.tenants[index] = { ...this.tenants[index], ...updatedTenant, id };
+            this.saveData();
+            return this.tenants[index];
+        }
+        return null;
+    }
+
+    // Delete tenant; tenants with occupancy history are kept so old reports stay correct
+    deleteTenant(id) {
+        if (this.occupancies.some(o => o.tenantId === id)) return false;
+        this.tenants = this.tenants.filter(t => t.id !== id);
+        this.saveData();
+        return true;
+    }
+
+    // Get all tenants
+    getTenants() {
+        return this.tenants;
+    }
+
+    // Get tenant by ID
+    getTenantById(id) {
+        return this.tenants.find(t => t.id === id);
+    }
+
+    // Get the occupancy timeline of a property, oldest first
+    getOccupancies(propertyId) {
+        return this.occupancies
+            .filter(o => o.propertyId === propertyId)
+            .sort((a, b) => a.moveIn.localeCompare(b.moveIn));
+    }
+
+    // Get the open occupancy of a property
+    getCurrentOccupancy(propertyId) {
+        return this.occupancies.find(o => o.propertyId === propertyId && !o.moveOut);
+    }
+
+    // Get the tenant currently living in a property
+    getCurrentTenant(propertyId) {
+        const occupancy = this.getCurrentOccupancy(propertyId);
+        return occupancy ? this.getTenantById(occupancy.tenantId) : null;
+    }
+
+    // Get the tenants who lived in a property during a month
+    getTenantsForMonth(propertyId, month) {
+        return this.getOccupancies(propertyId)
+            .filter(o => o.moveIn.slice(0, 7) <= month && (!o.moveOut || o.moveOut.slice(0, 7) >= month))
+            .map(o => this.getTenantById(o.tenantId))
+            .filter(Boolean);
+    }
+
+    // Get the property a tenant currently lives in
+    getTenantProperty(tenantId) {
+        const occupancy = this.occupancies.find(o => o.tenantId === tenantId && !o.moveOut);
+        return occupancy ? this.getPropertyById(occupancy.propertyId) : null;
+    }
+
+    // Move a tenant into a property, closing the previous occupancy on the same date
+    moveInTenant(propertyId, tenantId, moveIn) {
+        const current = this.getCurrentOccupancy(propertyId);
+        // Moving in before the current tenant did would rewrite their stay
+        if (current && moveIn < current.moveIn) return null;
+        if (current) current.moveOut = moveIn;
+
+        const occupancy = { id: this.generateId(), propertyId, tenantId, moveIn, moveOut: null };
+        this.occupancies.push(occupancy);
+
+        const property = this.getPropertyById(propertyId);
+        if (property) property.status = 'rented';
+        this.saveData();
+        return occupancy;
+    }
+
+    // Move the current tenant out of a property
+    moveOutTenant(propertyId, moveOut) {
+        const current = this.getCurrentOccupancy(propertyId);
+        if (!current || moveOut < current.moveIn) return null;
+
+        current.moveOut = moveOut;
+        const property = this.getPropertyById(propertyId);
+        if (property) property.status = 'vacant';
+        this.saveData();
+        return current;
+    }
+
+    // Add a lease; its end date follows from the start date and duration
+    addLease(lease) {
+        lease.id = this.generateId();
+        lease.endDate = addDaysToDate(addMonthsToDate(lease.startDate, lease.durationMonths), -1);
+        this.leases.push(lease);
+        this.saveData();
+        return lease;
+    }
+
+    // Delete a lease; a renewal that is deleted makes its predecessor renewable again
+    deleteLease(id) {
+        this.leases = this.leases.filter(l => l.id !== id);
+        this.leases.forEach(l => {
+            if (l.renewedBy === id) delete l.renewedBy;
+        });
+        this.saveData();
+    }
+
+    // Get the leases of a property, oldest first
+    getLeases(propertyId) {
+        return this.leases
+            .filter(l => l.propertyId === propertyId)
+            .sort((a, b) => a.startDate.localeCompare(b.startDate));
+    }
+
+    // Get lease by ID
+    getLeaseById(id) {
+        return this.leases.find(l => l.id === id);
+    }
+
+    // Get the lease in force for a month; after the last lease ends its terms carry over
+    getLeaseForMonth(propertyId, month) {
+        const leases = this.getLeases(propertyId).filter(l => l.startDate.slice(0, 7) <= month);
+        return leases.length > 0 ? leases[leases.length - 1] : null;
+    }
+
+    // Status of a lease relative to today
+    getLeaseStatus(lease) {
+        const today = getToday();
+        if (lease.renewedBy) return 'renewed';
+        if (lease.startDate > today) return 'upcoming';
+        if (lease.endDate < today) return 'expired';
+        return 'active';
+    }
+
+    // Renew a lease for the same duration, applying its escalation rule to the rent
+    renewLease(id) {
+        const lease = this.getLeaseById(id);
+        if (!lease || lease.renewedBy) return null;
+
+        let monthlyRent = parseFloat(lease.monthlyRent);
+        const escalationValue = parseFloat(lease.escalationValue || 0);
+        if (lease.escalationType === 'fixed') {
+            monthlyRent += escalationValue;
+        } else if (lease.escalationType === 'percent') {
+            monthlyRent *= 1 + escalationValue / 100;
+        }
+
+        const renewal = this.addLease({
+            propertyId: lease.propertyId,
+            tenantId: lease.tenantId,
+            startDate: addDaysToDate(lease.endDate, 1),
+            durationMonths: lease.durationMonths,
+            monthlyRent: roundAmount(monthlyRent),
+            escalationType: lease.escalationType,
+            escalationValue: lease.escalationValue,
+            previousLeaseId: lease.id
+        });
+        lease.renewedBy = renewal.id;
+        this.saveData();
+        return renewal;
+    }
+
+    // Get unrenewed leases ending within the given number of days, soonest first
+    getExpiringLeases(days) {
+        const today = getToday();
+        const limit = addDaysToDate(today, days);
+        return this.leases
+            .filter(l => !l.renewedBy && l.endDate >= today && l.endDate <= limit)
+            .sort((a, b) => a.endDate.localeCompare(b.endDate));
+    }
+
+    // Rent in force for a property in a month; the property's own rent applies before any lease
+    // A lease starting after the 1st is prorated by day in its first month, with the days
+    // before it charged at the previous lease's rent (or the property's rent when there is none)
+    getRentForMonth(property, month) {
+        const leases = this.getLeases(property.id).filter(l => l.startDate.slice(0, 7) <= month);
+        const lease = leases[leases.length - 1];
+        if (!lease) return parseFloat(property.monthlyRent || 0);
+
+        const rent = parseFloat(lease.monthlyRent);
+        const startDay = Number(lease.startDate.slice(8, 10));
+        if (lease.startDate.slice(0, 7) !== month || startDay === 1) return rent;
+
+        const previous = leases[leases.length - 2];
+        const previousRent = parseFloat(previous ? previous.monthlyRent : property.monthlyRent || 0);
+        // Before a first lease the property rent is only charged for the days a tenant lived there
+        const earlierDays = previous ? startDay - 1 : this.countOccupiedDays(property.id, month, startDay - 1);
+        const [year, monthNum] = month.split('-').map(Number);
+        const days = new Date(Date.UTC(year, monthNum, 0)).getUTCDate();
+        return roundAmount((previousRent * earlierDays + rent * (days - startDay + 1)) / days);
+    }
+
+    // Days from the 1st to `lastDay` of a month on which a tenant occupied the property;
+    // the move-out date is the next tenant's move-in date, so it is not counted
+    countOccupiedDays(propertyId, month, lastDay) {
+        const occupancies = this.getOccupancies(propertyId);
+        let count = 0;
+        for (let day = 1; day <= lastDay; day++) {
+            const date = `${month}-${String(day).padStart(2, '0')}`;
+            if (occupancies.some(o => o.moveIn <= date && (!o.moveOut || date < o.moveOut))) count++;
+        }
+        return count;
+    }
+
+    // Add expense; without a currency it is recorded in the currency of its property
+    addExpense(expense) {
+        if (!expense.currency) expense.currency = this.getPropertyCurrency(expense.propertyId);
+        expense.id = this.generateId();
+        this.expenses.push(expense);
+        this.saveData();
+        return expense;
+    }
+
+    // Get expenses for a property and month
+    getExpenses(propertyId, month) {
+        return this.expenses.filter(e => e.propertyId === propertyId && e.month === month);
+    }
+
+    // Get all expenses
+    getAllExpenses() {
+        return this.expenses;
+    }
+
+    // Get expense categories, hiding archived ones unless asked
+    getExpenseCategories(includeArchived = false) {
+        return this.settings.expenseCategories.filter(c => includeArchived || !c.archived);
+    }
+
+    // Get expense category by ID
+    getExpenseCategoryById(id) {
+        return this.settings.expenseCategories.find(c => c.id === id);
+    }
+
+    // Display name of an expense category
+    getExpenseCategoryName(id) {
+        const category = this.getExpenseCategoryById(id);
+        return category ? getCategoryLabel(category) : id;
+    }
+
+    // Add expense category
+    addExpenseCategory(category) {
+        category.id = `category_${this.generateId()}`;
+        this.settings.expenseCategories.push(category);
+        this.saveData();
+        return category;
+    }
+
+    // Update expense category
+    updateExpenseCategory(id, updatedCategory) {
+        const category = this.getExpenseCategoryById(id);
+        if (!category) return null;
+        Object.assign(category, updatedCategory, { id });
+        this.saveData();
+        return category;
+    }
+
+    // Delete an expense category; categories already used are archived so old records keep their name
+    deleteExpenseCategory(id) {
+        const used = this.expenses.some(e => e.lines.some(line => line.categoryId === id));
+        if (used) {
+            this.getExpenseCategoryById(id).archived = true;
+        } else {
+            this.settings.expenseCategories = this.settings.expenseCategories.filter(c => c.id !== id);
+        }
+        this.saveData();
+        return used ? 'archived' : 'deleted';
+    }
+
+    // Currency all totals are converted to
+    getBaseCurrency() {
+        return this.settings.currency;
+    }
+
+    // Currency the rent of a property is agreed in
+    getPropertyCurrency(propertyId) {
+        const property = this.getPropertyById(propertyId);
+        return property && property.currency ? property.currency : this.getBaseCurrency();
+    }
+
+    // A property's currency is fixed once rent has been paid in it
+    isCurrencyLocked(propertyId) {
+        return this.getPayments(propertyId).length > 0;
+    }
+
+    // Currency an expense entry was paid in
+    getExpenseCurrency(expense) {
+        return expense.currency || this.getPropertyCurrency(expense.propertyId);
+    }
+
+    // Currencies used by properties and expenses, base currency first
+    getCurrencies() {
+        const used = [...this.properties, ...this.expenses].map(record => record.currency).filter(Boolean);
+        return [...new Set([this.getBaseCurrency(), ...used, ...this.exchangeRates.map(r => r.currency)])];
+    }
+
+    // Exchange rates, newest first within each currency
+    getExchangeRates() {
+        return [...this.exchangeRates].sort((a, b) =>
+            a.currency.localeCompare(b.currency) || b.effectiveDate.localeCompare(a.effectiveDate));
+    }
+
+    // Record the value of one unit of a currency in the base currency from a date on;
+    // a rate for the same currency and date replaces the earlier one
+    addExchangeRate(rate) {
+        const existing = this.exchangeRates.find(r => r.currency === rate.currency && r.effectiveDate === rate.effectiveDate);
+        if (existing) {
+            existing.rate = rate.rate;
+            this.saveData();
+            return existing;
+        }
+        const newRate = { ...rate, id: this.generateId() };
+        this.exchangeRates.push(newRate);
+        this.saveData();
+        return newRate;
+    }
+
+    deleteExchangeRate(id) {
+        this.exchangeRates = this.exchangeRates.filter(r => r.id !== id);
+        this.saveData();
+    }
+
+    // Base-currency value of one unit of `currency` on a YYYY-MM-DD date (or at the end of a YYYY-MM month):
+    // the latest rate effective by then, else the earliest known rate, else null when there is none
+    getExchangeRate(currency, date) {
+        if (currency === this.getBaseCurrency()) return 1;
+        const day = date.length === 7 ? getMonthEnd(date) : date;
+        const rates = this.exchangeRates
+            .filter(r => r.currency === currency)
+            .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+        if (rates.length === 0) return null;
+        const effective = rates.filter(r => r.effectiveDate <= day);
+        return (effective.length > 0 ? effective[effective.length - 1] : rates[0]).rate;
+    }
+
+    // Convert an amount between currencies through the base currency; a currency without
+    // any rate is counted one to one and reported by getMissingRates
+    convertAmount(amount, from, to, date) {
+        if (from === to) return amount;
+        const fromRate = this.getExchangeRate(from, date) || 1;
+        const toRate = this.getExchangeRate(to, date) || 1;
+        return amount * fromRate / toRate;
+    }
+
+    toBase(amount, currency, date) {
+        return this.convertAmount(amount, currency, this.getBaseCurrency(), date);
+    }
+
+    // Currencies in use that have no exchange rate, so totals cannot be converted correctly
+    getMissingRates() {
+        return this.getCurrencies().filter(currency => this.getExchangeRate(currency, getToday()) === null);
+    }
+
+    // Switch the base to another currency, re-expressing every rate against it through the new
+    // base's own rates, so converted totals stay the same; the old base gets rates of its own.
+    // Returns false when rates exist but none of them is for the new base
+    rebaseExchangeRates(currency) {
+        const previous = this.getBaseCurrency();
+        const datesOf = code => this.exchangeRates.filter(r => r.currency === code).map(r => r.effectiveDate);
+        const baseDates = datesOf(currency);
+        if (this.exchangeRates.length > 0 && baseDates.length === 0) return false;
+
+        // A rate changes whenever the currency's own rate or the new base's rate does
+        const others = [...new Set(this.exchangeRates.map(r => r.currency))].filter(code => code !== currency);
+        const rebased = [previous, ...others].flatMap(code =>
+            [...new Set([...datesOf(code), ...baseDates])].map(effectiveDate => ({
+                id: this.generateId(),
+                currency: code,
+                rate: this.getExchangeRate(code, effectiveDate) / this.getExchangeRate(currency, effectiveDate),
+                effectiveDate
+            })));
+        this.exchangeRates = rebased;
+        this.settings.currency = currency;
+        return true;
+    }
+
+    // Move records from one currency code to another, e.g. after the base currency is renamed
+    renameCurrency(from, to) {
+        [...this.properties, ...this.expenses, ...this.receipts].forEach(record => {
+            if (record.currency === from) record.currency = to;
+        });
+        this.saveData();
+    }
+
+    // Split an expense entry into owner-borne and tenant-recharged totals, in `currency`
+    // (the base currency unless given) at the rate in force at the end of the expense month
+    summarizeExpense(expense, currency = this.getBaseCurrency()) {
+        const summary = { owner: 0, tenant: 0, total: 0 };
+        const from = this.getExpenseCurrency(expense);
+        expense.lines.forEach(line => {
+            const amount = this.convertAmount(parseFloat(line.amount || 0), from, currency, expense.month);
+            summary[line.responsibility] += amount;
+            summary.total += amount;
+        });
+        return summary;
+    }
+
+    // Owner-borne and tenant-recharged totals across several expense entries
+    summarizeExpenses(expenses, currency = this.getBaseCurrency()) {
+        return expenses.reduce((summary, expense) => {
+            const entry = this.summarizeExpense(expense, currency);
+            summary.owner += entry.owner;
+            summary.tenant += entry.tenant;
+            summary.total += entry.total;
+            return summary;
+        }, { owner: 0, tenant: 0, total: 0 });
+    }
+
+    // Totals per category and responsibility for a set of expense entries, in registry order
+    getCategoryTotals(expenses, currency = this.getBaseCurrency()) {
+        const totals = {};
+        expenses.forEach(expense => {
+            const from = this.getExpenseCurrency(expense);
+            expense.lines.forEach(line => {
+                const key = `${line.categoryId}|${line.responsibility}`;
+                if (!totals[key]) {
+                    totals[key] = {
+                        categoryId: line.categoryId,
+                        name: this.getExpenseCategoryName(line.categoryId),
+                        responsibility: line.responsibility,
+                        amount: 0
+                    };
+                }
+                totals[key].amount += this.convertAmount(parseFloat(line.amount || 0), from, currency, expense.month);
+            });
+        });
+
+        const order = this.settings.expenseCategories.map(c => c.id);
+        return Object.values(totals).sort((a, b) => order.indexOf(a.categoryId) - order.indexOf(b.categoryId));
+    }
+
+    // Get expense by ID
+    getExpenseById(id) {
+        return this.expenses.find(e => e.id === id);
+    }
+
+    // Update expense
+    updateExpense(id, updatedExpense) {
+        const index = this.expenses.findIndex(e => e.id === id);
+        if (index !== -1) {
+            this.expenses[index] = { ...this.expenses[index], ...updatedExpense, id };
+            this.saveData();
+            return this.expenses[index];
+        }
+        return null;
+    }
+
+    // Delete expense
+    deleteExpense(id) {
+        this.expenses = this.expenses.filter(e => e.id !== id);
+        this.saveData();
+    }
+
+    // Add payment
+    addPayment(payment) {
+        payment.id = this.generateId();
+        this.payments.push(payment);
+        this.saveData();
+        return payment;
+    }
+
+    // Get payments for a property, optionally limited to one month
+    getPayments(propertyId, month) {
+        return this.payments.filter(p => p.propertyId === propertyId && (!month || p.month === month));
+    }
+
+    // Get all payments
+    getAllPayments() {
+        return this.payments;
+    }
+
+    // Receipt issued for a payment, if any
+    getReceiptForPayment(paymentId) {
+        return this.receipts.find(r => r.paymentId === paymentId);
+    }
+
+    // Issue the receipt of a payment: the first time it gets the next number, later calls
+    // return the same receipt as a duplicate. The number is taken from a counter that undo,
+    // import and clearing all data never lower, so a number is never given out twice.
+    issueReceipt(paymentId) {
+        let receipt = this.getReceiptForPayment(paymentId);
+        const duplicate = Boolean(receipt && receipt.printCount > 0);
+
+        if (!receipt) {
+            const payment = this.payments.find(p => p.id === paymentId);
+            if (!payment) return null;
+
+            const property = this.getPropertyById(payment.propertyId);
+            const tenants = this.getTenantsForMonth(payment.propertyId, payment.month);
+            this.lastReceiptNumber = Math.max(this.lastReceiptNumber, ...this.receipts.map(r => r.number)) + 1;
+
+            // Payer and property are copied so the receipt reads the same after later edits
+            receipt = {
+                id: this.generateId(),
+                number: this.lastReceiptNumber,
+                paymentId,
+                propertyId: payment.propertyId,
+                propertyName: property ? property.name : '',
+                payer: tenants.map(tenant => tenant.name).join(t('common.listSeparator')),
+                month: payment.month,
+                amount: payment.amount,
+                paidOn: payment.paidOn,
+                method: payment.method,
+                reference: payment.reference || '',
+                currency: this.getPropertyCurrency(payment.propertyId),
+                issuedOn: getToday(),
+                printCount: 0
+            };
+            this.receipts.push(receipt);
+            this.saveData();
+        }
+
+        return { receipt, duplicate };
+    }
+
+    // Count a print of a receipt once its PDF has opened; later prints are marked as duplicates
+    markReceiptPrinted(receiptId) {
+        const receipt = this.receipts.find(r => r.id === receiptId);
+        if (!receipt) return;
+        receipt.printCount++;
+        this.saveData();
+    }
+
+    // Delete payment
+    deletePayment(id) {
+        this.payments = this.payments.filter(p => p.id !== id);
+        this.saveData();
+    }
+
+    // Rent due for a property in a given month: charged whenever a tenant occupied it
+    getRentDue(property, month) {
+        if (this.getTenantsForMonth(property.id, month).length === 0) return 0;
+        return this.getRentForMonth(property, month);
+    }
+
+    // First month the ledger tracks for a property
+    getLedgerStart(property) {
+        const rentalMonth = property.rentalDate ? property.rentalDate.slice(0, 7) : getCurrentMonth();
+        let start = property.ledgerStart || rentalMonth;
+        this.getPayments(property.id).forEach(p => {
+            if (p.month < start) start = p.month;
+        });
+        return start < rentalMonth ? rentalMonth : start;
+    }
+
+    // Payment status of a property for a month, including arrears from earlier months
+    getPaymentStatus(propertyId, month) {
+        const property = this.getPropertyById(propertyId);
+        if (!property) return null;
+
+        const sumPaid = m => this.getPayments(propertyId, m).reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
+
+        let arrears = 0;
+        for (let m = this.getLedgerStart(property); m < month; m = addMonths(m, 1)) {
+            arrears += this.getRentDue(property, m) - sumPaid(m);
+        }
+        arrears = roundAmount(Math.max(arrears, 0));
+
+        const due = roundAmount(this.getRentDue(property, month));
+        const paid = roundAmount(sumPaid(month));
+        const balance = roundAmount(Math.max(due - paid, 0) + arrears);
+
+        const dueDate = this.getDueDate(property, month);
+
+        // A month paid in full still owes earlier months while the balance carries arrears;
+        // a month with nothing due and nothing owed, such as a vacant one, is not called paid
+        let status;
+        if (due === 0 && paid === 0 && balance <= 0) {
+            status = 'notDue';
+        } else if (balance <= 0) {
+            status = 'paid';
+        } else if (paid >= due) {
+            status = 'arrears';
+        } else if (this.isPastGracePeriod(dueDate)) {
+            status = 'overdue';
+        } else if (paid > 0) {
+            status = 'partial';
+        } else {
+            status = 'unpaid';
+        }
+
+        return { due, paid, arrears, balance, status, dueDate };
+    }
+
+    // Due date of a month's rent as YYYY-MM-DD; the payment day is clamped to the end of short months
+    getDueDate(property, month) {
+        const [year, monthNum] = month.split('-').map(Number);
+        const lastDay = new Date(Date.UTC(year, monthNum, 0)).getUTCDate();
+        return `${month}-${String(Math.min(property.paymentDate || 1, lastDay)).padStart(2, '0')}`;
+    }
+
+    // Whether rent due on this date is late once the grace period is over
+    isPastGracePeriod(dueDate) {
+        return daysBetween(dueDate, getToday()) > (this.settings.gracePeriodDays || 0);
+    }
+
+    // Unpaid rent past its grace period, counted from the oldest unpaid month; null when nothing is late.
+    // Overpayments are applied to the oldest shortfalls first, as the arrears figure does.
+    getOverdueRent(property) {
+        const currentMonth = getCurrentMonth();
+        let shortfalls = [];
+        let credit = 0;
+
+        for (let month = this.getLedgerStart(property); month <= currentMonth; month = addMonths(month, 1)) {
+            const paid = this.getPayments(property.id, month).reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
+            credit = roundAmount(credit + paid - this.getRentDue(property, month));
+            if (credit < 0) {
+                shortfalls.push({ month, amount: -credit });
+                credit = 0;
+            }
+
+            // Apply any surplus to the oldest unpaid months
+            while (credit > 0 && shortfalls.length > 0) {
+                const settled = Math.min(credit, shortfalls[0].amount);
+                shortfalls[0].amount = roundAmount(shortfalls[0].amount - settled);
+                credit = roundAmount(credit - settled);
+                if (shortfalls[0].amount <= 0) shortfalls.shift();
+            }
+        }
+
+        shortfalls = shortfalls.filter(s => this.isPastGracePeriod(this.getDueDate(property, s.month)));
+        if (shortfalls.length === 0) return null;
+
+        const dueDate = this.getDueDate(property, shortfalls[0].month);
+        return {
+            month: shortfalls[0].month,
+            dueDate,
+            daysLate: daysBetween(dueDate, getToday()),
+            months: shortfalls.length,
+            amount: roundAmount(shortfalls.reduce((sum, s) => sum + s.amount, 0))
+        };
+    }
+
+    // Days the current rent of a tenant is late, or 0
+    getTenantDaysLate(tenantId) {
+        const property = this.getTenantProperty(tenantId);
+        const overdue = property ? this.getOverdueRent(property) : null;
+        return overdue ? overdue.daysLate : 0;
+    }
+
+    // Rents falling due within the given number of days, and rents that are overdue
+    getRentReminders(days = DUE_SOON_DAYS) {
+        const today = getToday();
+        const lastDay = addDaysToDate(today, days);
+        const dueSoon = [];
+        const overdue = [];
+
+        this.properties.forEach(property => {
+            [getCurrentMonth(), addMonths(getCurrentMonth(), 1)].forEach(month => {
+                const dueDate = this.getDueDate(property, month);
+                if (dueDate < today || dueDate > lastDay) return;
+
+                const paymentStatus = this.getPaymentStatus(property.id, month);
+                const remaining = roundAmount(paymentStatus.due - paymentStatus.paid);
+                if (remaining <= 0) return;
+
+                dueSoon.push({
+                    property,
+                    tenant: this.getCurrentTenant(property.id),
+                    month,
+                    dueDate,
+                    amount: remaining,
+                    daysUntil: daysBetween(today, dueDate)
+                });
+            });
+
+            const late = this.getOverdueRent(property);
+            if (late) {
+                const tenants = this.getTenantsForMonth(property.id, late.month);
+                overdue.push({ property, tenant: tenants[tenants.length - 1] || null, ...late });
+            }
+        });
+
+        dueSoon.sort((a, b) => a.dueDate.localeCompare(b.dueDate));
+        overdue.sort((a, b) => b.daysLate - a.daysLate);
+        return { dueSoon, overdue };
+    }
+
+    // Rent, payments and expenses of one property for one month, in the currency of the property
+    getPropertyMonthSummary(property, month) {
+        const currency = this.getPropertyCurrency(property.id);
+        const expenses = this.getExpenses(property.id, month);
+        const expenseSummary = this.summarizeExpenses(expenses, currency);
+        const paymentStatus = this.getPaymentStatus(property.id, month);
+
+        return {
+            currency,
+            tenants: this.getTenantsForMonth(property.id, month),
+            rentDue: paymentStatus.due,
+            paid: paymentStatus.paid,
+            balance: paymentStatus.balance,
+            status: paymentStatus.status,
+            ownerExpenses: expenseSummary.owner,
+            tenantExpenses: expenseSummary.tenant,
+            totalExpenses: expenseSummary.total,
+            netIncome: paymentStatus.due - expenseSummary.owner
+        };
+    }
+
+    // Turn spreadsheet rows (objects keyed by field) into records, collecting errors per row
+    prepareRowImport(entity, rows) {
+        const valid = [];
+        const errors = [];
+        const seenNames = new Set();
+
+        rows.forEach((raw, index) => {
+            const problems = [];
+            const text = key => String(raw[key] === undefined || raw[key] === null ? '' : raw[key]).trim();
+
+            if (entity === 'properties') {
+                const name = text('name');
+                const monthlyRent = parseImportNumber(raw.monthlyRent);
+                const rentalDate = parseImportDate(raw.rentalDate);
+                const paymentDate = parseImportNumber(raw.paymentDate);
+                const tenantName = text('tenantName');
+                const status = parseImportStatus(text('status'), tenantName);
+
+                if (!name) problems.push(t('import.row.nameMissing'));
+                else if (seenNames.has(name) || this.properties.some(p => p.name === name)) problems.push(t('import.row.duplicateName'));
+                if (monthlyRent === null || monthlyRent < 0) problems.push(t('import.row.invalidRent'));
+                if (!rentalDate) problems.push(t('import.row.invalidRentalDate'));
+                if (!Number.isInteger(paymentDate) || paymentDate < 1 || paymentDate > 31) problems.push(t('import.row.invalidPaymentDay'));
+                if (!status) problems.push(t('import.row.unknownStatus'));
+                if (status === 'rented' && !tenantName) problems.push(t('import.row.tenantRequired'));
+
+                seenNames.add(name);
+                if (problems.length === 0) {
+                    valid.push({
+                        name, tenantName, monthlyRent, rentalDate, paymentDate, status,
+                        notes: text('notes'),
+                        currency: text('currency') || this.getBaseCurrency()
+                    });
+                }
+            } else {
+                const property = this.properties.find(p => p.name === text('propertyName'));
+                const month = parseImportMonth(raw.month);
+                const categoryText = text('category');
+                const category = this.getExpenseCategories(true)
+                    .find(c => c.name === categoryText || getCategoryLabel(c) === categoryText || c.id === categoryText);
+                const amount = parseImportNumber(raw.amount);
+                const responsibility = text('responsibility')
+                    ? parseImportResponsibility(text('responsibility'))
+                    : category && category.defaultResponsibility;
+
+                if (!property) problems.push(t('import.row.propertyNotFound'));
+                if (!month) problems.push(t('import.row.invalidMonth'));
+                if (!category) problems.push(t('import.row.unknownCategory'));
+                if (amount === null || amount <= 0) problems.push(t('import.row.invalidAmount'));
+                if (!responsibility) problems.push(t('import.row.unknownResponsibility'));
+
+                if (problems.length === 0) {
+                    valid.push({
+                        propertyId: property.id, month, categoryId: category.id, amount, responsibility,
+                        currency: text('currency') || this.getPropertyCurrency(property.id)
+                    });
+                }
+            }
+
+            if (problems.length > 0) errors.push({ row: index + 2, problems });
+        });
+
+        return { valid, errors };
+    }
+
+    // Create the records prepared by prepareRowImport; expense lines of the same property, month and currency share one entry
+    applyRowImport(entity, records) {
+        return this.batch(() => {
+            if (entity === 'properties') {
+                records.forEach(({ tenantName, ...property }) => {
+                    let tenantId = null;
+                    if (property.status === 'rented') {
+                        const tenant = this.tenants.find(t => t.name === tenantName) ||
+                            this.addTenant({ name: tenantName, nationalId: '', phone: '', email: '', notes: '' });
+                        tenantId = tenant.id;
+                    }
+                    this.addProperty({ ...property, tenantId });
+                });
+            } else {
+                const entries = {};
+                records.forEach(({ propertyId, month, currency, ...line }) => {
+                    const key = `${propertyId}|${month}|${currency}`;
+                    if (!entries[key]) entries[key] = { propertyId, month, currency, lines: [] };
+                    entries[key].lines.push(line);
+                });
+                Object.values(entries).forEach(expense => this.addExpense(expense));
+            }
+        });
+    }
+
+    // Calculate statistics
+    getStatistics() {
+        const totalProperties = this.properties.length;
+        const rentedProperties = this.properties.filter(p => p.status === 'rented').length;
+        const vacantProperties = totalProperties - rentedProperties;
+
+        const currentMonth = new Date().toISOString().slice(0, 7);
+        const toBase = (property, amount) => this.toBase(amount, this.getPropertyCurrency(property.id), currentMonth);
+        const monthlyIncome = this.properties
+            .filter(p => p.status === 'rented')
+            .reduce((sum, p) => sum + toBase(p, this.getRentForMonth(p, currentMonth)), 0);
+
+        const monthExpenses = this.expenses.filter(e => e.month === currentMonth);
+        const expenseSummary = this.summarizeExpenses(monthExpenses);
+        const monthlyExpenses = expenseSummary.total;
+        const ownerExpenses = expenseSummary.owner;
+
+        const netProfit = monthlyIncome - ownerExpenses;
+
+        let collectedIncome = 0;
+        let outstandingBalance = 0;
+        this.properties.forEach(p => {
+            const paymentStatus = this.getPaymentStatus(p.id, currentMonth);
+            collectedIncome += toBase(p, paymentStatus.paid);
+            outstandingBalance += toBase(p, paymentStatus.balance);
+        });
+
+        return {
+            totalProperties,
+            rentedProperties,
+            vacantProperties,
+            monthlyIncome,
+            monthlyExpenses,
+            ownerExpenses,
+            netProfit,
+            collectedIncome,
+            outstandingBalance
+        };
+    }
+
+    // Occupied and tracked unit-months of some properties over some months; a property is only
+    // part of the portfolio from the month its ledger starts
+    getOccupancy(properties, months) {
+        let tracked = 0;
+        let occupied = 0;
+        properties.forEach(property => {
+            const ledgerStart = this.getLedgerStart(property);
+            months.forEach(month => {
+                if (ledgerStart > month) return;
+                tracked++;
+                if (this.getTenantsForMonth(property.id, month).length > 0) occupied++;
+            });
+        });
+        return { tracked, occupied, rate: tracked > 0 ? Math.round(occupied / tracked * 100) : 0 };
+    }
+
+    // Income, expenses, net and occupancy for each of the last `count` months, oldest first
+    getMonthlyHistory(count, endMonth = getCurrentMonth()) {
+        const history = [];
+
+        for (let month = addMonths(endMonth, 1 - count); month <= endMonth; month = addMonths(month, 1)) {
+            let income = 0;
+            let collected = 0;
+
+            this.properties.forEach(property => {
+                const currency = this.getPropertyCurrency(property.id);
+                income += this.toBase(this.getRentDue(property, month), currency, month);
+                collected += this.toBase(
+                    this.getPayments(property.id, month).reduce((sum, p) => sum + parseFloat(p.amount || 0), 0), currency, month);
+            });
+
+            const expenseSummary = this.summarizeExpenses(this.expenses.filter(e => e.month === month));
+            const occupancy = this.getOccupancy(this.properties, [month]);
+            history.push({
+                month,
+                income: roundAmount(income),
+                collected: roundAmount(collected),
+                ownerExpenses: roundAmount(expenseSummary.owner),
+                totalExpenses: roundAmount(expenseSummary.total),
+                net: roundAmount(income - expenseSummary.owner),
+                occupied: occupancy.occupied,
+                totalProperties: occupancy.tracked,
+                occupancyRate: occupancy.rate
+            });
+        }
+
+        return history;
+    }
+
+    // Expense totals per category over a month range, whoever bears them, largest first
+    getExpenseBreakdown(fromMonth, toMonth) {
+        const totals = {};
+        this.getCategoryTotals(this.expenses.filter(e => e.month >= fromMonth && e.month <= toMonth))
+            .forEach(total => {
+                if (!totals[total.categoryId]) totals[total.categoryId] = { categoryId: total.categoryId, name: total.name, amount: 0 };
+                totals[total.categoryId].amount += total.amount;
+            });
+        return Object.values(totals)
+            .map(total => ({ ...total, amount: roundAmount(total.amount) }))
+            .sort((a, b) => b.amount - a.amount);
+    }
+
+    // Figures of every property for one month, used when drilling down from a chart
+    getMonthBreakdown(month) {
+        return this.properties.map(property => ({ property, ...this.getPropertyMonthSummary(property, month) }));
+    }
+
+    // Rent, expenses per category, net and occupancy of every property over a month range,
+    // with a subtotal for each month and grand totals, all in the base currency
+    getPortfolioReport(fromMonth, toMonth) {
+        const months = [];
+        for (let month = fromMonth; month <= toMonth; month = addMonths(month, 1)) months.push(month);
+
+        const summarize = (properties, monthList) => {
+            const expenses = this.expenses.filter(e =>
+                monthList.includes(e.month) && properties.some(p => p.id === e.propertyId));
+            const expenseSummary = this.summarizeExpenses(expenses);
+            const byCategory = {};
+            this.getCategoryTotals(expenses).forEach(total => {
+                byCategory[total.categoryId] = (byCategory[total.categoryId] || 0) + total.amount;
+            });
+
+            let rentDue = 0;
+            let paid = 0;
+            properties.forEach(property => {
+                const currency = this.getPropertyCurrency(property.id);
+                monthList.forEach(month => {
+                    rentDue += this.toBase(this.getRentDue(property, month), currency, month);
+                    paid += this.toBase(
+                        this.getPayments(property.id, month).reduce((sum, p) => sum + parseFloat(p.amount || 0), 0), currency, month);
+                });
+            });
+
+            Object.keys(byCategory).forEach(id => { byCategory[id] = roundAmount(byCategory[id]); });
+            return {
+                rentDue: roundAmount(rentDue),
+                paid: roundAmount(paid),
+                expenses: byCategory,
+                ownerExpenses: roundAmount(expenseSummary.owner),
+                tenantExpenses: roundAmount(expenseSummary.tenant),
+                totalExpenses: roundAmount(expenseSummary.total),
+                net: roundAmount(rentDue - expenseSummary.owner),
+                occupancyRate: this.getOccupancy(properties, monthList).rate
+            };
+        };
+
+        const totals = summarize(this.properties, months);
+        const categories = this.getExpenseCategories(true)
+            .filter(category => totals.expenses[category.id] !== undefined)
+            .map(category => ({ id: category.id, name: getCategoryLabel(category) }));
+
+        return {
+            fromMonth,
+            toMonth,
+            months,
+            categories,
+            rows: this.properties.map(property => ({
+                property,
+                currency: this.getPropertyCurrency(property.id),
+                originalRentDue: roundAmount(months.reduce((sum, month) => sum + this.getRentDue(property, month), 0)),
+                ...summarize([property], months)
+            })),
+            monthly: months.map(month => ({ month, ...summarize(this.properties, [month]) })),
+            totals
+        };
+    }
+
+    // Income statement for a period: rent received (by payment date), vacancy losses,
+    // owner-borne expenses by category and the resulting net taxable income, in the base currency
+    getIncomeStatement(fromMonth, toMonth) {
+        const fromDate = `${fromMonth}-01`;
+        const toDate = getMonthEnd(toMonth);
+        const lastMonth = toMonth < getCurrentMonth() ? toMonth : getCurrentMonth();
+        const months = [];
+        for (let month = fromMonth; month <= toMonth; month = addMonths(month, 1)) months.push(month);
+
+        const ownerLines = expenses => expenses.map(expense => ({
+            ...expense,
+            lines: expense.lines.filter(line => line.responsibility === 'owner')
+        }));
+        const periodExpenses = this.expenses.filter(e => e.month >= fromMonth && e.month <= toMonth);
+
+        const rows = this.properties.map(property => {
+            const currency = this.getPropertyCurrency(property.id);
+            const received = this.getPayments(property.id).filter(p => p.paidOn >= fromDate && p.paidOn <= toDate);
+            const originalGrossRent = received.reduce((sum, p) => sum + parseFloat(p.amount || 0), 0);
+            const grossRent = received.reduce((sum, p) => sum + this.toBase(parseFloat(p.amount || 0), currency, p.paidOn), 0);
+
+            // Rent lost to months without a tenant, counted from the rental date up to the current month
+            const rentalMonth = property.rentalDate ? property.rentalDate.slice(0, 7) : fromMonth;
+            const vacantMonths = months.filter(month =>
+                month >= rentalMonth && month <= lastMonth && this.getTenantsForMonth(property.id, month).length === 0);
+            const vacancyLoss = vacantMonths.reduce((sum, month) =>
+                sum + this.toBase(this.getRentForMonth(property, month), currency, month), 0);
+
+            const ownerExpenses = this.summarizeExpenses(periodExpenses.filter(e => e.propertyId === property.id)).owner;
+
+            return {
+                property,
+                currency,
+                originalGrossRent: roundAmount(originalGrossRent),
+                grossRent: roundAmount(grossRent),
+                vacantMonths: vacantMonths.length,
+                vacancyLoss: roundAmount(vacancyLoss),
+                ownerExpenses: roundAmount(ownerExpenses),
+                net: roundAmount(grossRent - ownerExpenses)
+            };
+        });
+
+        const deductions = this.getCategoryTotals(ownerLines(periodExpenses))
+            .map(total => ({ categoryId: total.categoryId, name: total.name, amount: roundAmount(total.amount) }));
+
+        const grossRent = roundAmount(rows.reduce((sum, row) => sum + row.grossRent, 0));
+        const deductibleExpenses = roundAmount(deductions.reduce((sum, d) => sum + d.amount, 0));
+
+        return {
+            fromMonth,
+            toMonth,
+            rows,
+            deductions,
+            grossRent,
+            vacancyLoss: roundAmount(rows.reduce((sum, row) => sum + row.vacancyLoss, 0)),
+            deductibleExpenses,
+            netTaxableIncome: roundAmount(grossRent - deductibleExpenses)
+        };
+    }
+
+    // Export all data as JSON
+    exportData() {
+        return {
+            properties: this.properties,
+            expenses: this.expenses,
+            payments: this.payments,
+            tenants: this.tenants,
+            occupancies: this.occupancies,
+            leases: this.leases,
+            receipts: this.receipts,
+            exchangeRates: this.exchangeRates,
+            settings: this.settings,
+            schemaVersion: this.schemaVersion,
+            exportDate: new Date().toISOString()
+        };
+    }
+
+    // Validate and migrate an import file into a detached copy of the data, without touching the current data
+    prepareImport(data) {
+        const errors = [];
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return { errors: [t('import.error.notBackup')], staging: null };
+        }
+
+        const collections = STORE_COLLECTIONS.filter(name => data[name] !== undefined);
+        if (collections.length === 0 && !data.settings) {
+            return { errors: [t('import.error.noKnownData')], staging: null };
+        }
+
+        collections.forEach(name => {
+            if (!Array.isArray(data[name])) {
+                errors.push(t('import.error.notList', { collection: t(`collection.${name}`) }));
+            } else if (data[name].some(record => !record || typeof record !== 'object')) {
+                errors.push(t('import.error.invalidItems', { collection: t(`collection.${name}`) }));
+            }
+        });
+        if (data.settings !== undefined && (typeof data.settings !== 'object' || Array.isArray(data.settings))) {
+            errors.push(t('import.error.settingsNotObject'));
+        }
+        if (data.schemaVersion !== undefined && !(Number.isInteger(data.schemaVersion) && data.schemaVersion >= 0)) {
+            errors.push(t('import.error.invalidSchemaVersion'));
+        }
+        if (data.schemaVersion > SCHEMA_VERSION) {
+            errors.push(t('import.error.newerVersion'));
+        }
+        if (errors.length > 0) return { errors, staging: null };
+
+        // Migrate a copy so older backups are checked in their upgraded form
+        const staging = Object.create(PropertyManager.prototype);
+        STORE_COLLECTIONS.forEach(name => { staging[name] = []; });
+        staging.settings = JSON.parse(JSON.stringify(this.settings));
+        staging.lastId = this.lastId;
+        staging.assignData(JSON.parse(JSON.stringify(data)));
+
+        try {
+            staging.runMigrations(data.schemaVersion || 0);
+        } catch (error) {
+            return { errors: [t('import.error.migrationFailed', { error: error.message })], staging: null };
+        }
+
+        STORE_COLLECTIONS.forEach(name => {
+            const ids = new Set();
+            staging[name].forEach((record, index) => {
+                const problems = validateRecord(record, RECORD_SCHEMAS[name]);
+                if (name === 'expenses' && Array.isArray(record.lines)) {
+                    record.lines.forEach((line, lineIndex) => {
+                        validateRecord(line, EXPENSE_LINE_SCHEMA).forEach(problem => {
+                            problems.push(t('import.error.line', { line: lineIndex + 1, problem }));
+                        });
+                    });
+                }
+                if (ids.has(record.id)) problems.push(t('import.error.duplicateId'));
+                ids.add(record.id);
+
+                problems.forEach(problem => errors.push(t('import.error.record', { collection: t(`collection.${name}`), record: index + 1, problem })));
+            });
+        });
+
+        ['currency', 'businessName'].forEach(field => {
+            if (typeof staging.settings[field] !== 'string') errors.push(t('import.error.invalidSetting', { field }));
+        });
+        Object.keys(DEFAULT_REPORT_BRANDING).forEach(field => {
+            if (!isValidBrandingValue(field, staging.settings[field])) errors.push(t('import.error.invalidSetting', { field }));
+        });
+        if (!Array.isArray(staging.settings.expenseCategories)) {
+            errors.push(t('import.error.categoriesNotList'));
+        }
+
+        return { errors, staging: errors.length > 0 ? null : staging };
+    }
+
+    // Imported records pointing to a record that would not exist after the import: a replace
+    // import must bring its own, a merge import can also point to the current data
+    findMissingReferences(staging, mode) {
+        const errors = [];
+        Object.keys(RECORD_REFERENCES).forEach(name => {
+            staging[name].forEach((record, index) => {
+                Object.keys(RECORD_REFERENCES[name]).forEach(field => {
+                    const target = RECORD_REFERENCES[name][field];
+                    const id = record[field];
+                    if (typeof id !== 'number' || staging[target].some(other => other.id === id)) return;
+                    if (mode === 'merge' && this[target].some(other => other.id === id)) return;
+
+                    const problem = t('import.error.missingReference', { field, collection: t(`collection.${target}`) });
+                    errors.push(t('import.error.record', { collection: t(`collection.${name}`), record: index + 1, problem }));
+                });
+            });
+        });
+        return errors;
+    }
+
+    // What an import would add, change or remove in each collection
+    previewImport(staging, mode) {
+        const preview = {};
+        STORE_COLLECTIONS.forEach(name => {
+            const current = new Map(this[name].map(record => [record.id, record]));
+            const incoming = new Map(staging[name].map(record => [record.id, record]));
+            const added = [];
+            const changed = [];
+            const removed = [];
+
+            incoming.forEach((record, id) => {
+                if (!current.has(id)) {
+                    added.push(record);
+                } else if (JSON.stringify(current.get(id)) !== JSON.stringify(record)) {
+                    changed.push({ current: current.get(id), incoming: record });
+                }
+            });
+            if (mode === 'replace') {
+                current.forEach((record, id) => {
+                    if (!incoming.has(id)) removed.push(record);
+                });
+            }
+
+            preview[name] = { added, changed, removed };
+        });
+        preview.settingsChanged = JSON.stringify(this.settings) !== JSON.stringify(staging.settings);
+        return preview;
+    }
+
+    // Apply a prepared import; in merge mode changed records keep the current version
+    // unless their "collection:id" key is listed in acceptedConflicts
+    applyImport(staging, mode, acceptedConflicts = new Set()) {
+        if (mode === 'replace') {
+            STORE_COLLECTIONS.forEach(name => { this[name] = staging[name]; });
+            this.settings = staging.settings;
+        } else {
+            STORE_COLLECTIONS.forEach(name => {
+                const merged = new Map(this[name].map(record => [record.id, record]));
+                staging[name].forEach(record => {
+                    if (!merged.has(record.id) || acceptedConflicts.has(`${name}:${record.id}`)) {
+                        merged.set(record.id, record);
+                    }
+                });
+                this[name] = Array.from(merged.values());
+            });
+
+            staging.settings.expenseCategories.forEach(category => {
+                if (!this.getExpenseCategoryById(category.id)) this.settings.expenseCategories.push(category);
+            });
+        }
+
+        this.lastId = Math.max(this.lastId || 0, staging.lastId || 0);
+        this.saveData();
+    }
+
+    // Short description of a record for the import preview
+    describeRecord(name, record) {
+        const property = this.getPropertyById(record.propertyId);
+        const propertyName = property ? property.name : `#${record.propertyId}`;
+        const tenant = this.getTenantById(record.tenantId);
+
+        switch (name) {
+            case 'properties':
+            case 'tenants':
+                return record.name;
+            case 'expenses':
+                return `${propertyName} - ${formatMonth(record.month)}`;
+            case 'payments':
+                return `${propertyName} - ${formatMonth(record.month)} - ${formatAmount(record.amount)}`;
+            case 'occupancies':
+                return `${propertyName} - ${tenant ? tenant.name : ''} (${formatDate(record.moveIn)})`;
+            case 'leases':
+                return `${propertyName} - ${formatDate(record.startDate)}`;
+            case 'exchangeRates':
+                return `${record.currency} - ${formatDate(record.effectiveDate)}`;
+            default:
+                return String(record.id);
+        }
+    }
+
+    // Clear all data
+    clearAllData() {
+        this.properties = [];
+        this.expenses = [];
+        this.payments = [];
+        this.tenants = [];
+        this.occupancies = [];
+        this.leases = [];
+        this.receipts = [];
+        this.exchangeRates = [];
+        this.settings = {
+            currency: 'UM',
+            businessName: DEFAULT_BUSINESS_NAME,
+            userName: this.settings.userName || '',
+            reminderLeadDays: [3],
+            gracePeriodDays: 0,
+            notificationsEnabled: false,
+            fiscalYearStart: 1,
+            ...DEFAULT_REPORT_BRANDING,
+            snapshotRetention: this.settings.snapshotRetention || DEFAULT_SNAPSHOT_RETENTION,
+            expenseCategories: DEFAULT_EXPENSE_CATEGORIES.map(c => ({ ...c }))
+        };
+        this.saveData();
+    }
+
+    // Restore points, newest first
+    async getSnapshots() {
+        const snapshots = await this.store.readSnapshots();
+        return snapshots.sort((a, b) => b.id - a.id);
+    }
+
+    // Save a restore point of the current data and rotate out the oldest ones. A daily restore
+    // point that would repeat the newest one is skipped, resolving with null, so unchanged days
+    // do not push older copies out
+    async createSnapshot(reason) {
+        const data = this.exportData();
+        const [latest] = await this.getSnapshots();
+        if (reason === 'daily' && latest && isSameExport(latest.data, data)) return null;
+
+        const counts = {};
+        STORE_COLLECTIONS.forEach(name => { counts[name] = data[name].length; });
+        const snapshot = { createdAt: data.exportDate, reason, counts, data };
+        snapshot.id = await this.store.addSnapshot(snapshot);
+
+        const removed = await this.pruneSnapshots();
+        return { snapshot, removed };
+    }
+
+    // Delete the restore points beyond the retention count, which applies to the daily
+    // ones and to the others separately so a run of imports does not push out every daily copy
+    async pruneSnapshots() {
+        const kept = { daily: 0, other: 0 };
+        const removed = (await this.getSnapshots()).filter(snapshot => {
+            const kind = snapshot.reason === 'daily' ? 'daily' : 'other';
+            kept[kind]++;
+            return kept[kind] > this.settings.snapshotRetention;
+        });
+        await this.store.deleteSnapshots(removed.map(snapshot => snapshot.id));
+        return removed;
+    }
+
+    deleteSnapshot(id) {
+        return this.store.deleteSnapshots([id]);
+    }
+
+    getSnapshotFolder() {
+        return this.store.readMetaEntry(SNAPSHOT_FOLDER_KEY);
+    }
+
+    getSnapshotFolderEncryption() {
+        return this.store.readMetaEntry(SNAPSHOT_FOLDER_ENCRYPTION_KEY);
+    }
+
+    // A new folder or none replaces the encryption key too; without one the copies are plain JSON
+    async setSnapshotFolder(folder, encryption) {
+        await this.store.writeMetaEntry(SNAPSHOT_FOLDER_KEY, folder);
+        await this.store.writeMetaEntry(SNAPSHOT_FOLDER_ENCRYPTION_KEY, encryption);
+        await this.store.writeMetaEntry(SNAPSHOT_FOLDER_ERROR_KEY, undefined);
+    }
+
+    getSnapshotFolderError() {
+        return this.store.readMetaEntry(SNAPSHOT_FOLDER_ERROR_KEY);
+    }
+
+    setSnapshotFolderError(error) {
+        return this.store.writeMetaEntry(SNAPSHOT_FOLDER_ERROR_KEY, error);
+    }
+}
+
+// Initialize Property Manager
+const manager = new PropertyManager();
+
+// ===================================
+// View Preferences
+// ===================================
+
+// Search, filter, sort and paging choices; kept per device in localStorage rather than in the shared data
+const VIEW_PREFERENCES_KEY = 'viewPreferences';
+
+const DEFAULT_VIEW_PREFERENCES = {
+    properties: { search: '', status: '', minRent: null, maxRent: null, sort: 'name', direction: 'asc', page: 1, pageSize: 25 },
+    expenses: { propertyId: null, fromMonth: '', toMonth: '' },
+    display: { language: 'ar', reportLanguage: '', calendar: 'gregory', numerals: 'latn' }
+};
+
+// Saved preferences merged over the defaults, so newly added options get a value
+function loadViewPreferences() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(VIEW_PREFERENCES_KEY)) || {};
+    } catch (error) {
+        console.error(error);
+    }
+    return {
+        properties: { ...DEFAULT_VIEW_PREFERENCES.properties, ...saved.properties },
+        expenses: { ...DEFAULT_VIEW_PREFERENCES.expenses, ...saved.expenses },
+        display: { ...DEFAULT_VIEW_PREFERENCES.display, ...saved.display }
+    };
+}
+
+let viewPreferences = loadViewPreferences();
+
+function saveViewPreferences() {
+    localStorage.setItem(VIEW_PREFERENCES_KEY, JSON.stringify(viewPreferences));
+}
+
+// Put the saved preferences back into the toolbar controls
+function restoreViewControls() {
+    const { properties, expenses } = viewPreferences;
+    document.getElementById('propertySearch').value = properties.search;
+    document.getElementById('propertyStatusFilter').value = properties.status;
+    document.getElementById('propertyMinRent').value = properties.minRent === null ? '' : properties.minRent;
+    document.getElementById('propertyMaxRent').value = properties.maxRent === null ? '' : properties.maxRent;
+    document.getElementById('propertyPageSize').value = properties.pageSize;
+    document.getElementById('expenseFilterFrom').value = expenses.fromMonth;
+    document.getElementById('expenseFilterTo').value = expenses.toMonth;
+}
+
+// ===================================
+// Localisation
+// ===================================
+
+// Interface and report languages; their messages are the LANGUAGE_PACKS of i18n.js
+const LANGUAGES = {
+    ar: { name: 'العربية', locale: 'ar', dir: 'rtl', csvDelimiter: ',' },
+    // French spreadsheets use the comma as decimal separator and expect semicolon-separated CSV
+    fr: { name: 'Français', locale: 'fr-FR', dir: 'ltr', csvDelimiter: ';' },
+    en: { name: 'English', locale: 'en-GB', dir: 'ltr', csvDelimiter: ',' }
+};
+
+// Calendars and numeral styles of the date settings, as Unicode locale extension values
+const CALENDARS = ['gregory', 'islamic-umalqura'];
+const NUMERAL_STYLES = ['latn', 'arab'];
+
+const BOOTSTRAP_CSS = {
+    rtl: 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.rtl.min.css',
+    ltr: 'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css'
+};
+
+// Language of t() and the formatters; switched for a moment while a report is rendered in the report language
+let activeLanguage = LANGUAGES[viewPreferences.display.language] ? viewPreferences.display.language : 'ar';
+
+// Message of the active language with its {name} placeholders filled in; Arabic stands in for missing messages
+function t(key, params = {}) {
+    const pack = LANGUAGE_PACKS[activeLanguage];
+    const message = key in pack ? pack[key] : (LANGUAGE_PACKS.ar[key] || key);
+    return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+        if (!(name in params)) return placeholder;
+        return typeof params[name] === 'number' ? formatNumber(params[name]) : params[name];
+    });
+}
+
+// The same message in every language, for reading files whose headers or values may be in any of them
+function translationsOf(key) {
+    return Object.keys(LANGUAGES).map(language => LANGUAGE_PACKS[language][key]).filter(Boolean);
+}
+
+// Locale of the active language with the calendar and numerals of the date settings
+function getLocale(calendar = viewPreferences.display.calendar) {
+    return `${LANGUAGES[activeLanguage].locale}-u-ca-${calendar}-nu-${viewPreferences.display.numerals}`;
+}
+
+function isHijriCalendar() {
+    return viewPreferences.display.calendar !== 'gregory';
+}
+
+function getDirection() {
+    return LANGUAGES[activeLanguage].dir;
+}
+
+// Language of reports and PDFs; empty in the preferences means the interface language
+function getReportLanguage() {
+    return viewPreferences.display.reportLanguage || activeLanguage;
+}
+
+// Run fn with another language active and return its result
+function withLanguage(language, fn) {
+    const previous = activeLanguage;
+    activeLanguage = LANGUAGES[language] ? language : previous;
+    try {
+        return fn();
+    } finally {
+        activeLanguage = previous;
+    }
+}
+
+// An amount with two decimals and the separators of the active language
+function formatAmount(value) {
+    return Number(value).toLocaleString(getLocale(), { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// A count, day or year in the numerals of the date settings, without thousands separators
+function formatNumber(value) {
+    return Number(value).toLocaleString(getLocale(), { useGrouping: false });
+}
+
+// Every date shown in a table, report, PDF or label goes through formatDate and formatMonth, so the
+// calendar setting applies everywhere; stored dates stay Gregorian YYYY-MM-DD and YYYY-MM
+
+// A YYYY-MM-DD date, or a Date, in the calendar of the settings; Hijri dates carry the Gregorian date alongside
+function formatDate(date) {
+    const value = typeof date === 'string' ? new Date(`${date}T00:00:00`) : date;
+    const options = { year: 'numeric', month: '2-digit', day: '2-digit' };
+    const formatted = value.toLocaleDateString(getLocale(), options);
+    return isHijriCalendar() ? `${formatted} (${value.toLocaleDateString(getLocale('gregory'), options)})` : formatted;
+}
+
+// A YYYY-MM month with the month name, e.g. "October 2026"; in Hijri, the one or two Hijri months it spans
+function formatMonth(month, { short = false } = {}) {
+    const [year, monthNum] = month.split('-').map(Number);
+    const options = { month: short ? 'short' : 'long', year: 'numeric' };
+    const gregorian = new Date(year, monthNum - 1).toLocaleDateString(getLocale('gregory'), options);
+    if (!isHijriCalendar()) return gregorian;
+
+    const hijri = new Intl.DateTimeFormat(getLocale(), options).formatRange(new Date(year, monthNum - 1, 1), new Date(year, monthNum, 0));
+    return `${hijri} (${gregorian})`;
+}
+
+// Date and time of a change log entry
+function formatDateTime(timestamp) {
+    const value = new Date(timestamp);
+    return `${formatDate(value)} ${value.toLocaleTimeString(getLocale(), { timeStyle: 'short' })}`;
+}
+
+// Date fields always pick Gregorian dates, so with the Hijri calendar each one shows its value converted below it
+function updateDateHint(input) {
+    let hint = input.nextElementSibling;
+    if (!hint || !hint.classList.contains('date-hint')) {
+        hint = document.createElement('small');
+        hint.className = 'date-hint text-muted';
+        input.after(hint);
+    }
+    const value = isHijriCalendar() && input.value;
+    hint.textContent = value ? (input.type === 'month' ? formatMonth(value) : formatDate(value)) : '';
+}
+
+function updateDateHints() {
+    document.querySelectorAll('input[type="date"], input[type="month"]').forEach(updateDateHint);
+}
+
+// Stored defaults are the Arabic texts; while unchanged they are shown in the active language
+function getBusinessName() {
+    const name = manager.settings.businessName;
+    return name === DEFAULT_BUSINESS_NAME ? t('app.title') : name;
+}
+
+function getReportFooterText() {
+    const text = manager.settings.reportFooterText;
+    return text === DEFAULT_REPORT_BRANDING.reportFooterText ? t('report.footer') : text;
+}
+
+function getCategoryLabel(category) {
+    const starting = DEFAULT_EXPENSE_CATEGORIES.find(c => c.id === category.id);
+    return starting && starting.name === category.name ? t(`category.${category.id}`) : category.name;
+}
+
+// Payment methods outside the list (e.g. from an old import) are shown as they were typed
+function getPaymentMethodLabel(method) {
+    return PAYMENT_METHODS.includes(method) ? t(`paymentMethod.${method}`) : method;
+}
+
+// Fields without a readable name in the change log show their key
+function getFieldLabel(field) {
+    const key = `field.${field}`;
+    return key in LANGUAGE_PACKS.ar ? t(key) : field;
+}
+
+// An amount written out in words in the active language
+function amountToWords(amount, currency) {
+    if (activeLanguage === 'fr') return amountToFrenchWords(amount, currency);
+    if (activeLanguage === 'en') return amountToEnglishWords(amount, currency);
+    return amountToArabicWords(amount, currency);
+}
+
+// Put the page in the active language: direction, the matching Bootstrap build and the static texts
+function applyLanguage() {
+    const root = document.documentElement;
+    root.lang = activeLanguage;
+    root.dir = getDirection();
+    document.getElementById('bootstrapCSS').href = BOOTSTRAP_CSS[getDirection()];
+
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n);
+    });
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+        element.placeholder = t(element.dataset.i18nPlaceholder);
+    });
+    document.querySelectorAll('[data-i18n-title]').forEach(element => {
+        element.title = t(element.dataset.i18nTitle);
+    });
+}
+
+// Fill the language selects of the settings page
+function loadLanguageSettings() {
+    const languages = Object.entries(LANGUAGES);
+    document.getElementById('dateCalendar').value = viewPreferences.display.calendar;
+    document.getElementById('dateNumerals').value = viewPreferences.display.numerals;
+    render('interfaceLanguage', languages.map(([code, language]) => html`
+        <option value="${code}" ${code === activeLanguage && 'selected'}>${language.name}</option>
+    `));
+    render('reportLanguage', html`
+        <option value="">${t('settings.sameAsInterface')}</option>
+        ${languages.map(([code, language]) => html`
+            <option value="${code}" ${code === viewPreferences.display.reportLanguage && 'selected'}>${language.name}</option>
+        `)}
+    `);
+}
+
+// Switch the interface language and redraw everything in it
+function changeInterfaceLanguage(language) {
+    if (!LANGUAGES[language]) return;
+    activeLanguage = language;
+    viewPreferences.display.language = language;
+    saveViewPreferences();
+    applyLanguage();
+    refreshAllViews();
+    updateDateHints();
+}
+
+function changeReportLanguage(language) {
+    viewPreferences.display.reportLanguage = LANGUAGES[language] ? language : '';
+    saveViewPreferences();
+}
+
+// Switch the calendar and numerals of every date and redraw the views
+function changeDateFormat() {
+    const calendar = document.getElementById('dateCalendar').value;
+    const numerals = document.getElementById('dateNumerals').value;
+    viewPreferences.display.calendar = CALENDARS.includes(calendar) ? calendar : 'gregory';
+    viewPreferences.display.numerals = NUMERAL_STYLES.includes(numerals) ? numerals : 'latn';
+    saveViewPreferences();
+    refreshAllViews();
+    updateDateHints();
+}
+
+// ===================================
+// Rendering
+// ===================================
+
+// Escape text so it is shown as-is inside HTML
+function escapeHTML(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Markup built by the html tag; it is inserted without being escaped again
+class SafeHTML {
+    constructor(markup) {
+        this.markup = markup;
+    }
+
+    toString() {
+        return this.markup;
+    }
+}
+
+// Convert an interpolated value to markup: SafeHTML is kept, arrays are joined, anything else is escaped
+function toMarkup(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (value instanceof SafeHTML) return value.markup;
+    if (Array.isArray(value)) return value.map(toMarkup).join('');
+    return escapeHTML(value);
+}
+
+// Template tag for every piece of rendered markup; user data in ${} is always escaped
+function html(strings, ...values) {
+    return new SafeHTML(strings.reduce((markup, part, i) => markup + part + (i < values.length ? toMarkup(values[i]) : ''), ''));
+}
+
+// Replace the content of an element (or element id) with rendered markup
+function render(target, content) {
+    const element = typeof target === 'string' ? document.getElementById(target) : target;
+    element.innerHTML = toMarkup(content);
+}
+
+// ===================================
+// Event Delegation
+// ===================================
+
+// Handlers named by data-action (click) and data-change attributes; each gets the element and the event
+const UI_ACTIONS = {
+    // Navigation
+    showPage: el => showPage(el.dataset.page),
+    quickAddProperty: () => {
+        showPage('properties');
+        showAddPropertyModal();
+    },
+    undoLastAction: () => undoLastAction(),
+    applyAppUpdate: () => applyAppUpdate(),
+    dismissUpdatePrompt: () => dismissUpdatePrompt(),
+
+    // Dashboard charts
+    loadDashboardCharts: () => loadDashboardCharts(),
+    closeMonthDrillDown: () => closeMonthDrillDown(),
+
+    // Properties, occupancy and leases
+    showAddPropertyModal: () => showAddPropertyModal(),
+    showEditPropertyModal: el => showEditPropertyModal(Number(el.dataset.id)),
+    saveProperty: () => saveProperty(),
+    deletePropertyConfirm: el => deletePropertyConfirm(Number(el.dataset.id)),
+    toggleNewTenantFields: () => toggleNewTenantFields(),
+    showOccupancyModal: el => showOccupancyModal(Number(el.dataset.id)),
+    moveOutTenantConfirm: () => moveOutTenantConfirm(),
+    showLeaseModal: el => showLeaseModal(Number(el.dataset.id)),
+    saveLease: () => saveLease(),
+    renewLeaseConfirm: el => renewLeaseConfirm(Number(el.dataset.id)),
+    deleteLeaseConfirm: el => deleteLeaseConfirm(Number(el.dataset.id)),
+    showPropertyHistoryModal: el => showPropertyHistoryModal(Number(el.dataset.id)),
+    applyPropertyFilters: () => applyPropertyFilters(),
+    resetPropertyFilters: () => resetPropertyFilters(),
+    sortProperties: el => sortProperties(el.dataset.sort),
+    goToPropertiesPage: el => goToPropertiesPage(Number(el.dataset.page)),
+
+    // Tenants
+    showAddTenantModal: () => showAddTenantModal(),
+    showEditTenantModal: el => showEditTenantModal(Number(el.dataset.id)),
+    saveTenant: () => saveTenant(),
+    deleteTenantConfirm: el => deleteTenantConfirm(Number(el.dataset.id)),
+
+    // Expenses and payments
+    addExpenseLine: () => addExpenseLine(),
+    removeExpenseLine: el => el.closest('.expense-line').remove(),
+    applyCategoryResponsibility: el => applyCategoryResponsibility(el),
+    toggleExpenseGroup: el => toggleExpenseGroup(el.dataset.key),
+    editExpense: el => editExpense(Number(el.dataset.id)),
+    cancelExpenseEdit: () => cancelExpenseEdit(),
+    deleteExpenseConfirm: el => deleteExpenseConfirm(Number(el.dataset.id)),
+    deletePaymentConfirm: el => deletePaymentConfirm(Number(el.dataset.id)),
+    printReceipt: el => printReceipt(Number(el.dataset.id)),
+    applyExpenseFilters: () => applyExpenseFilters(),
+
+    // Reports
+    loadMonthlyReport: () => loadMonthlyReport(),
+    exportReportToPDF: el => exportReportToPDF(Number(el.dataset.id), el.dataset.month),
+    loadPortfolioReport: () => loadPortfolioReport(),
+    exportPortfolioReportToPDF: el => exportPortfolioReportToPDF(el.dataset.period, el.dataset.month),
+    loadIncomeStatement: () => loadIncomeStatement(),
+    exportIncomeStatement: el => exportIncomeStatement(el.dataset.format),
+    generateAllReports: () => generateAllReports(),
+
+    // Settings and data
+    saveSettings: () => saveSettings(),
+    saveExchangeRate: () => saveExchangeRate(),
+    deleteExchangeRateConfirm: el => deleteExchangeRateConfirm(Number(el.dataset.id)),
+    saveReportBranding: () => saveReportBranding(),
+    changeInterfaceLanguage: el => changeInterfaceLanguage(el.value),
+    changeReportLanguage: el => changeReportLanguage(el.value),
+    changeDateFormat: () => changeDateFormat(),
+    handleBrandingImage: el => handleBrandingImage(el),
+    clearBrandingImage: el => clearBrandingImage(el.dataset.key),
+    saveExpenseCategory: () => saveExpenseCategory(),
+    editExpenseCategory: el => editExpenseCategory(el.dataset.id),
+    deleteExpenseCategoryConfirm: el => deleteExpenseCategoryConfirm(el.dataset.id),
+    exportAllData: () => exportAllData(),
+    importData: () => importData(),
+    handleImportFile: (el, event) => handleImportFile(event),
+    decryptImportFile: () => decryptImportFile(),
+    renderImportPreview: () => renderImportPreview(),
+    confirmImport: () => confirmImport(),
+    clearAllData: () => clearAllData(),
+    saveSnapshotRetention: () => saveSnapshotRetention(),
+    createManualSnapshot: () => createManualSnapshot(),
+    restoreSnapshotConfirm: el => restoreSnapshotConfirm(Number(el.dataset.id)),
+    downloadSnapshot: el => downloadSnapshot(Number(el.dataset.id)),
+    deleteSnapshotConfirm: el => deleteSnapshotConfirm(Number(el.dataset.id)),
+    chooseSnapshotFolder: () => chooseSnapshotFolder(),
+    allowSnapshotFolder: () => allowSnapshotFolder(),
+    forgetSnapshotFolder: () => forgetSnapshotFolder(),
+    exportSpreadsheet: el => exportSpreadsheet(el.dataset.format),
+    chooseSpreadsheetFile: () => document.getElementById('spreadsheetFile').click(),
+    handleSpreadsheetFile: (el, event) => handleSpreadsheetFile(event),
+    renderColumnMapping: () => renderColumnMapping(),
+    validateSpreadsheetImport: () => validateSpreadsheetImport(),
+    applySpreadsheetImport: () => applySpreadsheetImport(),
+    restorePropertyConfirm: el => restorePropertyConfirm(Number(el.dataset.entryId), Number(el.dataset.id))
+};
+
+// Run the handler named by the closest element carrying the given data attribute
+function dispatchUIAction(event, attribute) {
+    const element = event.target.closest(`[data-${attribute}]`);
+    if (!element) return;
+
+    const handler = UI_ACTIONS[element.dataset[attribute]];
+    if (!handler) {
+        console.error(`Unknown UI action: ${element.dataset[attribute]}`);
+        return;
+    }
+
+    if (element.tagName === 'A') event.preventDefault();
+    handler(element, event);
+}
+
+document.addEventListener('click', event => dispatchUIAction(event, 'action'));
+document.addEventListener('change', event => dispatchUIAction(event, 'change'));
+document.addEventListener('input', event => dispatchUIAction(event, 'input'));
+document.addEventListener('change', event => {
+    if (event.target.matches('input[type="date"], input[type="month"]')) updateDateHint(event.target);
+});
+// Fields filled in by code do not fire change, so refresh the hints whenever a modal opens
+document.addEventListener('shown.bs.modal', () => updateDateHints());
+
+// ===================================
+// UI Functions
+// ===================================
+
+// Show page
+function showPage(pageName) {
+    const pages = document.querySelectorAll('.page-content');
+    pages.forEach(page => page.style.display = 'none');
+    
+    const page = document.getElementById(pageName);
+    if (page) {
+        page.style.display = 'block';
+        
+        // Call page-specific initialization
+        if (pageName === 'properties') {
+            loadProperties();
+        } else if (pageName === 'tenants') {
+            loadTenants();
+        } else if (pageName === 'expenses') {
+            populateExpenseFilterSelect();
+            loadExpensesList();
+            populateExpensePropertySelect();
+            populateCurrencyOptions();
+        } else if (pageName === 'dashboard') {
+            updateDashboard();
+        } else if (pageName === 'payments') {
+            loadPaymentsList();
+            populatePaymentPropertySelect();
+        } else if (pageName === 'reports') {
+            populateReportPropertySelect();
+        } else if (pageName === 'settings') {
+            loadExpenseCategories();
+            loadExchangeRates();
+        } else if (pageName === 'history') {
+            loadHistoryPage();
+        }
+    }
+}
+
+// Populate report property select
+function populateReportPropertySelect() {
+    const properties = manager.getProperties();
+    const select = document.getElementById('reportProperty');
+    
+    render(select, html`
+        <option value="">${t('common.selectProperty')}</option>
+        ${properties.map(p => html`<option value="${p.id}">${p.name}</option>`)}
+    `);
+}
+
+// Update dashboard statistics
+function updateDashboard() {
+    const stats = manager.getStatistics();
+    
+    document.getElementById('totalProperties').textContent = stats.totalProperties;
+    document.getElementById('rentedProperties').textContent = stats.rentedProperties;
+    document.getElementById('vacantProperties').textContent = stats.vacantProperties;
+    document.getElementById('monthlyIncome').textContent = `${formatAmount(stats.monthlyIncome)} ${manager.settings.currency}`;
+    document.getElementById('totalExpenses').textContent = `${formatAmount(stats.monthlyExpenses)} ${manager.settings.currency}`;
+    document.getElementById('netProfit').textContent = `${formatAmount(stats.netProfit)} ${manager.settings.currency}`;
+    document.getElementById('collectedIncome').textContent = `${formatAmount(stats.collectedIncome)} ${manager.settings.currency}`;
+    document.getElementById('outstandingBalance').textContent = `${formatAmount(stats.outstandingBalance)} ${manager.settings.currency}`;
+
+    const missingRates = manager.getMissingRates();
+    render('currencyWarning', missingRates.length > 0 && html`
+        <div class="alert alert-warning">
+            <i class="fas fa-exclamation-triangle"></i>
+            ${t('dashboard.missingRates', { currencies: missingRates.join(t('common.listSeparator')), base: manager.settings.currency })}
+        </div>
+    `);
+
+    loadCollectionStatus();
+    loadRentReminders();
+    loadExpiringLeases();
+    loadDashboardCharts();
+}
+
+// ===================================
+// Dashboard Charts
+// ===================================
+
+// Chart.js instances, destroyed before the charts are drawn again
+const dashboardCharts = {};
+
+const CHART_COLORS = ['#0d6efd', '#dc3545', '#198754', '#ffc107', '#6f42c1', '#20c997', '#fd7e14', '#6c757d', '#0dcaf0', '#d63384'];
+
+// Draw (or redraw) one chart on a canvas
+function drawChart(key, canvasId, config) {
+    if (dashboardCharts[key]) dashboardCharts[key].destroy();
+    dashboardCharts[key] = new Chart(document.getElementById(canvasId), config);
+}
+
+// Draw the income/expense, category and occupancy charts for the selected period
+function loadDashboardCharts() {
+    const container = document.getElementById('dashboardCharts');
+    if (typeof Chart === 'undefined') {
+        container.style.display = 'none';
+        return;
+    }
+    container.style.display = '';
+
+    const count = parseInt(document.getElementById('chartPeriod').value) || 12;
+    const history = manager.getMonthlyHistory(count);
+    const months = history.map(h => h.month);
+    const labels = months.map(month => formatMonth(month, { short: true }));
+    const currency = manager.settings.currency;
+    const drillDown = (event, elements) => {
+        if (elements.length > 0) showMonthDrillDown(history[elements[0].index].month);
+    };
+
+    drawChart('finance', 'financeChart', {
+        type: 'bar',
+        data: {
+            labels,
+            datasets: [
+                { label: t('common.rentDue'), data: history.map(h => h.income), backgroundColor: CHART_COLORS[0] },
+                { label: t('common.ownerExpenses'), data: history.map(h => h.ownerExpenses), backgroundColor: CHART_COLORS[1] },
+                { type: 'line', label: t('common.net'), data: history.map(h => h.net), borderColor: CHART_COLORS[2], backgroundColor: CHART_COLORS[2] }
+            ]
+        },
+        options: {
+            responsive: true,
+            onClick: drillDown,
+            plugins: { tooltip: { callbacks: { label: item => `${item.dataset.label}: ${formatAmount(item.parsed.y)} ${currency}` } } }
+        }
+    });
+
+    drawChart('occupancy', 'occupancyChart', {
+        type: 'line',
+        data: {
+            labels,
+            datasets: [{
+                label: t('dashboard.occupancyRate'),
+                data: history.map(h => h.occupancyRate),
+                borderColor: CHART_COLORS[4],
+                backgroundColor: CHART_COLORS[4],
+                fill: false
+            }]
+        },
+        options: {
+            responsive: true,
+            onClick: drillDown,
+            scales: { y: { min: 0, max: 100 } },
+            plugins: { tooltip: { callbacks: { label: item => `${item.parsed.y}% (${history[item.dataIndex].occupied}/${history[item.dataIndex].totalProperties})` } } }
+        }
+    });
+
+    const breakdown = manager.getExpenseBreakdown(months[0], months[months.length - 1]);
+    document.getElementById('categoryChartEmpty').style.display = breakdown.length === 0 ? 'block' : 'none';
+    drawChart('categories', 'categoryChart', {
+        type: 'doughnut',
+        data: {
+            labels: breakdown.map(b => b.name),
+            datasets: [{ data: breakdown.map(b => b.amount), backgroundColor: breakdown.map((b, i) => CHART_COLORS[i % CHART_COLORS.length]) }]
+        },
+        options: {
+            responsive: true,
+            plugins: { tooltip: { callbacks: { label: item => `${item.label}: ${formatAmount(item.parsed)} ${currency}` } } }
+        }
+    });
+
+    const selected = document.getElementById('monthDrillDown').dataset.month;
+    if (selected && months.includes(selected)) showMonthDrillDown(selected);
+}
+
+// Show the per-property figures of the month clicked on a chart
+function showMonthDrillDown(month) {
+    const rows = manager.getMonthBreakdown(month);
+    const currency = manager.settings.currency;
+    const toBase = (row, amount) => manager.toBase(amount, row.currency, month);
+    const totals = rows.reduce((sum, row) => ({
+        rentDue: sum.rentDue + toBase(row, row.rentDue),
+        paid: sum.paid + toBase(row, row.paid),
+        ownerExpenses: sum.ownerExpenses + toBase(row, row.ownerExpenses),
+        netIncome: sum.netIncome + toBase(row, row.netIncome)
+    }), { rentDue: 0, paid: 0, ownerExpenses: 0, netIncome: 0 });
+
+    const panel = document.getElementById('monthDrillDown');
+    panel.dataset.month = month;
+    panel.style.display = 'block';
+    document.getElementById('drillDownTitle').textContent = t('dashboard.drillDownTitle', { month: formatMonth(month) });
+
+    render('drillDownTable', rows.length === 0
+        ? html`<tr><td colspan="6" class="text-center text-muted py-4">${t('common.noProperties')}</td></tr>`
+        : html`
+            ${rows.map(row => html`
+                <tr>
+                    <td><strong>${row.property.name}</strong></td>
+                    <td>${row.tenants.length > 0 ? row.tenants.map(tenant => tenant.name).join(t('common.listSeparator')) : html`<span class="text-muted">${t('propertyStatus.vacant')}</span>`}</td>
+                    <td>${formatAmount(row.rentDue)} ${row.currency}</td>
+                    <td>${formatAmount(row.paid)} ${row.currency}</td>
+                    <td>${formatAmount(row.ownerExpenses)} ${row.currency}</td>
+                    <td>${formatAmount(row.netIncome)} ${row.currency}</td>
+                </tr>
+            `)}
+            <tr class="table-light fw-bold">
+                <td colspan="2">${t('common.total')}</td>
+                <td>${formatAmount(totals.rentDue)} ${currency}</td>
+                <td>${formatAmount(totals.paid)} ${currency}</td>
+                <td>${formatAmount(totals.ownerExpenses)} ${currency}</td>
+                <td>${formatAmount(totals.netIncome)} ${currency}</td>
+            </tr>
+        `);
+}
+
+// Hide the month drill-down panel
+function closeMonthDrillDown() {
+    const panel = document.getElementById('monthDrillDown');
+    panel.style.display = 'none';
+    panel.dataset.month = '';
+}
+
+// Load rents due this week and overdue rents on the dashboard
+function loadRentReminders() {
+    const { dueSoon, overdue } = manager.getRentReminders();
+    const currency = item => manager.getPropertyCurrency(item.property.id);
+
+    document.getElementById('dueSoonCount').textContent = dueSoon.length;
+    document.getElementById('overdueCount').textContent = overdue.length;
+
+    render('dueSoonTable', dueSoon.length === 0
+        ? html`<tr><td colspan="4" class="text-center text-muted py-4">${t('dashboard.noneDueSoon', { days: DUE_SOON_DAYS })}</td></tr>`
+        : dueSoon.map(item => html`
+            <tr>
+                <td><strong>${item.property.name}</strong></td>
+                <td>${item.tenant ? item.tenant.name : '—'}</td>
+                <td>
+                    ${formatDate(item.dueDate)}
+                    <br><small class="text-muted">${item.daysUntil === 0 ? t('common.today') : t('dashboard.inDays', { days: item.daysUntil })}</small>
+                </td>
+                <td>${formatAmount(item.amount)} ${currency(item)}</td>
+            </tr>
+        `));
+
+    render('overdueTable', overdue.length === 0
+        ? html`<tr><td colspan="4" class="text-center text-muted py-4">${t('dashboard.noneOverdue')}</td></tr>`
+        : overdue.map(item => html`
+            <tr>
+                <td><strong>${item.property.name}</strong></td>
+                <td>${item.tenant ? item.tenant.name : '—'}</td>
+                <td>
+                    <span class="badge badge-overdue">${t('common.days', { days: item.daysLate })}</span>
+                    <br><small class="text-muted">${t('dashboard.since', { date: formatDate(item.dueDate) })}${item.months > 1 ? ` ${t('dashboard.monthsCount', { months: item.months })}` : ''}</small>
+                </td>
+                <td>${formatAmount(item.amount)} ${currency(item)}</td>
+            </tr>
+        `));
+}
+
+// Load leases expiring in the next 30, 60 and 90 days on the dashboard
+function loadExpiringLeases() {
+    const table = document.getElementById('expiringLeasesTable');
+    const leases = manager.getExpiringLeases(90);
+
+    [30, 60, 90].forEach(days => {
+        document.getElementById(`expiringLeases${days}`).textContent = manager.getExpiringLeases(days).length;
+    });
+
+    if (leases.length === 0) {
+        render(table, html`<tr><td colspan="4" class="text-center text-muted py-4">${t('dashboard.noExpiringLeases')}</td></tr>`);
+        return;
+    }
+
+    render(table, leases.map(lease => {
+        const property = manager.getPropertyById(lease.propertyId);
+        const tenant = manager.getTenantById(lease.tenantId);
+        const daysLeft = daysBetween(getToday(), lease.endDate);
+
+        return html`
+            <tr>
+                <td><strong>${property ? property.name : t('common.deletedProperty')}</strong></td>
+                <td>${tenant ? tenant.name : '—'}</td>
+                <td>${formatDate(lease.endDate)}</td>
+                <td><span class="badge ${daysLeft <= 30 ? 'badge-overdue' : 'badge-partial'}">${t('common.days', { days: daysLeft })}</span></td>
+            </tr>
+        `;
+    }));
+}
+
+// Payment status badge
+function getPaymentStatusBadge(status) {
+    return html`<span class="badge badge-${status}">${t(`paymentStatus.${status}`)}</span>`;
+}
+
+// Load current month rent collection status on the dashboard
+function loadCollectionStatus() {
+    const table = document.getElementById('collectionTable');
+    const currentMonth = getCurrentMonth();
+    const rows = manager.getProperties()
+        .map(property => ({ property, paymentStatus: manager.getPaymentStatus(property.id, currentMonth) }))
+        .filter(row => row.paymentStatus.due > 0 || row.paymentStatus.balance > 0);
+
+    if (rows.length === 0) {
+        render(table, html`<tr><td colspan="5" class="text-center text-muted py-4">${t('dashboard.noneDueThisMonth')}</td></tr>`);
+        return;
+    }
+
+    render(table, rows.map(({ property, paymentStatus }) => {
+        const currency = manager.getPropertyCurrency(property.id);
+        return html`
+            <tr>
+                <td><strong>${property.name}</strong></td>
+                <td>${formatAmount(paymentStatus.due)} ${currency}</td>
+                <td>${formatAmount(paymentStatus.paid)} ${currency}</td>
+                <td>${formatAmount(paymentStatus.balance)} ${currency}</td>
+                <td>${getPaymentStatusBadge(paymentStatus.status)}</td>
+            </tr>
+        `;
+    }));
+}
+
+// Show add property modal
+function showAddPropertyModal() {
+    document.getElementById('propertyForm').reset();
+    document.getElementById('propertyModalTitle').textContent = t('property.addTitle');
+    document.getElementById('propertyForm').dataset.mode = 'add';
+    document.getElementById('propertyForm').dataset.id = '';
+    document.getElementById('monthlyRentHint').textContent = '';
+    document.getElementById('propertyCurrency').value = manager.getBaseCurrency();
+    document.getElementById('propertyCurrency').disabled = false;
+    document.getElementById('propertyCurrencyHint').textContent = '';
+    populateCurrencyOptions();
+    populatePropertyTenantSelect(null);
+    
+    const modal = new bootstrap.Modal(document.getElementById('propertyModal'));
+    modal.show();
+}
+
+// Show edit property modal
+function showEditPropertyModal(id) {
+    const property = manager.getPropertyById(id);
+    if (!property) return;
+
+    const currentTenant = manager.getCurrentTenant(id);
+
+    document.getElementById('propertyName').value = property.name;
+    populatePropertyTenantSelect(currentTenant ? currentTenant.id : null);
+    document.getElementById('monthlyRent').value = property.monthlyRent;
+    document.getElementById('propertyCurrency').value = manager.getPropertyCurrency(id);
+    const currencyLocked = manager.isCurrencyLocked(id);
+    document.getElementById('propertyCurrency').disabled = currencyLocked;
+    document.getElementById('propertyCurrencyHint').textContent = currencyLocked ? t('property.currencyLocked') : '';
+    populateCurrencyOptions();
+    document.getElementById('monthlyRentHint').textContent = manager.getLeases(id).length > 0
+        ? t('property.rentHint')
+        : '';
+    document.getElementById('rentalDate').value = property.rentalDate;
+    document.getElementById('paymentDate').value = property.paymentDate;
+    document.getElementById('propertyStatus').value = property.status;
+    document.getElementById('propertyNotes').value = property.notes || '';
+
+    document.getElementById('propertyModalTitle').textContent = t('property.editTitle');
+    document.getElementById('propertyForm').dataset.mode = 'edit';
+    document.getElementById('propertyForm').dataset.id = id;
+    document.getElementById('tenantChangeDate').value = getToday();
+    toggleNewTenantFields();
+
+    const modal = new bootstrap.Modal(document.getElementById('propertyModal'));
+    modal.show();
+}
+
+// Populate the tenant select of the property form
+function populatePropertyTenantSelect(selectedId) {
+    const select = document.getElementById('propertyTenant');
+
+    render(select, html`
+        <option value="">${t('property.noTenant')}</option>
+        ${manager.getTenants().map(tenant => html`<option value="${tenant.id}">${tenant.name}</option>`)}
+        <option value="new">${t('property.newTenantOption')}</option>
+    `);
+    select.value = selectedId || '';
+    toggleNewTenantFields();
+}
+
+// Show the inline new tenant fields when "new tenant" is selected, and the date of the
+// change when an edit replaces or removes the current tenant
+function toggleNewTenantFields() {
+    const form = document.getElementById('propertyForm');
+    const choice = document.getElementById('propertyTenant').value;
+    const isNew = choice === 'new';
+    document.getElementById('newTenantFields').style.display = isNew ? 'block' : 'none';
+
+    const current = form.dataset.mode === 'edit' ? manager.getCurrentOccupancy(parseInt(form.dataset.id)) : null;
+    const vacant = document.getElementById('propertyStatus').value !== 'rented';
+    const changes = form.dataset.mode === 'edit' && (current
+        ? vacant || choice !== String(current.tenantId)
+        : !vacant && choice !== '');
+    document.getElementById('tenantChangeDateField').style.display = changes ? 'block' : 'none';
+}
+
+// Save property
+function saveProperty() {
+    const name = document.getElementById('propertyName').value.trim();
+    const tenantChoice = document.getElementById('propertyTenant').value;
+    const monthlyRent = parseFloat(document.getElementById('monthlyRent').value);
+    const currency = document.getElementById('propertyCurrency').value.trim();
+    const rentalDate = document.getElementById('rentalDate').value;
+    const paymentDate = parseInt(document.getElementById('paymentDate').value);
+    const status = document.getElementById('propertyStatus').value;
+    const notes = document.getElementById('propertyNotes').value.trim();
+    const tenantChangeDate = document.getElementById('tenantChangeDate').value;
+    const mode = document.getElementById('propertyForm').dataset.mode;
+    const id = parseInt(document.getElementById('propertyForm').dataset.id);
+
+    if (!name || !monthlyRent || !currency || !rentalDate || !paymentDate) {
+        alert(t('common.fillRequired'));
+        return;
+    }
+
+    const current = mode === 'edit' ? manager.getCurrentOccupancy(id) : null;
+    const changesTenant = document.getElementById('tenantChangeDateField').style.display !== 'none';
+    if (changesTenant && !tenantChangeDate) {
+        alert(t('common.fillRequired'));
+        return;
+    }
+    if (changesTenant && current && tenantChangeDate < current.moveIn) {
+        alert(t('property.tenantChangeTooEarly', { date: formatDate(current.moveIn) }));
+        return;
+    }
+    if (mode === 'edit' && currency !== manager.getPropertyCurrency(id) && manager.isCurrencyLocked(id)) {
+        alert(t('property.currencyLocked'));
+        return;
+    }
+
+    if (status === 'rented' && !tenantChoice) {
+        alert(t('property.tenantRequired'));
+        return;
+    }
+
+    let tenantId = null;
+    if (status === 'rented' && tenantChoice === 'new') {
+        const tenantName = document.getElementById('newTenantName').value.trim();
+        if (!tenantName) {
+            alert(t('property.newTenantRequired'));
+            return;
+        }
+        tenantId = manager.addTenant({
+            name: tenantName,
+            nationalId: document.getElementById('newTenantNationalId').value.trim(),
+            phone: document.getElementById('newTenantPhone').value.trim(),
+            email: '',
+            notes: ''
+        }).id;
+    } else if (status === 'rented') {
+        tenantId = parseInt(tenantChoice);
+    }
+
+    const property = {
+        name,
+        tenantId,
+        monthlyRent,
+        currency,
+        rentalDate,
+        paymentDate,
+        status,
+        notes
+    };
+
+    if (mode === 'add') {
+        manager.addProperty(property);
+        alert(t('property.added'));
+    } else {
+        if (!manager.updateProperty(id, { ...property, tenantChangeDate: tenantChangeDate || getToday() })) {
+            alert(t('property.updateFailed'));
+            return;
+        }
+        alert(t('property.updated'));
+    }
+
+    bootstrap.Modal.getInstance(document.getElementById('propertyModal')).hide();
+    loadProperties();
+    updateDashboard();
+}
+
+// Load and display properties with the current search, filters, sort and page
+function loadProperties() {
+    const table = document.getElementById('propertiesTable');
+    const view = viewPreferences.properties;
+
+    if (manager.getProperties().length === 0) {
+        render(table, html`<tr><td colspan="6" class="text-center text-muted py-4">${t('properties.empty')}</td></tr>`);
+        render('propertiesPagination', '');
+        document.getElementById('propertiesCount').textContent = '';
+        updateSortIndicators();
+        return;
+    }
+
+    const rows = manager.queryProperties(view);
+    const pageCount = Math.max(1, Math.ceil(rows.length / view.pageSize));
+    view.page = Math.min(Math.max(view.page, 1), pageCount);
+    const pageRows = rows.slice((view.page - 1) * view.pageSize, view.page * view.pageSize);
+
+    document.getElementById('propertiesCount').textContent = t('properties.count', { shown: rows.length, total: manager.getProperties().length });
+    updateSortIndicators();
+    renderPagination('propertiesPagination', view.page, pageCount);
+
+    if (rows.length === 0) {
+        render(table, html`<tr><td colspan="6" class="text-center text-muted py-4">${t('properties.noMatches')}</td></tr>`);
+        return;
+    }
+
+    render(table, pageRows.map(({ property, tenant, rent }) => {
+        const statusBadge = property.status === 'rented' 
+            ? html`<span class="badge badge-rented">${t('propertyStatus.rented')}</span>` 
+            : html`<span class="badge badge-vacant">${t('propertyStatus.vacant')}</span>`;
+
+        return html`
+            <tr>
+                <td><strong>${property.name}</strong></td>
+                <td>${tenant ? tenant.name : html`<span class="text-muted">—</span>`}</td>
+                <td>${formatAmount(rent)} ${manager.getPropertyCurrency(property.id)}</td>
+                <td>${statusBadge}</td>
+                <td>${formatDate(property.rentalDate)}</td>
+                <td>
+                    <button class="btn btn-sm btn-info action-btn" data-action="showEditPropertyModal" data-id="${property.id}">
+                        <i class="fas fa-edit"></i> ${t('common.edit')}
+                    </button>
+                    <button class="btn btn-sm btn-secondary action-btn" data-action="showOccupancyModal" data-id="${property.id}">
+                        <i class="fas fa-history"></i> ${t('properties.occupants')}
+                    </button>
+                    <button class="btn btn-sm btn-warning action-btn" data-action="showLeaseModal" data-id="${property.id}">
+                        <i class="fas fa-file-contract"></i> ${t('properties.leases')}
+                    </button>
+                    <button class="btn btn-sm btn-dark action-btn" data-action="showPropertyHistoryModal" data-id="${property.id}">
+                        <i class="fas fa-clock-rotate-left"></i> ${t('properties.history')}
+                    </button>
+                    <button class="btn btn-sm btn-danger action-btn" data-action="deletePropertyConfirm" data-id="${property.id}">
+                        <i class="fas fa-trash"></i> ${t('common.delete')}
+                    </button>
+                </td>
+            </tr>
+        `;
+    }));
+}
+
+// Page links under a table; the current page is highlighted
+function renderPagination(containerId, page, pageCount) {
+    if (pageCount <= 1) {
+        render(containerId, '');
+        return;
+    }
+
+    const pages = [];
+    for (let i = 1; i <= pageCount; i++) {
+        if (i === 1 || i === pageCount || Math.abs(i - page) <= 2) {
+            pages.push(i);
+        } else if (pages[pages.length - 1] !== '…') {
+            pages.push('…');
+        }
+    }
+
+    render(containerId, html`
+        <ul class="pagination justify-content-center mb-0">
+            <li class="page-item ${page === 1 && 'disabled'}">
+                <button class="page-link" data-action="goToPropertiesPage" data-page="${page - 1}">${t('common.previous')}</button>
+            </li>
+            ${pages.map(p => p === '…'
+                ? html`<li class="page-item disabled"><span class="page-link">…</span></li>`
+                : html`
+                    <li class="page-item ${p === page && 'active'}">
+                        <button class="page-link" data-action="goToPropertiesPage" data-page="${p}">${p}</button>
+                    </li>
+                `)}
+            <li class="page-item ${page === pageCount && 'disabled'}">
+                <button class="page-link" data-action="goToPropertiesPage" data-page="${page + 1}">${t('common.next')}</button>
+            </li>
+        </ul>
+    `);
+}
+
+// Show the sort direction on the sorted column header
+function updateSortIndicators() {
+    const { sort, direction } = viewPreferences.properties;
+    document.querySelectorAll('[data-action="sortProperties"]').forEach(header => {
+        const icon = header.querySelector('i');
+        icon.className = header.dataset.sort === sort
+            ? `fas fa-sort-${direction === 'asc' ? 'up' : 'down'}`
+            : 'fas fa-sort text-muted';
+    });
+}
+
+// Read the property filters from the toolbar and go back to the first page
+function applyPropertyFilters() {
+    const view = viewPreferences.properties;
+    const minRent = parseFloat(document.getElementById('propertyMinRent').value);
+    const maxRent = parseFloat(document.getElementById('propertyMaxRent').value);
+
+    view.search = document.getElementById('propertySearch').value;
+    view.status = document.getElementById('propertyStatusFilter').value;
+    view.minRent = isNaN(minRent) ? null : minRent;
+    view.maxRent = isNaN(maxRent) ? null : maxRent;
+    view.pageSize = parseInt(document.getElementById('propertyPageSize').value) || 25;
+    view.page = 1;
+
+    saveViewPreferences();
+    loadProperties();
+}
+
+// Sort by a column; clicking the sorted column again reverses the direction
+function sortProperties(column) {
+    const view = viewPreferences.properties;
+    if (view.sort === column) {
+        view.direction = view.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        view.sort = column;
+        view.direction = 'asc';
+    }
+    saveViewPreferences();
+    loadProperties();
+}
+
+// Show another page of the properties table
+function goToPropertiesPage(page) {
+    viewPreferences.properties.page = page;
+    saveViewPreferences();
+    loadProperties();
+}
+
+// Clear the search and filters of the properties table
+function resetPropertyFilters() {
+    viewPreferences.properties = { ...DEFAULT_VIEW_PREFERENCES.properties, pageSize: viewPreferences.properties.pageSize };
+    restoreViewControls();
+    saveViewPreferences();
+    loadProperties();
+}
+
+// Delete property confirmation
+function deletePropertyConfirm(id) {
+    if (confirm(t('property.deleteConfirm'))) {
+        manager.deleteProperty(id);
+        loadProperties();
+        updateDashboard();
+        alert(t('property.deleted'));
+    }
+}
+
+// Show the occupancy timeline of a property
+function showOccupancyModal(propertyId) {
+    const property = manager.getPropertyById(propertyId);
+    if (!property) return;
+
+    document.getElementById('occupancyModalTitle').textContent = t('occupancy.modalTitle', { property: property.name });
+    document.getElementById('occupancyModal').dataset.propertyId = propertyId;
+    document.getElementById('moveOutDate').value = getToday();
+    loadOccupancyTimeline(propertyId);
+
+    const modal = new bootstrap.Modal(document.getElementById('occupancyModal'));
+    modal.show();
+}
+
+// Load the occupancy timeline table of a property
+function loadOccupancyTimeline(propertyId) {
+    const occupancies = manager.getOccupancies(propertyId).reverse();
+    const table = document.getElementById('occupancyTable');
+    const current = manager.getCurrentOccupancy(propertyId);
+
+    document.getElementById('moveOutForm').style.display = current ? 'flex' : 'none';
+
+    if (occupancies.length === 0) {
+        render(table, html`<tr><td colspan="3" class="text-center text-muted py-4">${t('occupancy.empty')}</td></tr>`);
+        return;
+    }
+
+    render(table, occupancies.map(occupancy => {
+        const tenant = manager.getTenantById(occupancy.tenantId);
+        return html`
+            <tr>
+                <td><strong>${tenant ? tenant.name : t('common.deletedTenant')}</strong></td>
+                <td>${formatDate(occupancy.moveIn)}</td>
+                <td>${occupancy.moveOut ? formatDate(occupancy.moveOut) : html`<span class="badge badge-rented">${t('occupancy.current')}</span>`}</td>
+            </tr>
+        `;
+    }));
+}
+
+// Record the move-out of the current tenant
+function moveOutTenantConfirm() {
+    const propertyId = parseInt(document.getElementById('occupancyModal').dataset.propertyId);
+    const moveOut = document.getElementById('moveOutDate').value;
+    const current = manager.getCurrentOccupancy(propertyId);
+
+    if (!current || !moveOut) return;
+
+    if (moveOut < current.moveIn) {
+        alert(t('occupancy.moveOutBeforeMoveIn'));
+        return;
+    }
+
+    if (confirm(t('occupancy.moveOutConfirm'))) {
+        manager.moveOutTenant(propertyId, moveOut);
+        loadOccupancyTimeline(propertyId);
+        loadProperties();
+        updateDashboard();
+        alert(t('occupancy.movedOut'));
+    }
+}
+
+// Show the leases of a property
+function showLeaseModal(propertyId) {
+    const property = manager.getPropertyById(propertyId);
+    if (!property) return;
+
+    document.getElementById('leaseModalTitle').textContent = t('leases.modalTitle', { property: property.name });
+    document.getElementById('leaseModal').dataset.propertyId = propertyId;
+    document.getElementById('leaseForm').reset();
+    document.getElementById('leaseStartDate').value = getToday();
+    document.getElementById('leaseDuration').value = 12;
+    document.getElementById('leaseRent').value = manager.getRentForMonth(property, getCurrentMonth());
+    loadLeasesTable(propertyId);
+
+    const modal = new bootstrap.Modal(document.getElementById('leaseModal'));
+    modal.show();
+}
+
+// Load the lease table of a property
+function loadLeasesTable(propertyId) {
+    const leases = manager.getLeases(propertyId).reverse();
+    const table = document.getElementById('leasesTable');
+
+    if (leases.length === 0) {
+        render(table, html`<tr><td colspan="6" class="text-center text-muted py-4">${t('leases.empty')}</td></tr>`);
+        return;
+    }
+
+    render(table, leases.map(lease => {
+        const tenant = manager.getTenantById(lease.tenantId);
+        const status = manager.getLeaseStatus(lease);
+        const currency = manager.getPropertyCurrency(lease.propertyId);
+        const escalation = lease.escalationType === 'fixed'
+            ? `+${formatAmount(parseFloat(lease.escalationValue))} ${currency}`
+            : lease.escalationType === 'percent'
+                ? `+${lease.escalationValue}%`
+                : t('escalation.none');
+
+        return html`
+            <tr>
+                <td>${tenant ? tenant.name : '—'}</td>
+                <td>${formatDate(lease.startDate)}<br><small class="text-muted">${t('leases.until', { date: formatDate(lease.endDate), months: lease.durationMonths })}</small></td>
+                <td>${formatAmount(parseFloat(lease.monthlyRent))} ${currency}</td>
+                <td>${escalation}</td>
+                <td><span class="badge badge-lease-${status}">${t(`leaseStatus.${status}`)}</span></td>
+                <td>
+                    ${status !== 'renewed' && html`
+                    <button class="btn btn-sm btn-success action-btn" data-action="renewLeaseConfirm" data-id="${lease.id}">
+                        <i class="fas fa-redo"></i> ${t('leases.renew')}
+                    </button>`}
+                    <button class="btn btn-sm btn-danger action-btn" data-action="deleteLeaseConfirm" data-id="${lease.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `;
+    }));
+}
+
+// Save a new lease for the property shown in the lease modal
+function saveLease() {
+    const propertyId = parseInt(document.getElementById('leaseModal').dataset.propertyId);
+    const startDate = document.getElementById('leaseStartDate').value;
+    const durationMonths = parseInt(document.getElementById('leaseDuration').value);
+    const monthlyRent = parseFloat(document.getElementById('leaseRent').value);
+    const escalationType = document.getElementById('leaseEscalationType').value;
+    const escalationValue = parseFloat(document.getElementById('leaseEscalationValue').value) || 0;
+
+    if (!startDate || !durationMonths || durationMonths <= 0 || !monthlyRent) {
+        alert(t('leases.required'));
+        return;
+    }
+
+    const tenant = manager.getCurrentTenant(propertyId);
+
+    manager.addLease({
+        propertyId,
+        tenantId: tenant ? tenant.id : null,
+        startDate,
+        durationMonths,
+        monthlyRent,
+        escalationType,
+        escalationValue
+    });
+    alert(t('leases.added'));
+
+    loadLeasesTable(propertyId);
+    loadProperties();
+    updateDashboard();
+}
+
+// Renew lease confirmation
+function renewLeaseConfirm(id) {
+    const lease = manager.getLeaseById(id);
+    if (!lease) return;
+
+    if (confirm(t('leases.renewConfirm', { months: lease.durationMonths }))) {
+        const renewal = manager.renewLease(id);
+        loadLeasesTable(lease.propertyId);
+        loadProperties();
+        updateDashboard();
+        alert(t('leases.renewed', { date: formatDate(renewal.endDate), rent: `${formatAmount(renewal.monthlyRent)} ${manager.getPropertyCurrency(lease.propertyId)}` }));
+    }
+}
+
+// Delete lease confirmation
+function deleteLeaseConfirm(id) {
+    const lease = manager.getLeaseById(id);
+    if (!lease) return;
+
+    if (confirm(t('leases.deleteConfirm'))) {
+        manager.deleteLease(id);
+        loadLeasesTable(lease.propertyId);
+        loadProperties();
+        updateDashboard();
+        alert(t('leases.deleted'));
+    }
+}
+
+// Load and display tenants
+function loadTenants() {
+    const tenants = manager.getTenants();
+    const table = document.getElementById('tenantsTable');
+
+    if (tenants.length === 0) {
+        render(table, html`<tr><td colspan="6" class="text-center text-muted py-4">${t('tenants.empty')}</td></tr>`);
+        return;
+    }
+
+    render(table, tenants.map(tenant => {
+        const property = manager.getTenantProperty(tenant.id);
+        const daysLate = manager.getTenantDaysLate(tenant.id);
+
+        return html`
+            <tr>
+                <td><strong>${tenant.name}</strong></td>
+                <td>${tenant.nationalId || '—'}</td>
+                <td>${tenant.phone || '—'}</td>
+                <td>${property ? property.name : html`<span class="text-muted">${t('tenants.notLiving')}</span>`}</td>
+                <td>${daysLate > 0 ? html`<span class="badge badge-overdue">${t('common.days', { days: daysLate })}</span>` : '—'}</td>
+                <td>
+                    <button class="btn btn-sm btn-info action-btn" data-action="showEditTenantModal" data-id="${tenant.id}">
+                        <i class="fas fa-edit"></i> ${t('common.edit')}
+                    </button>
+                    <button class="btn btn-sm btn-danger action-btn" data-action="deleteTenantConfirm" data-id="${tenant.id}">
+                        <i class="fas fa-trash"></i> ${t('common.delete')}
+                    </button>
+                </td>
+            </tr>
+        `;
+    }));
+}
+
+// Show add tenant modal
+function showAddTenantModal() {
+    document.getElementById('tenantForm').reset();
+    document.getElementById('tenantModalTitle').textContent = t('tenant.addTitle');
+    document.getElementById('tenantForm').dataset.mode = 'add';
+    document.getElementById('tenantForm').dataset.id = '';
+
+    const modal = new bootstrap.Modal(document.getElementById('tenantModal'));
+    modal.show();
+}
+
+// Show edit tenant modal
+function showEditTenantModal(id) {
+    const tenant = manager.getTenantById(id);
+    if (!tenant) return;
+
+    document.getElementById('tenantFullName').value = tenant.name;
+    document.getElementById('tenantNationalId').value = tenant.nationalId || '';
+    document.getElementById('tenantPhone').value = tenant.phone || '';
+    document.getElementById('tenantEmail').value = tenant.email || '';
+    document.getElementById('tenantNotes').value = tenant.notes || '';
+
+    document.getElementById('tenantModalTitle').textContent = t('tenant.editTitle');
+    document.getElementById('tenantForm').dataset.mode = 'edit';
+    document.getElementById('tenantForm').dataset.id = id;
+
+    const modal = new bootstrap.Modal(document.getElementById('tenantModal'));
+    modal.show();
+}
+
+// Save tenant
+function saveTenant() {
+    const name = document.getElementById('tenantFullName').value.trim();
+    const nationalId = document.getElementById('tenantNationalId').value.trim();
+    const phone = document.getElementById('tenantPhone').value.trim();
+    const email = document.getElementById('tenantEmail').value.trim();
+    const notes = document.getElementById('tenantNotes').value.trim();
+
+    if (!name) {
+        alert(t('tenant.nameRequired'));
+        return;
+    }
+
+    const tenant = {
+        name,
+        nationalId,
+        phone,
+        email,
+        notes
+    };
+
+    const mode = document.getElementById('tenantForm').dataset.mode;
+    const id = parseInt(document.getElementById('tenantForm').dataset.id);
+
+    if (mode === 'add') {
+        manager.addTenant(tenant);
+        alert(t('tenant.added'));
+    } else {
+        manager.updateTenant(id, tenant);
+        alert(t('tenant.updated'));
+    }
+
+    bootstrap.Modal.getInstance(document.getElementById('tenantModal')).hide();
+    loadTenants();
+}
+
+// Delete tenant confirmation
+function deleteTenantConfirm(id) {
+    if (confirm(t('tenant.deleteConfirm'))) {
+        if (manager.deleteTenant(id)) {
+            loadTenants();
+            alert(t('tenant.deleted'));
+        } else {
+            alert(t('tenant.hasOccupancy'));
+        }
+    }
+}
+
+// Populate expense property select
+function populateExpensePropertySelect() {
+    const properties = manager.getProperties();
+    const select = document.getElementById('expenseProperty');
+    
+    render(select, html`
+        <option value="">${t('common.selectProperty')}</option>
+        ${properties.map(p => html`<option value="${p.id}">${p.name}</option>`)}
+    `);
+}
+
+// Handle expense form submission
+document.addEventListener('DOMContentLoaded', function() {
+    const expenseForm = document.getElementById('expenseForm');
+    if (expenseForm) {
+        expenseForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+            
+            const propertyId = parseInt(document.getElementById('expenseProperty').value);
+            const month = document.getElementById('expenseMonth').value;
+            const currency = document.getElementById('expenseCurrency').value.trim() || manager.getPropertyCurrency(propertyId);
+            const lines = readExpenseLines();
+
+            if (!propertyId || !month) {
+                alert(t('expenses.propertyMonthRequired'));
+                return;
+            }
+
+            if (lines.length === 0) {
+                alert(t('expenses.lineRequired'));
+                return;
+            }
+
+            const expense = {
+                propertyId,
+                month,
+                currency,
+                lines
+            };
+
+            if (expenseForm.dataset.mode === 'edit') {
+                manager.updateExpense(parseInt(expenseForm.dataset.id), expense);
+                alert(t('expenses.updated'));
+            } else {
+                manager.addExpense(expense);
+                alert(t('expenses.added'));
+            }
+            
+            cancelExpenseEdit();
+            document.getElementById('expenseMonth').value = month;
+            loadExpensesList();
+            updateDashboard();
+        });
+    }
+
+    const paymentForm = document.getElementById('paymentForm');
+    if (paymentForm) {
+        paymentForm.addEventListener('submit', function(e) {
+            e.preventDefault();
+
+            const propertyId = parseInt(document.getElementById('paymentProperty').value);
+            const month = document.getElementById('paymentMonth').value;
+            const amount = parseFloat(document.getElementById('paymentAmount').value);
+            const paidOn = document.getElementById('paymentPaidOn').value;
+            const method = document.getElementById('paymentMethod').value;
+            const reference = document.getElementById('paymentReference').value.trim();
+
+            if (!propertyId || !month || !amount || amount <= 0 || !paidOn) {
+                alert(t('payments.required'));
+                return;
+            }
+
+            const payment = {
+                propertyId,
+                month,
+                amount,
+                paidOn,
+                method,
+                reference
+            };
+
+            manager.addPayment(payment);
+            alert(t('payments.added'));
+
+            paymentForm.reset();
+            document.getElementById('paymentMonth').value = month;
+            document.getElementById('paymentPaidOn').value = new Date().toISOString().slice(0, 10);
+            updatePaymentDueHint();
+            loadPaymentsList();
+            updateDashboard();
+        });
+
+        document.getElementById('paymentProperty').addEventListener('change', updatePaymentDueHint);
+        document.getElementById('paymentMonth').addEventListener('change', updatePaymentDueHint);
+    }
+
+    // Set current month in expense, payment and report forms
+    const today = new Date();
+    const currentMonth = today.toISOString().slice(0, 7);
+    const expenseMonth = document.getElementById('expenseMonth');
+    const paymentMonth = document.getElementById('paymentMonth');
+    const paymentPaidOn = document.getElementById('paymentPaidOn');
+    const reportMonth = document.getElementById('reportMonth');
+    const portfolioMonth = document.getElementById('portfolioMonth');
+    const statementYear = document.getElementById('statementYear');
+    const batchMonth = document.getElementById('batchMonth');
+    
+    if (expenseMonth) expenseMonth.value = currentMonth;
+    if (paymentMonth) paymentMonth.value = currentMonth;
+    if (paymentPaidOn) paymentPaidOn.value = today.toISOString().slice(0, 10);
+    if (reportMonth) reportMonth.value = currentMonth;
+    if (portfolioMonth) portfolioMonth.value = currentMonth;
+    if (statementYear) statementYear.value = today.getFullYear() - 1;
+    if (batchMonth) batchMonth.value = currentMonth;
+});
+
+// Options of the expense category select; an archived category stays listed when it is the selected one
+function getExpenseCategoryOptions(selectedId) {
+    return manager.getExpenseCategories(true)
+        .filter(c => !c.archived || c.id === selectedId)
+        .map(c => html`<option value="${c.id}" ${c.id === selectedId && 'selected'}>${getCategoryLabel(c)}</option>`);
+}
+
+// Add a category line to the expense form, optionally filled from an existing line
+function addExpenseLine(categoryId, line) {
+    const container = document.getElementById('expenseLines');
+    const selectedId = categoryId || (manager.getExpenseCategories()[0] || {}).id;
+    const category = manager.getExpenseCategoryById(selectedId);
+    const row = document.createElement('div');
+    row.className = 'input-group mb-2 expense-line';
+    render(row, html`
+        <select class="form-select expense-line-category" data-change="applyCategoryResponsibility">
+            ${getExpenseCategoryOptions(selectedId)}
+        </select>
+        <input type="number" class="form-control expense-line-amount" min="0" step="0.01" value="0">
+        <select class="form-select expense-responsibility">
+            <option value="tenant">${t('responsibility.tenant')}</option>
+            <option value="owner">${t('responsibility.owner')}</option>
+        </select>
+        <button type="button" class="btn btn-outline-danger" data-action="removeExpenseLine">
+            <i class="fas fa-times"></i>
+        </button>
+    `);
+    row.querySelector('.expense-responsibility').value = category ? category.defaultResponsibility : 'tenant';
+    if (line) {
+        row.querySelector('.expense-line-amount').value = line.amount;
+        row.querySelector('.expense-responsibility').value = line.responsibility;
+    }
+    container.appendChild(row);
+}
+
+// Default the responsibility of a line to that of its newly chosen category
+function applyCategoryResponsibility(select) {
+    const selected = manager.getExpenseCategoryById(select.value);
+    if (selected) select.closest('.expense-line').querySelector('.expense-responsibility').value = selected.defaultResponsibility;
+}
+
+// Reset the expense form to one empty line per starting category
+function resetExpenseLines() {
+    render('expenseLines', '');
+    ['electricity', 'water', 'other']
+        .filter(id => manager.getExpenseCategories().some(c => c.id === id))
+        .forEach(id => addExpenseLine(id));
+    if (document.getElementById('expenseLines').children.length === 0) addExpenseLine();
+}
+
+// Read the non-empty category lines of the expense form
+function readExpenseLines() {
+    return Array.from(document.querySelectorAll('#expenseLines .expense-line'))
+        .map(row => ({
+            categoryId: row.querySelector('.expense-line-category').value,
+            amount: parseFloat(row.querySelector('.expense-line-amount').value) || 0,
+            responsibility: row.querySelector('.expense-responsibility').value
+        }))
+        .filter(line => line.categoryId && line.amount > 0);
+}
+
+// Property/month groups whose individual entries are shown in the expenses list
+const expandedExpenseGroups = new Set();
+
+// Load and display expenses
+function loadExpensesList() {
+    const { propertyId, fromMonth, toMonth } = viewPreferences.expenses;
+    const expenses = manager.getAllExpenses().filter(e =>
+        (!propertyId || e.propertyId === propertyId) &&
+        (!fromMonth || e.month >= fromMonth) &&
+        (!toMonth || e.month <= toMonth)
+    );
+    const list = document.getElementById('expensesList');
+
+    if (expenses.length === 0) {
+        render(list, manager.getAllExpenses().length === 0
+            ? html`<p class="text-muted text-center">${t('expenses.empty')}</p>`
+            : html`<p class="text-muted text-center">${t('expenses.noMatches')}</p>`);
+        return;
+    }
+
+    const groupedExpenses = {};
+    expenses.forEach(expense => {
+        const property = manager.getPropertyById(expense.propertyId);
+        const key = `${expense.month}-${expense.propertyId}`;
+        if (!groupedExpenses[key]) {
+            groupedExpenses[key] = {
+                month: expense.month,
+                propertyName: property ? property.name : t('common.deletedProperty'),
+                currency: manager.getPropertyCurrency(expense.propertyId),
+                expenses: []
+            };
+        }
+        groupedExpenses[key].expenses.push(expense);
+    });
+
+    render(list, Object.entries(groupedExpenses).map(([key, group]) => {
+        const total = manager.summarizeExpenses(group.expenses, group.currency).total;
+        const lines = manager.getCategoryTotals(group.expenses, group.currency).map((line, index) => {
+            const ownerMark = line.responsibility === 'owner' ? ` (${t('responsibility.owner')})` : '';
+            return html`${index > 0 && html`<br>`}${line.name}: ${formatAmount(line.amount)}${ownerMark}`;
+        });
+        const expanded = expandedExpenseGroups.has(key);
+
+        const entries = group.expenses.map((expense, index) => html`
+            <div class="expense-entry d-flex justify-content-between align-items-center">
+                <div>
+                    <strong>${t('expenses.entry', { number: index + 1, amount: `${formatAmount(manager.summarizeExpense(expense, manager.getExpenseCurrency(expense)).total)} ${manager.getExpenseCurrency(expense)}` })}</strong><br>
+                    <small class="text-muted">
+                        ${expense.lines.map(line => `${manager.getExpenseCategoryName(line.categoryId)}: ${formatAmount(parseFloat(line.amount))}`).join(' | ')}
+                    </small>
+                </div>
+                <div class="text-nowrap">
+                    <button class="btn btn-sm btn-info action-btn" data-action="editExpense" data-id="${expense.id}">
+                        <i class="fas fa-edit"></i>
+                    </button>
+                    <button class="btn btn-sm btn-danger action-btn" data-action="deleteExpenseConfirm" data-id="${expense.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
+            </div>
+        `);
+        
+        return html`
+            <div class="card mb-2">
+                <div class="card-body">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <div>
+                            <strong>${group.propertyName}</strong><br>
+                            <small class="text-muted">${formatMonth(group.month)}</small>
+                        </div>
+                        <div class="text-end">
+                            <div><strong>${formatAmount(total)} ${group.currency}</strong></div>
+                            <small class="text-muted">
+                                ${lines}
+                            </small>
+                        </div>
+                        <button class="btn btn-sm btn-secondary" data-action="toggleExpenseGroup" data-key="${key}">
+                            <i class="fas fa-chevron-${expanded ? 'up' : 'down'}"></i> ${group.expenses.length}
+                        </button>
+                    </div>
+                    ${expanded && html`<div class="expense-entries mt-3">${entries}</div>`}
+                </div>
+            </div>
+        `;
+    }));
+}
+
+// Fill the property filter of the expenses list, keeping the current choice
+function populateExpenseFilterSelect() {
+    if (!manager.getPropertyById(viewPreferences.expenses.propertyId)) {
+        viewPreferences.expenses.propertyId = null;
+    }
+    render('expenseFilterProperty', html`
+        <option value="">${t('common.allProperties')}</option>
+        ${manager.getProperties().map(p => html`<option value="${p.id}">${p.name}</option>`)}
+    `);
+    document.getElementById('expenseFilterProperty').value = viewPreferences.expenses.propertyId || '';
+}
+
+// Read the expenses list filters and reload the list
+function applyExpenseFilters() {
+    viewPreferences.expenses = {
+        propertyId: parseInt(document.getElementById('expenseFilterProperty').value) || null,
+        fromMonth: document.getElementById('expenseFilterFrom').value,
+        toMonth: document.getElementById('expenseFilterTo').value
+    };
+    saveViewPreferences();
+    loadExpensesList();
+}
+
+// Expand or collapse the individual entries of a property/month group
+function toggleExpenseGroup(key) {
+    if (expandedExpenseGroups.has(key)) {
+        expandedExpenseGroups.delete(key);
+    } else {
+        expandedExpenseGroups.add(key);
+    }
+    loadExpensesList();
+}
+
+// Load an expense entry into the form for editing
+function editExpense(id) {
+    const expense = manager.getExpenseById(id);
+    if (!expense) return;
+
+    const form = document.getElementById('expenseForm');
+    form.dataset.mode = 'edit';
+    form.dataset.id = id;
+    document.getElementById('expenseProperty').value = expense.propertyId;
+    document.getElementById('expenseMonth').value = expense.month;
+    document.getElementById('expenseCurrency').value = manager.getExpenseCurrency(expense);
+    render('expenseLines', '');
+    expense.lines.forEach(line => addExpenseLine(line.categoryId, line));
+
+    document.getElementById('expenseFormTitle').textContent = t('expenses.editTitle');
+    document.getElementById('expenseSubmitLabel').textContent = t('expenses.update');
+    document.getElementById('cancelExpenseEdit').style.display = 'block';
+    form.scrollIntoView({ behavior: 'smooth' });
+}
+
+// Leave edit mode and return the expense form to adding new entries
+function cancelExpenseEdit() {
+    const form = document.getElementById('expenseForm');
+    form.reset();
+    form.dataset.mode = 'add';
+    form.dataset.id = '';
+    document.getElementById('expenseMonth').value = getCurrentMonth();
+    resetExpenseLines();
+
+    document.getElementById('expenseFormTitle').textContent = t('expenses.addTitle');
+    document.getElementById('expenseSubmitLabel').textContent = t('expenses.save');
+    document.getElementById('cancelExpenseEdit').style.display = 'none';
+}
+
+// Delete expense confirmation
+function deleteExpenseConfirm(id) {
+    if (confirm(t('expenses.deleteConfirm'))) {
+        if (parseInt(document.getElementById('expenseForm').dataset.id) === id) cancelExpenseEdit();
+        manager.deleteExpense(id);
+        loadExpensesList();
+        updateDashboard();
+        alert(t('expenses.deleted'));
+    }
+}
+
+// Populate payment property select
+function populatePaymentPropertySelect() {
+    const properties = manager.getProperties();
+    const select = document.getElementById('paymentProperty');
+
+    render(select, html`
+        <option value="">${t('common.selectProperty')}</option>
+        ${properties.map(p => html`<option value="${p.id}">${p.name}</option>`)}
+    `);
+    updatePaymentDueHint();
+}
+
+// Show the amount still owed for the selected property and month
+function updatePaymentDueHint() {
+    const propertyId = parseInt(document.getElementById('paymentProperty').value);
+    const month = document.getElementById('paymentMonth').value;
+    const hint = document.getElementById('paymentDueHint');
+
+    if (!propertyId || !month) {
+        hint.textContent = '';
+        return;
+    }
+
+    const paymentStatus = manager.getPaymentStatus(propertyId, month);
+    hint.textContent = t('payments.dueHint', {
+        due: formatAmount(paymentStatus.due),
+        paid: formatAmount(paymentStatus.paid),
+        arrears: formatAmount(paymentStatus.arrears),
+        balance: formatAmount(paymentStatus.balance),
+        currency: manager.getPropertyCurrency(propertyId)
+    });
+}
+
+// Load and display payments
+function loadPaymentsList() {
+    const payments = manager.getAllPayments();
+    const list = document.getElementById('paymentsList');
+
+    if (payments.length === 0) {
+        render(list, html`<p class="text-muted text-center">${t('payments.empty')}</p>`);
+        return;
+    }
+
+    const sortedPayments = [...payments].sort((a, b) => b.paidOn.localeCompare(a.paidOn) || b.id - a.id);
+
+    render(list, sortedPayments.map(payment => {
+        const property = manager.getPropertyById(payment.propertyId);
+        const receipt = manager.getReceiptForPayment(payment.id);
+
+        return html`
+            <div class="card mb-2">
+                <div class="card-body">
+                    <div class="d-flex justify-content-between align-items-center">
+                        <div>
+                            <strong>${property ? property.name : t('common.deletedProperty')}</strong><br>
+                            <small class="text-muted">${t('payments.forMonthOn', { month: formatMonth(payment.month), date: formatDate(payment.paidOn) })}</small>
+                        </div>
+                        <div class="text-end">
+                            <div><strong>${formatAmount(payment.amount)} ${manager.getPropertyCurrency(payment.propertyId)}</strong></div>
+                            <small class="text-muted">
+                                ${getPaymentMethodLabel(payment.method)}
+                                ${payment.reference && html`<br>${t('payments.reference', { reference: payment.reference })}`}
+                                ${receipt && html`<br>${t('payments.receiptNumber', { number: formatReceiptNumber(receipt.number) })}`}
+                            </small>
+                        </div>
+                        <div>
+                            <button class="btn btn-sm btn-primary" data-action="printReceipt" data-id="${payment.id}" title="${receipt ? t('payments.reprintReceipt') : t('payments.issueReceipt')}">
+                                <i class="fas fa-receipt"></i>
+                            </button>
+                            <button class="btn btn-sm btn-danger" data-action="deletePaymentConfirm" data-id="${payment.id}">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }));
+}
+
+// Receipt numbers are printed with leading zeros
+function formatReceiptNumber(number) {
+    return String(number).padStart(6, '0');
+}
+
+// Issue (or reprint) the receipt of a payment and open it as PDF
+function printReceipt(paymentId) {
+    const issued = manager.issueReceipt(paymentId);
+    if (!issued) {
+        alert(t('payments.notFound'));
+        return;
+    }
+
+    const { receipt, duplicate } = issued;
+    withLanguage(getReportLanguage(), () => {
+        const number = formatReceiptNumber(receipt.number);
+        return openPDF(renderReceiptDocument(receipt, duplicate), t(duplicate ? 'receipt.duplicateFileName' : 'receipt.fileName', { number }));
+    }).then(() => {
+        manager.markReceiptPrinted(receipt.id);
+        loadPaymentsList();
+    }).catch(error => {
+        console.error(error);
+        alert(t('receipt.printFailed', { error: error.message || error }));
+    });
+    loadPaymentsList();
+}
+
+// PDF document of a rent receipt, in the active language
+function renderReceiptDocument(receipt, duplicate) {
+    const currency = receipt.currency;
+
+    return renderPDFDocument(html`
+        ${duplicate && html`<div class="duplicate-mark">${t('receipt.duplicate')}</div>`}
+        ${renderLetterhead()}
+        <div class="header">
+            <h1>${t('receipt.title')}</h1>
+            <p><strong>${getBusinessName()}</strong></p>
+            <p>${t('receipt.numberAndDate', { number: formatReceiptNumber(receipt.number), date: formatDate(receipt.issuedOn) })}</p>
+        </div>
+
+        <div class="content">
+            <table>
+                <tr>
+                    <td>${t('receipt.receivedFrom')}</td>
+                    <td>${receipt.payer || '—'}</td>
+                </tr>
+                <tr>
+                    <td>${t('common.property')}</td>
+                    <td>${receipt.propertyName}</td>
+                </tr>
+                <tr>
+                    <td>${t('receipt.period')}</td>
+                    <td>${getReportPeriod('month', receipt.month).label}</td>
+                </tr>
+                <tr>
+                    <td>${t('common.amount')}</td>
+                    <td><strong>${formatAmount(receipt.amount)} ${currency}</strong></td>
+                </tr>
+                <tr>
+                    <td>${t('receipt.amountInWords')}</td>
+                    <td>${amountToWords(receipt.amount, currency)}</td>
+                </tr>
+                <tr>
+                    <td>${t('common.paymentMethod')}</td>
+                    <td>${getPaymentMethodLabel(receipt.method)}${receipt.reference && ` (${receipt.reference})`}</td>
+                </tr>
+                <tr>
+                    <td>${t('common.paidOn')}</td>
+                    <td>${formatDate(receipt.paidOn)}</td>
+                </tr>
+            </table>
+
+            <div class="signature">
+                <span>${t('receipt.recipientSignature')}</span>
+                <span>${t('receipt.stamp')}</span>
+            </div>
+        </div>
+
+        ${renderSignatureBlock()}
+
+        <div class="footer">
+            ${duplicate && html`<p>${t('receipt.duplicateNote', { date: formatDate(getToday()) })}</p>`}
+            <p>${getReportFooterText()}</p>
+        </div>
+    `);
+}
+
+// Delete payment confirmation
+function deletePaymentConfirm(id) {
+    if (confirm(t('payments.deleteConfirm'))) {
+        manager.deletePayment(id);
+        loadPaymentsList();
+        updatePaymentDueHint();
+        updateDashboard();
+        alert(t('payments.deleted'));
+    }
+}
+
+// An amount in its own currency, followed by its value in the base currency when the two differ
+function formatAmountWithBase(amount, currency, date) {
+    const base = manager.getBaseCurrency();
+    if (currency === base) return `${formatAmount(amount)} ${currency}`;
+    return `${formatAmount(amount)} ${currency} (${formatAmount(manager.toBase(amount, currency, date))} ${base})`;
+}
+
+// Load monthly report
+function loadMonthlyReport() {
+    withLanguage(getReportLanguage(), () => {
+        const propertyId = parseInt(document.getElementById('reportProperty').value);
+        const month = document.getElementById('reportMonth').value;
     
-    if (expenseMonth) expenseMonth.value = currentMonth;
-    if (reportMonth) reportMonth.value = currentMonth;
+        const reportContent = document.getElementById('reportContent');
+
+        if (!propertyId || !month) {
+            render(reportContent, html`<p class="text-center text-muted">${t('reports.choosePropertyAndMonth')}</p>`);
+            return;
+        }
+    
+        const property = manager.getPropertyById(propertyId);
+
+        if (!property) {
+            render(reportContent, html`<p class="text-center text-muted">${t('reports.propertyNotFound')}</p>`);
+            return;
+        }
+
+        const currency = manager.getPropertyCurrency(property.id);
+        const rate = manager.getExchangeRate(currency, month);
+        const expenses = manager.getExpenses(propertyId, month);
+        const expenseSummary = manager.summarizeExpenses(expenses, currency);
+        const rentDue = manager.getRentDue(property, month);
+        const netIncome = rentDue - expenseSummary.owner;
+        const totalDue = rentDue + expenseSummary.tenant; // Only recharged expenses are billed to the tenant
+        const expenseRows = manager.getCategoryTotals(expenses, currency).map(total => ({
+            label: total.name,
+            amount: total.amount,
+            responsibility: t(`responsibility.${total.responsibility}`)
+        }));
+        const paymentStatus = manager.getPaymentStatus(property.id, month);
+        const monthTenants = manager.getTenantsForMonth(property.id, month);
+        const tenantNames = monthTenants.length > 0 ? monthTenants.map(tenant => tenant.name).join(t('common.listSeparator')) : t('common.none');
+        const monthlyRent = manager.getRentForMonth(property, month);
+        const lease = manager.getLeaseForMonth(property.id, month);
+        const leasePeriod = lease ? t('reports.leasePeriod', { start: formatDate(lease.startDate), end: formatDate(lease.endDate) }) : t('reports.noLease');
+        const monthName = formatMonth(month);
+
+        const report = html`
+            <div class="report-card" dir="${getDirection()}" lang="${activeLanguage}" style="--report-accent: ${getBrandingSetting('reportAccentColor')}">
+                ${renderLetterhead()}
+                <div class="report-header">
+                    <div class="report-title">${t('reports.monthlyReportTitle')}</div>
+                    <div class="report-subtitle">${t('reports.propertyAndMonth', { property: property.name, month: monthName })}</div>
+                </div>
+
+                <table class="report-table">
+                    <tr>
+                        <th>${t('reports.item')}</th>
+                        <th>${t('reports.value')}</th>
+                    </tr>
+                    <tr>
+                        <td>${t('property.name')}</td>
+                        <td>${property.name}</td>
+                    </tr>
+                    <tr>
+                        <td>${t('common.tenant')}</td>
+                        <td>${tenantNames}</td>
+                    </tr>
+                    <tr>
+                        <td>${t('property.monthlyRentAmount')}</td>
+                        <td>${formatAmountWithBase(monthlyRent, currency, month)}</td>
+                    </tr>
+                    ${currency !== manager.getBaseCurrency() && html`
+                        <tr>
+                            <td>${t('field.rate')}</td>
+                            <td>${rate === null ? t('reports.rateNotSet') : `1 ${currency} = ${rate} ${manager.getBaseCurrency()}`}</td>
+                        </tr>
+                    `}
+                    <tr>
+                        <td>${t('reports.leaseTerm')}</td>
+                        <td>${leasePeriod}</td>
+                    </tr>
+                    <tr>
+                        <td>${t('common.paidOn')}</td>
+                        <td>${t('reports.paymentDayOfMonth', { day: property.paymentDate })}</td>
+                    </tr>
+                    ${expenseRows.map(row => html`
+                        <tr>
+                            <td>${row.label} <small>(${row.responsibility})</small></td>
+                            <td>${formatAmountWithBase(row.amount, currency, month)}</td>
+                        </tr>
+                    `)}
+                    <tr>
+                        <td>${t('reports.ownerBorneExpenses')}</td>
+                        <td>${formatAmountWithBase(expenseSummary.owner, currency, month)}</td>
+                    </tr>
+                    <tr style="background-color: #f8f9fa; font-weight: bold;">
+                        <td>${t('reports.ownerNetIncome')}</td>
+                        <td>${formatAmountWithBase(netIncome, currency, month)}</td>
+                    </tr>
+                    <tr style="background-color: #e8f4f8; font-weight: bold;">
+                        <td>${t('reports.tenantTotalDue')}</td>
+                        <td>${formatAmountWithBase(totalDue, currency, month)}</td>
+                    </tr>
+                    <tr>
+                        <td>${t('reports.paidThisMonth')}</td>
+                        <td>${formatAmountWithBase(paymentStatus.paid, currency, month)}</td>
+                    </tr>
+                    <tr>
+                        <td>${t('reports.previousArrears')}</td>
+                        <td>${formatAmountWithBase(paymentStatus.arrears, currency, month)}</td>
+                    </tr>
+                    <tr style="background-color: #fff3cd; font-weight: bold;">
+                        <td>${t('reports.remainingBalance')}</td>
+                        <td>${formatAmountWithBase(paymentStatus.balance, currency, month)}</td>
+                    </tr>
+                </table>
+
+                <div class="report-summary">
+                    <div class="report-summary-item">
+                        <span class="report-summary-label">${t('reports.paymentStatus')}</span>
+                        <span class="report-summary-value">${t(`paymentStatus.${paymentStatus.status}`)}</span>
+                    </div>
+                    <div class="report-summary-item">
+                        <span class="report-summary-label">${t('reports.reportDate')}</span>
+                        <span class="report-summary-value">${formatDate(new Date())}</span>
+                    </div>
+                    <div class="report-summary-item">
+                        <span class="report-summary-label">${t('reports.system')}</span>
+                        <span class="report-summary-value">${getBusinessName()}</span>
+                    </div>
+                </div>
+
+                ${renderSignatureBlock()}
+                <p class="report-footer">${getReportFooterText()}</p>
+
+                <div class="mt-3">
+                    <button class="btn btn-success w-100" data-action="exportReportToPDF" data-id="${property.id}" data-month="${month}">
+                        <i class="fas fa-file-pdf"></i> ${t('reports.exportPDF')}
+                    </button>
+                </div>
+            </div>
+        `;
+
+        render(reportContent, report);
+    });
+}
+
+// Uploaded images are kept as data URLs; anything else is ignored rather than put in a src attribute
+function isImageDataURL(value) {
+    return typeof value === 'string' && value.startsWith('data:image/');
+}
+
+// Whether a value is acceptable for one of the report branding settings
+function isValidBrandingValue(key, value) {
+    switch (key) {
+        case 'reportAccentColor':
+            return typeof value === 'string' && REPORT_ACCENT_COLOR_PATTERN.test(value);
+        case 'reportPaperSize':
+            return REPORT_PAPER_SIZES.includes(value);
+        case 'reportOrientation':
+            return REPORT_ORIENTATIONS.includes(value);
+        case 'reportLogo':
+        case 'reportSignature':
+            return value === '' || isImageDataURL(value);
+        default:
+            return typeof value === 'string';
+    }
+}
+
+// A report branding setting, or its default when the stored value is not valid
+function getBrandingSetting(key) {
+    const value = manager.settings[key];
+    return isValidBrandingValue(key, value) ? value : DEFAULT_REPORT_BRANDING[key];
+}
+
+// Logo, address and phone from the report settings, at the top of every report
+function renderLetterhead() {
+    const { reportLogo, reportAddress, reportPhone } = manager.settings;
+    if (!isImageDataURL(reportLogo) && !reportAddress && !reportPhone) return '';
+
+    return html`
+        <div class="letterhead">
+            <div>${isImageDataURL(reportLogo) && html`<img src="${reportLogo}" alt="logo">`}</div>
+            <div class="letterhead-contact">
+                ${reportAddress && html`<div>${reportAddress}</div>`}
+                ${reportPhone && html`<div dir="ltr">${reportPhone}</div>`}
+            </div>
+        </div>
+    `;
+}
+
+// Signature or stamp image from the report settings
+function renderSignatureBlock() {
+    const { reportSignature } = manager.settings;
+    if (!isImageDataURL(reportSignature)) return '';
+
+    return html`
+        <div class="signature-block">
+            <img src="${reportSignature}" alt="signature">
+        </div>
+    `;
+}
+
+// Wrap the body of a report in a complete PDF document with the shared stylesheet
+function renderPDFDocument(body) {
+    return html`
+        <html dir="${getDirection()}" lang="${activeLanguage}">
+        <head>
+            <meta charset="UTF-8">
+            ${renderPDFStyles()}
+        </head>
+        <body>
+            ${body}
+        </body>
+        </html>
+    `;
+}
+
+// Stylesheet shared by the PDF report documents, in the accent colour of the report settings
+function renderPDFStyles() {
+    const accent = getBrandingSetting('reportAccentColor');
+    // html2canvas has no logical text-align values, so the sides follow the report direction
+    const start = getDirection() === 'rtl' ? 'right' : 'left';
+    const end = getDirection() === 'rtl' ? 'left' : 'right';
+    return html`
+        <style>
+            body {
+                font-family: 'Cairo', 'Tajawal', sans-serif;
+                padding: 20px;
+                direction: ${getDirection()};
+                text-align: ${start};
+            }
+            .header {
+                text-align: center;
+                margin-bottom: 30px;
+                border-bottom: 3px solid ${accent};
+                padding-bottom: 20px;
+            }
+            .header h1 {
+                color: ${accent};
+                margin: 0;
+                font-size: 24px;
+            }
+            .header p {
+                color: #666;
+                margin: 5px 0;
+            }
+            .content {
+                margin-bottom: 30px;
+            }
+            table {
+                width: 100%;
+                border-collapse: collapse;
+                margin-bottom: 20px;
+            }
+            th {
+                background-color: ${accent};
+                color: white;
+                padding: 12px;
+                text-align: ${start};
+                border: 1px solid #ddd;
+            }
+            td {
+                padding: 12px;
+                border: 1px solid #ddd;
+                text-align: ${start};
+            }
+            tr:nth-child(even) {
+                background-color: #f9f9f9;
+            }
+            .summary {
+                background-color: #f0f0f0;
+                padding: 15px;
+                border-radius: 5px;
+                margin-bottom: 20px;
+            }
+            .summary-item {
+                display: flex;
+                justify-content: space-between;
+                margin-bottom: 10px;
+                padding: 5px 0;
+            }
+            .summary-item:last-child {
+                margin-bottom: 0;
+            }
+            .summary-label {
+                font-weight: bold;
+            }
+            .summary-value {
+                color: ${accent};
+                font-weight: bold;
+            }
+            .footer {
+                text-align: center;
+                color: #666;
+                font-size: 12px;
+                margin-top: 30px;
+                padding-top: 20px;
+                border-top: 1px solid #ddd;
+            }
+            .portfolio-table th,
+            .portfolio-table td {
+                padding: 6px;
+                font-size: 11px;
+            }
+            .portfolio-total td {
+                background-color: #e8f4f8;
+                font-weight: bold;
+            }
+            .portfolio-note {
+                color: #666;
+                font-size: 12px;
+            }
+            .missing-rates-note {
+                color: #b45309;
+                font-weight: bold;
+            }
+            .duplicate-mark {
+                border: 2px solid #dc3545;
+                color: #dc3545;
+                font-size: 20px;
+                font-weight: bold;
+                padding: 5px;
+                text-align: center;
+                margin-bottom: 15px;
+            }
+            .signature {
+                display: flex;
+                justify-content: space-between;
+                margin-top: 40px;
+            }
+            .letterhead {
+                display: flex;
+                justify-content: space-between;
+                align-items: center;
+                margin-bottom: 15px;
+            }
+            .letterhead img {
+                max-height: 70px;
+                max-width: 200px;
+            }
+            .letterhead-contact {
+                color: #666;
+                font-size: 12px;
+                text-align: ${end};
+            }
+            .signature-block {
+                text-align: ${end};
+                margin-top: 30px;
+            }
+            .signature-block img {
+                max-height: 90px;
+                max-width: 220px;
+            }
+        </style>
+    `;
+}
+
+// Export report to PDF
+function exportReportToPDF(propertyId, month) {
+    const property = manager.getPropertyById(propertyId);
+    
+    if (!property) {
+        alert(t('reports.propertyNotFoundAlert'));
+        return;
+    }
+
+    withLanguage(getReportLanguage(), () => {
+        openPDF(renderPDFDocument(renderPropertyReportPage(property, month)), getReportFileName(property, month))
+            .catch(reportPDFError);
+    });
+}
+
+// File name of the monthly report of a property, without characters file systems reject
+function getReportFileName(property, month) {
+    return t('reports.fileName', { property: property.name, month }).replace(/[\\/:*?"<>|]/g, '_');
+}
+
+// Body of the monthly report PDF of one property; a batch export puts several on separate pages
+function renderPropertyReportPage(property, month) {
+    const currency = manager.getPropertyCurrency(property.id);
+    const rate = manager.getExchangeRate(currency, month);
+    const expenses = manager.getExpenses(property.id, month);
+    const expenseSummary = manager.summarizeExpenses(expenses, currency);
+    const rentDue = manager.getRentDue(property, month);
+    const netIncome = rentDue - expenseSummary.owner;
+    const totalDue = rentDue + expenseSummary.tenant; // Only recharged expenses are billed to the tenant
+    const expenseRows = manager.getCategoryTotals(expenses, currency).map(total => ({
+        label: total.name,
+        amount: total.amount,
+        responsibility: t(`responsibility.${total.responsibility}`)
+    }));
+    const paymentStatus = manager.getPaymentStatus(property.id, month);
+    const monthTenants = manager.getTenantsForMonth(property.id, month);
+    const tenantNames = monthTenants.length > 0 ? monthTenants.map(tenant => tenant.name).join(t('common.listSeparator')) : t('common.none');
+    const monthlyRent = manager.getRentForMonth(property, month);
+    const lease = manager.getLeaseForMonth(property.id, month);
+    const leasePeriod = lease ? t('reports.leasePeriod', { start: formatDate(lease.startDate), end: formatDate(lease.endDate) }) : t('reports.noLease');
+    const monthName = formatMonth(month);
+
+    return html`
+        ${renderLetterhead()}
+        <div class="header">
+            <h1>${t('reports.monthlyReportTitle')}</h1>
+            <p><strong>${property.name}</strong></p>
+            <p>${monthName}</p>
+        </div>
+
+        <div class="content">
+            <table>
+                <tr>
+                    <th>${t('reports.item')}</th>
+                    <th>${t('reports.value')}</th>
+                </tr>
+                <tr>
+                    <td>${t('property.name')}</td>
+                    <td>${property.name}</td>
+                </tr>
+                <tr>
+                    <td>${t('common.tenant')}</td>
+                    <td>${tenantNames}</td>
+                </tr>
+                <tr>
+                    <td>${t('property.monthlyRentAmount')}</td>
+                    <td>${formatAmountWithBase(monthlyRent, currency, month)}</td>
+                </tr>
+                ${currency !== manager.getBaseCurrency() && html`
+                    <tr>
+                        <td>${t('field.rate')}</td>
+                        <td>${rate === null ? t('reports.rateNotSet') : `1 ${currency} = ${rate} ${manager.getBaseCurrency()}`}</td>
+                    </tr>
+                `}
+                <tr>
+                    <td>${t('reports.leaseTerm')}</td>
+                    <td>${leasePeriod}</td>
+                </tr>
+                <tr>
+                    <td>${t('common.paidOn')}</td>
+                    <td>${t('reports.paymentDayOfMonth', { day: property.paymentDate })}</td>
+                </tr>
+                ${expenseRows.map(row => html`
+                    <tr>
+                        <td>${row.label} <small>(${row.responsibility})</small></td>
+                        <td>${formatAmountWithBase(row.amount, currency, month)}</td>
+                    </tr>
+                `)}
+                <tr>
+                    <td>${t('reports.ownerBorneExpenses')}</td>
+                    <td>${formatAmountWithBase(expenseSummary.owner, currency, month)}</td>
+                </tr>
+                <tr style="background-color: #e8f4f8; font-weight: bold;">
+                    <td>${t('reports.ownerNetIncome')}</td>
+                    <td>${formatAmountWithBase(netIncome, currency, month)}</td>
+                </tr>
+                <tr style="background-color: #d1e7dd; font-weight: bold;">
+                    <td>${t('reports.tenantTotalDue')}</td>
+                    <td>${formatAmountWithBase(totalDue, currency, month)}</td>
+                </tr>
+                <tr>
+                    <td>${t('reports.paidThisMonth')}</td>
+                    <td>${formatAmountWithBase(paymentStatus.paid, currency, month)}</td>
+                </tr>
+                <tr>
+                    <td>${t('reports.previousArrears')}</td>
+                    <td>${formatAmountWithBase(paymentStatus.arrears, currency, month)}</td>
+                </tr>
+                <tr style="background-color: #fff3cd; font-weight: bold;">
+                    <td>${t('reports.remainingBalance')}</td>
+                    <td>${formatAmountWithBase(paymentStatus.balance, currency, month)}</td>
+                </tr>
+            </table>
+
+            <div class="summary">
+                <div class="summary-item">
+                    <span class="summary-label">${t('reports.paymentStatus')}</span>
+                    <span class="summary-value">${t(`paymentStatus.${paymentStatus.status}`)}</span>
+                </div>
+                <div class="summary-item">
+                    <span class="summary-label">${t('reports.reportDate')}</span>
+                    <span class="summary-value">${formatDate(new Date())}</span>
+                </div>
+            </div>
+        </div>
+
+        ${renderSignatureBlock()}
+
+        <div class="footer">
+            <p>${t('reports.generatedBy', { name: getBusinessName() })}</p>
+            <p>${getReportFooterText()}</p>
+        </div>
+    `;
+}
+
+// html2pdf worker for a report document; elements with the html2pdf__page-break class start a new page
+function createPDFWorker(content, filename, orientation = getBrandingSetting('reportOrientation')) {
+    const element = document.createElement('div');
+    render(element, content);
+
+    const opt = {
+        margin: 10,
+        filename,
+        image: { type: 'jpeg', quality: 0.98 },
+        html2canvas: { scale: 2 },
+        jsPDF: { orientation, unit: 'mm', format: getBrandingSetting('reportPaperSize') },
+        pagebreak: { mode: ['css', 'legacy'] }
+    };
+
+    return html2pdf().set(opt).from(element);
+}
+
+// Render a report document to PDF and open it
+function openPDF(content, filename, orientation = getBrandingSetting('reportOrientation')) {
+    // Use outputPdf for better iOS compatibility
+    return createPDFWorker(content, filename, orientation).outputPdf('datauristring').then(function (pdfAsString) {
+        // Open the PDF in a new window/tab for better iOS compatibility
+        if (!window.open(pdfAsString)) throw new Error(t('pdf.popupBlocked'));
+    });
+}
+
+// Tell the user a report PDF could not be produced or opened
+function reportPDFError(error) {
+    console.error(error);
+    alert(t('pdf.openFailed', { error: error.message || error }));
+}
+
+// Warning on consolidated reports while a currency in use has no rate, so its amounts are not converted
+function renderMissingRatesNote() {
+    const missingRates = manager.getMissingRates();
+    return missingRates.length > 0 && html`
+        <p class="portfolio-note missing-rates-note">
+            ${t('reports.missingRates', { currencies: missingRates.join(t('common.listSeparator')), base: manager.settings.currency })}
+        </p>
+    `;
+}
+
+// Per-property table and, for several months, the monthly subtotals of a portfolio report
+function renderPortfolioTables(report) {
+    const amountCells = figures => html`
+        <td>${formatAmount(figures.rentDue)}</td>
+        <td>${formatAmount(figures.paid)}</td>
+        ${report.categories.map(category => html`<td>${formatAmount(figures.expenses[category.id] || 0)}</td>`)}
+        <td>${formatAmount(figures.ownerExpenses)}</td>
+        <td>${formatAmount(figures.net)}</td>
+        <td>${figures.occupancyRate}%</td>
+    `;
+    const headerCells = html`
+        <th>${t('common.rentDue')}</th>
+        <th>${t('portfolio.collected')}</th>
+        ${report.categories.map(category => html`<th>${category.name}</th>`)}
+        <th>${t('common.ownerExpenses')}</th>
+        <th>${t('common.net')}</th>
+        <th>${t('portfolio.occupancy')}</th>
+    `;
+    const totalRow = html`
+        <tr class="portfolio-total">
+            <td>${t('common.grandTotal')}</td>
+            ${amountCells(report.totals)}
+        </tr>
+    `;
+
+    return html`
+        <p class="portfolio-note">
+            ${t('portfolio.note', { currency: manager.settings.currency })}
+        </p>
+        ${renderMissingRatesNote()}
+        <table class="report-table portfolio-table">
+            <tr>
+                <th>${t('common.property')}</th>
+                ${headerCells}
+            </tr>
+            ${report.rows.map(row => html`
+                <tr>
+                    <td>
+                        ${row.property.name}
+                        ${row.currency !== manager.settings.currency && html`<br><small>${formatAmount(row.originalRentDue)} ${row.currency}</small>`}
+                    </td>
+                    ${amountCells(row)}
+                </tr>
+            `)}
+            ${totalRow}
+        </table>
+
+        ${report.months.length > 1 && html`
+            <h3 class="portfolio-section-title">${t('portfolio.monthlyTotals')}</h3>
+            <table class="report-table portfolio-table">
+                <tr>
+                    <th>${t('common.month')}</th>
+                    ${headerCells}
+                </tr>
+                ${report.monthly.map(row => html`
+                    <tr>
+                        <td>${formatMonth(row.month)}</td>
+                        ${amountCells(row)}
+                    </tr>
+                `)}
+                ${totalRow}
+            </table>
+        `}
+    `;
+}
+
+// Load the consolidated report of all properties for a month, quarter or year
+function loadPortfolioReport() {
+    withLanguage(getReportLanguage(), () => {
+        const periodType = document.getElementById('portfolioPeriod').value;
+        const month = document.getElementById('portfolioMonth').value;
+        const content = document.getElementById('portfolioReportContent');
+
+        if (!month) {
+            render(content, html`<p class="text-center text-muted">${t('portfolio.choosePeriod')}</p>`);
+            return;
+        }
+
+        if (manager.getProperties().length === 0) {
+            render(content, html`<p class="text-center text-muted">${t('portfolio.noProperties')}</p>`);
+            return;
+        }
+
+        const period = getReportPeriod(periodType, month);
+        const report = manager.getPortfolioReport(period.fromMonth, period.toMonth);
+
+        render(content, html`
+            <div class="report-card" dir="${getDirection()}" lang="${activeLanguage}" style="--report-accent: ${getBrandingSetting('reportAccentColor')}">
+                ${renderLetterhead()}
+                <div class="report-header">
+                    <div class="report-title">${t('portfolio.title')}</div>
+                    <div class="report-subtitle">${t(`reportPeriod.${periodType}`)}: ${period.label} | ${t('portfolio.propertyCount', { count: report.rows.length })}</div>
+                </div>
+
+                <div class="table-responsive">
+                    ${renderPortfolioTables(report)}
+                </div>
+
+                <div class="report-summary">
+                    <div class="report-summary-item">
+                        <span class="report-summary-label">${t('portfolio.ownerNetIncome')}</span>
+                        <span class="report-summary-value">${formatAmount(report.totals.net)} ${manager.settings.currency}</span>
+                    </div>
+                    <div class="report-summary-item">
+                        <span class="report-summary-label">${t('reports.reportDate')}</span>
+                        <span class="report-summary-value">${formatDate(new Date())}</span>
+                    </div>
+                    <div class="report-summary-item">
+                        <span class="report-summary-label">${t('reports.system')}</span>
+                        <span class="report-summary-value">${getBusinessName()}</span>
+                    </div>
+                </div>
+
+                <div class="mt-3">
+                    <button class="btn btn-success w-100" data-action="exportPortfolioReportToPDF" data-period="${periodType}" data-month="${month}">
+                        <i class="fas fa-file-pdf"></i> ${t('reports.exportPDF')}
+                    </button>
+                </div>
+            </div>
+        `);
+    });
+}
+
+// Export the portfolio report to PDF; landscape, since it has a column per expense category
+function exportPortfolioReportToPDF(periodType, month) {
+    withLanguage(getReportLanguage(), () => {
+        const period = getReportPeriod(periodType, month);
+        const report = manager.getPortfolioReport(period.fromMonth, period.toMonth);
+
+        const htmlContent = renderPDFDocument(html`
+            ${renderLetterhead()}
+            <div class="header">
+                <h1>${t('portfolio.title')}</h1>
+                <p><strong>${t(`reportPeriod.${periodType}`)}: ${period.label}</strong></p>
+                <p>${t('portfolio.propertyCount', { count: report.rows.length })}</p>
+            </div>
+
+            <div class="content">
+                ${renderPortfolioTables(report)}
+
+                <div class="summary">
+                    <div class="summary-item">
+                        <span class="summary-label">${t('portfolio.ownerNetIncome')}</span>
+                        <span class="summary-value">${formatAmount(report.totals.net)} ${manager.settings.currency}</span>
+                    </div>
+                    <div class="summary-item">
+                        <span class="summary-label">${t('reports.reportDate')}</span>
+                        <span class="summary-value">${formatDate(new Date())}</span>
+                    </div>
+                </div>
+            </div>
+
+            ${renderSignatureBlock()}
+
+            <div class="footer">
+                <p>${t('reports.generatedBy', { name: getBusinessName() })}</p>
+                <p>${getReportFooterText()}</p>
+            </div>
+        `);
+
+        openPDF(htmlContent, t('portfolio.fileName', { from: period.fromMonth, to: period.toMonth }), 'landscape')
+            .catch(reportPDFError);
+    });
+}
+
+// Period chosen for the income statement: a calendar year, or the fiscal year from the settings
+function getSelectedStatementPeriod() {
+    const year = parseInt(document.getElementById('statementYear').value);
+    if (!Number.isInteger(year) || year < 1900 || year > 9999) return null;
+
+    const fiscal = document.getElementById('statementYearType').value === 'fiscal';
+    return getFiscalYear(year, fiscal ? manager.settings.fiscalYearStart : 1);
+}
+
+// Per-property figures and the deductions summary of an income statement
+function renderIncomeStatementTables(statement) {
+    const currency = manager.settings.currency;
+
+    return html`
+        ${renderMissingRatesNote()}
+        <table class="report-table portfolio-table">
+            <tr>
+                <th>${t('common.property')}</th>
+                <th>${t('statement.collectedRent')}</th>
+                <th>${t('statement.vacantMonths')}</th>
+                <th>${t('statement.vacancyLoss')}</th>
+                <th>${t('common.ownerExpenses')}</th>
+                <th>${t('common.net')}</th>
+            </tr>
+            ${statement.rows.map(row => html`
+                <tr>
+                    <td>${row.property.name}</td>
+                    <td>
+                        ${formatAmount(row.grossRent)}
+                        ${row.currency !== currency && html`<br><small>${formatAmount(row.originalGrossRent)} ${row.currency}</small>`}
+                    </td>
+                    <td>${row.vacantMonths}</td>
+                    <td>${formatAmount(row.vacancyLoss)}</td>
+                    <td>${formatAmount(row.ownerExpenses)}</td>
+                    <td>${formatAmount(row.net)}</td>
+                </tr>
+            `)}
+            <tr class="portfolio-total">
+                <td>${t('common.grandTotal')}</td>
+                <td>${formatAmount(statement.grossRent)}</td>
+                <td></td>
+                <td>${formatAmount(statement.vacancyLoss)}</td>
+                <td>${formatAmount(statement.deductibleExpenses)}</td>
+                <td>${formatAmount(statement.netTaxableIncome)}</td>
+            </tr>
+        </table>
+
+        <table class="report-table">
+            <tr>
+                <th>${t('reports.item')}</th>
+                <th>${t('common.amount')}</th>
+            </tr>
+            <tr>
+                <td>${t('statement.totalCollectedRent')}</td>
+                <td>${formatAmount(statement.grossRent)} ${currency}</td>
+            </tr>
+            ${statement.deductions.map(deduction => html`
+                <tr>
+                    <td>${t('statement.deduction', { name: deduction.name })}</td>
+                    <td>${formatAmount(deduction.amount)} ${currency}</td>
+                </tr>
+            `)}
+            <tr>
+                <td>${t('statement.totalDeductible')}</td>
+                <td>${formatAmount(statement.deductibleExpenses)} ${currency}</td>
+            </tr>
+            <tr>
+                <td>${t('statement.vacancyLossNote')}</td>
+                <td>${formatAmount(statement.vacancyLoss)} ${currency}</td>
+            </tr>
+            <tr class="portfolio-total">
+                <td>${t('statement.netTaxableIncome')}</td>
+                <td>${formatAmount(statement.netTaxableIncome)} ${currency}</td>
+            </tr>
+        </table>
+    `;
+}
+
+// Load the yearly income statement of the owner
+function loadIncomeStatement() {
+    withLanguage(getReportLanguage(), () => {
+        const content = document.getElementById('incomeStatementContent');
+        const period = getSelectedStatementPeriod();
+
+        if (!period) {
+            render(content, html`<p class="text-center text-muted">${t('statement.invalidYear')}</p>`);
+            return;
+        }
+
+        const statement = manager.getIncomeStatement(period.fromMonth, period.toMonth);
+
+        render(content, html`
+            <div class="report-card" dir="${getDirection()}" lang="${activeLanguage}" style="--report-accent: ${getBrandingSetting('reportAccentColor')}">
+                ${renderLetterhead()}
+                <div class="report-header">
+                    <div class="report-title">${t('statement.title')}</div>
+                    <div class="report-subtitle">${getBusinessName()} | ${t('statement.periodRange', { label: period.label, from: formatMonth(period.fromMonth), to: formatMonth(period.toMonth) })}</div>
+                </div>
+
+                <div class="table-responsive">
+                    ${renderIncomeStatementTables(statement)}
+                </div>
+
+                <div class="row g-2 mt-3">
+                    <div class="col-md-6">
+                        <button class="btn btn-success w-100" data-action="exportIncomeStatement" data-format="pdf">
+                            <i class="fas fa-file-pdf"></i> ${t('statement.exportPDF')}
+                        </button>
+                    </div>
+                    <div class="col-md-6">
+                        <button class="btn btn-outline-success w-100" data-action="exportIncomeStatement" data-format="csv">
+                            <i class="fas fa-file-csv"></i> ${t('statement.exportCSV')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `);
+    });
+}
+
+// Export the income statement of the selected year as PDF or CSV
+function exportIncomeStatement(format) {
+    withLanguage(getReportLanguage(), () => {
+        const period = getSelectedStatementPeriod();
+        if (!period) {
+            alert(t('statement.invalidYearAlert'));
+            return;
+        }
+
+        const statement = manager.getIncomeStatement(period.fromMonth, period.toMonth);
+        const filename = t('statement.fileName', { from: period.fromMonth, to: period.toMonth });
+
+        if (format === 'csv') {
+            // The title line comes first, then the property table and the deductions summary
+            const headers = [getBusinessName(), t('statement.title'), period.label, `${period.fromMonth} - ${period.toMonth}`];
+            const missingRates = manager.getMissingRates();
+            const rows = [
+                ...(missingRates.length > 0
+                    ? [[t('reports.missingRates', { currencies: missingRates.join(t('common.listSeparator')), base: manager.settings.currency })]]
+                    : []),
+                [],
+                [
+                    t('common.property'), t('statement.collectedRent'), t('statement.vacantMonths'), t('statement.vacancyLoss'),
+                    t('common.ownerExpenses'), t('common.net'), t('statement.collectedRentOriginal'), t('expenses.propertyCurrency')
+                ],
+                ...statement.rows.map(row => [
+                    row.property.name, row.grossRent, row.vacantMonths, row.vacancyLoss, row.ownerExpenses, row.net,
+                    row.originalGrossRent, row.currency
+                ]),
+                [t('common.grandTotal'), statement.grossRent, '', statement.vacancyLoss, statement.deductibleExpenses, statement.netTaxableIncome],
+                [],
+                [t('statement.totalCollectedRent'), statement.grossRent],
+                ...statement.deductions.map(deduction => [t('statement.deduction', { name: deduction.name }), deduction.amount]),
+                [t('statement.totalDeductible'), statement.deductibleExpenses],
+                [t('statement.vacancyLossNote'), statement.vacancyLoss],
+                [t('statement.netTaxableIncome'), statement.netTaxableIncome]
+            ];
+            downloadBlob(new Blob([toCSV(headers, rows)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+            return;
+        }
+
+        const htmlContent = renderPDFDocument(html`
+            ${renderLetterhead()}
+            <div class="header">
+                <h1>${t('statement.title')}</h1>
+                <p><strong>${getBusinessName()}</strong></p>
+                <p>${t('statement.periodRange', { label: period.label, from: formatMonth(period.fromMonth), to: formatMonth(period.toMonth) })}</p>
+            </div>
+
+            <div class="content">
+                ${renderIncomeStatementTables(statement)}
+                <p class="portfolio-note">${t('statement.note', { currency: manager.settings.currency })}</p>
+            </div>
+
+            ${renderSignatureBlock()}
+
+            <div class="footer">
+                <p>${t('statement.issuedOn', { date: formatDate(new Date()) })}</p>
+                <p>${getReportFooterText()}</p>
+            </div>
+        `);
+
+        openPDF(htmlContent, `${filename}.pdf`).catch(reportPDFError);
+    });
+}
+
+// Set while a batch export runs, so a second click does not start another one
+let batchExportRunning = false;
+
+// Show how far a batch export has got
+function updateBatchProgress(done, total, message) {
+    const percent = total > 0 ? Math.round(done / total * 100) : 0;
+    const bar = document.getElementById('batchProgressBar');
+    document.getElementById('batchProgress').style.display = 'block';
+    bar.style.width = `${percent}%`;
+    bar.textContent = `${done} / ${total}`;
+    document.getElementById('batchStatus').textContent = message;
+}
+
+// Monthly reports of every property for one month, as one multi-page PDF or a ZIP of separate PDFs
+async function generateAllReports() {
+    const month = document.getElementById('batchMonth').value;
+    const format = document.getElementById('batchFormat').value;
+    const properties = manager.getProperties();
+
+    if (batchExportRunning) return;
+
+    if (!month) {
+        alert(t('batch.monthRequired'));
+        return;
+    }
+
+    if (properties.length === 0) {
+        alert(t('batch.noProperties'));
+        return;
+    }
+
+    if (format === 'zip' && typeof JSZip === 'undefined') {
+        alert(t('batch.zipUnavailable'));
+        return;
+    }
+
+    batchExportRunning = true;
+    const button = document.getElementById('generateAllReportsButton');
+    button.disabled = true;
+    render('batchFailures', '');
+
+    const failures = [];
+    const pages = [];
+    const zip = format === 'zip' ? new JSZip() : null;
+    const language = getReportLanguage();
+    // Property names need not be unique, so a repeated file name gets the property id
+    const fileNames = new Set();
+
+    for (const [index, property] of properties.entries()) {
+        updateBatchProgress(index, properties.length, t('batch.preparing', { property: property.name }));
+        // Let the browser paint the progress bar between reports
+        await new Promise(resolve => setTimeout(resolve));
+
+        try {
+            const page = withLanguage(language, () => renderPropertyReportPage(property, month));
+            if (zip) {
+                let fileName = withLanguage(language, () => getReportFileName(property, month));
+                if (fileNames.has(fileName)) fileName = fileName.replace(/\.pdf$/, `_${property.id}.pdf`);
+                fileNames.add(fileName);
+                const pdfContent = withLanguage(language, () => renderPDFDocument(page));
+                zip.file(fileName, await createPDFWorker(pdfContent, fileName).outputPdf('blob'));
+            } else {
+                pages.push({ property, page });
+            }
+        } catch (error) {
+            console.error(error);
+            failures.push({ property, message: error.message || String(error) });
+        }
+    }
+
+    try {
+        if (properties.length > failures.length) {
+            updateBatchProgress(properties.length, properties.length, zip ? t('batch.creatingZip') : t('batch.creatingPdf'));
+            if (zip) {
+                downloadBlob(await zip.generateAsync({ type: 'blob' }), withLanguage(language, () => t('batch.zipFileName', { month })));
+            } else {
+                await saveBatchPDF(pages, language, withLanguage(language, () => t('batch.pdfFileName', { month })), failures);
+            }
+        }
+        const created = properties.length - failures.length;
+        updateBatchProgress(properties.length, properties.length, t('batch.done', { created, total: properties.length }));
+    } catch (error) {
+        console.error(error);
+        updateBatchProgress(properties.length, properties.length, t('batch.fileFailed'));
+        alert(t('batch.error', { error: error.message || error }));
+    } finally {
+        batchExportRunning = false;
+        button.disabled = false;
+    }
+
+    if (failures.length > 0) {
+        render('batchFailures', html`
+            <div class="alert alert-warning">
+                <strong>${t('batch.failures')}</strong>
+                <ul class="mb-0">
+                    ${failures.map(failure => html`<li>${failure.property.name}: ${failure.message}</li>`)}
+                </ul>
+            </div>
+        `);
+    }
+}
+
+// Save the report pages as one PDF. If that fails, each page is rendered alone to find the
+// properties at fault, which are added to the failures and left out of a second attempt
+async function saveBatchPDF(pages, language, fileName, failures) {
+    const save = entries => {
+        const content = entries.map((entry, index) => html`
+            ${index > 0 && html`<div class="html2pdf__page-break"></div>`}
+            ${entry.page}
+        `);
+        return createPDFWorker(withLanguage(language, () => renderPDFDocument(content)), fileName).save();
+    };
+
+    try {
+        await save(pages);
+    } catch (error) {
+        console.error(error);
+        const rendered = [];
+        for (const entry of pages) {
+            try {
+                await createPDFWorker(withLanguage(language, () => renderPDFDocument(entry.page)), fileName).toCanvas();
+                rendered.push(entry);
+            } catch (pageError) {
+                failures.push({ property: entry.property, message: pageError.message || String(pageError) });
+            }
+        }
+        if (rendered.length === 0 || rendered.length === pages.length) throw error;
+        await save(rendered);
+    }
+}
+
+// Load and display settings
+function loadSettings() {
+    document.getElementById('currency').value = manager.settings.currency;
+    document.getElementById('businessName').value = getBusinessName();
+    document.getElementById('userName').value = manager.settings.userName || '';
+    document.getElementById('reminderLeadDays').value = manager.settings.reminderLeadDays.join(', ');
+    document.getElementById('gracePeriodDays').value = manager.settings.gracePeriodDays;
+    document.getElementById('notificationsEnabled').checked = manager.settings.notificationsEnabled;
+    document.getElementById('fiscalYearStart').value = manager.settings.fiscalYearStart;
+    loadLanguageSettings();
+    loadReportBranding();
+    loadExpenseCategories();
+    loadExchangeRates();
+    loadSnapshots();
+}
+
+// Suggest the currencies already in use in the currency fields
+function populateCurrencyOptions() {
+    render('currencyOptions', manager.getCurrencies().map(currency => html`<option value="${currency}"></option>`));
+}
+
+// Load the exchange rate table of the settings page
+function loadExchangeRates() {
+    const rates = manager.getExchangeRates();
+    const base = manager.getBaseCurrency();
+
+    document.getElementById('rateEffectiveDate').value = document.getElementById('rateEffectiveDate').value || getToday();
+    populateCurrencyOptions();
+
+    render('exchangeRatesTable', rates.length === 0
+        ? html`<tr><td colspan="4" class="text-center text-muted py-3">${t('rates.empty')}</td></tr>`
+        : rates.map(rate => html`
+            <tr>
+                <td><strong>${rate.currency}</strong></td>
+                <td>1 ${rate.currency} = ${rate.rate} ${base}</td>
+                <td>${formatDate(rate.effectiveDate)}</td>
+                <td>
+                    <button class="btn btn-sm btn-danger action-btn" data-action="deleteExchangeRateConfirm" data-id="${rate.id}">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `));
+}
+
+// Add an exchange rate from the settings form
+function saveExchangeRate() {
+    const currency = document.getElementById('rateCurrency').value.trim();
+    const rate = parseFloat(document.getElementById('rateValue').value);
+    const effectiveDate = document.getElementById('rateEffectiveDate').value;
+
+    if (!currency || !effectiveDate) {
+        alert(t('rates.required'));
+        return;
+    }
+
+    if (currency === manager.getBaseCurrency()) {
+        alert(t('rates.baseCurrency'));
+        return;
+    }
+
+    if (!(rate > 0)) {
+        alert(t('rates.invalid'));
+        return;
+    }
+
+    manager.addExchangeRate({ currency, rate, effectiveDate });
+    document.getElementById('rateCurrency').value = '';
+    document.getElementById('rateValue').value = '';
+    loadExchangeRates();
+    updateDashboard();
+}
+
+// Delete exchange rate confirmation
+function deleteExchangeRateConfirm(id) {
+    if (confirm(t('rates.deleteConfirm'))) {
+        manager.deleteExchangeRate(id);
+        loadExchangeRates();
+        updateDashboard();
+    }
+}
+
+// Images chosen on the settings page, applied when the branding is saved
+const brandingImages = { reportLogo: '', reportSignature: '' };
+
+// Fill the report branding form
+function loadReportBranding() {
+    const settings = manager.settings;
+    document.getElementById('reportAddress').value = settings.reportAddress;
+    document.getElementById('reportPhone').value = settings.reportPhone;
+    document.getElementById('reportAccentColor').value = settings.reportAccentColor;
+    document.getElementById('reportFooterText').value = getReportFooterText();
+    document.getElementById('reportPaperSize').value = settings.reportPaperSize;
+    document.getElementById('reportOrientation').value = settings.reportOrientation;
+    brandingImages.reportLogo = settings.reportLogo;
+    brandingImages.reportSignature = settings.reportSignature;
+    renderBrandingImagePreviews();
+}
+
+function renderBrandingImagePreviews() {
+    Object.keys(brandingImages).forEach(key => {
+        render(`${key}Preview`, isImageDataURL(brandingImages[key])
+            ? html`
+                <img src="${brandingImages[key]}" alt="" class="branding-preview">
+                <button class="btn btn-sm btn-outline-danger" data-action="clearBrandingImage" data-key="${key}">
+                    <i class="fas fa-times"></i> ${t('branding.removeImage')}
+                </button>
+            `
+            : html`<small class="text-muted">${t('branding.noImage')}</small>`);
+    });
+}
+
+// Read an image file and scale it down so the settings do not carry full-size photos
+function readImageFile(file, maxWidth, maxHeight) {
+    return new Promise((resolve, reject) => {
+        if (!file.type.startsWith('image/')) {
+            reject(new Error(t('branding.notImage')));
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onerror = () => reject(reader.error);
+        reader.onload = () => {
+            const image = new Image();
+            image.onerror = () => reject(new Error(t('branding.unreadableImage')));
+            image.onload = () => {
+                const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+                const canvas = document.createElement('canvas');
+                canvas.width = Math.round(image.width * scale);
+                canvas.height = Math.round(image.height * scale);
+                canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+                resolve(canvas.toDataURL('image/png'));
+            };
+            image.src = reader.result;
+        };
+        reader.readAsDataURL(file);
+    });
+}
+
+// Load the logo or signature picked in a file input
+function handleBrandingImage(input) {
+    const file = input.files[0];
+    if (!file) return;
+
+    readImageFile(file, 600, 300)
+        .then(dataURL => {
+            brandingImages[input.dataset.key] = dataURL;
+            renderBrandingImagePreviews();
+        })
+        .catch(error => alert(error.message))
+        .finally(() => { input.value = ''; });
+}
+
+function clearBrandingImage(key) {
+    brandingImages[key] = '';
+    renderBrandingImagePreviews();
+}
+
+// Save the report branding settings
+function saveReportBranding() {
+    const accentColor = document.getElementById('reportAccentColor').value;
+    if (!REPORT_ACCENT_COLOR_PATTERN.test(accentColor)) {
+        alert(t('branding.invalidColor'));
+        return;
+    }
+
+    // The default footer is shown translated; saving it as shown keeps the stored default
+    const footerText = document.getElementById('reportFooterText').value.trim();
+    Object.assign(manager.settings, {
+        reportLogo: brandingImages.reportLogo,
+        reportSignature: brandingImages.reportSignature,
+        reportAddress: document.getElementById('reportAddress').value.trim(),
+        reportPhone: document.getElementById('reportPhone').value.trim(),
+        reportAccentColor: accentColor,
+        reportFooterText: footerText && footerText !== t('report.footer') ? footerText : DEFAULT_REPORT_BRANDING.reportFooterText,
+        reportPaperSize: document.getElementById('reportPaperSize').value,
+        reportOrientation: document.getElementById('reportOrientation').value
+    });
+
+    manager.saveData();
+    alert(t('branding.saved'));
+}
+
+// Load the expense category registry on the settings page
+function loadExpenseCategories() {
+    const table = document.getElementById('expenseCategoriesTable');
+
+    render(table, manager.getExpenseCategories().map(category => html`
+        <tr>
+            <td><strong>${getCategoryLabel(category)}</strong></td>
+            <td>${t(`responsibility.${category.defaultResponsibility}`)}</td>
+            <td>
+                <button class="btn btn-sm btn-info action-btn" data-action="editExpenseCategory" data-id="${category.id}">
+                    <i class="fas fa-edit"></i>
+                </button>
+                <button class="btn btn-sm btn-danger action-btn" data-action="deleteExpenseCategoryConfirm" data-id="${category.id}">
+                    <i class="fas fa-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `));
+}
+
+// Add an expense category from the settings form
+function saveExpenseCategory() {
+    const name = document.getElementById('newCategoryName').value.trim();
+    const defaultResponsibility = document.getElementById('newCategoryResponsibility').value;
+
+    if (!name) {
+        alert(t('categories.nameRequired'));
+        return;
+    }
+
+    if (manager.getExpenseCategories().some(c => c.name === name)) {
+        alert(t('categories.duplicate'));
+        return;
+    }
+
+    manager.addExpenseCategory({ name, defaultResponsibility });
+    document.getElementById('newCategoryName').value = '';
+    loadExpenseCategories();
+    resetExpenseLines();
+}
+
+// Rename an expense category and toggle its default responsibility
+function editExpenseCategory(id) {
+    const category = manager.getExpenseCategoryById(id);
+    if (!category) return;
+
+    const name = prompt(t('categories.namePrompt'), getCategoryLabel(category));
+    if (name === null || !name.trim()) return;
+    // Keep the stored default name while the translated label is left unchanged
+    const newName = name.trim() === getCategoryLabel(category) ? category.name : name.trim();
+
+    const defaultResponsibility = confirm(t('categories.ownerPrompt'))
+        ? 'owner'
+        : 'tenant';
+
+    manager.updateExpenseCategory(id, { name: newName, defaultResponsibility });
+    loadExpenseCategories();
+    resetExpenseLines();
+    loadExpensesList();
+}
+
+// Delete expense category confirmation
+function deleteExpenseCategoryConfirm(id) {
+    if (confirm(t('categories.deleteConfirm'))) {
+        const result = manager.deleteExpenseCategory(id);
+        loadExpenseCategories();
+        resetExpenseLines();
+        alert(result === 'archived'
+            ? t('categories.archived')
+            : t('categories.deleted'));
+    }
+}
+
+// Save settings
+function saveSettings() {
+    const currency = document.getElementById('currency').value.trim();
+    if (!currency) {
+        alert(t('settings.currencyRequired'));
+        return;
+    }
+
+    const leadDays = document.getElementById('reminderLeadDays').value
+        .split(/[,،\s]+/)
+        .filter(Boolean)
+        .map(Number);
+    const gracePeriodDays = parseInt(document.getElementById('gracePeriodDays').value) || 0;
+    if (leadDays.some(days => !Number.isInteger(days) || days < 0) || gracePeriodDays < 0) {
+        alert(t('settings.invalidDays'));
+        return;
+    }
+
+    // A new base code is usually a rename of the old one (e.g. "ر.س" to "SAR"), so offer to move
+    // the records in the old code along; otherwise they stay in it and the rates are rebased
+    const previousCurrency = manager.getBaseCurrency();
+    if (currency !== previousCurrency) {
+        if (confirm(t('settings.renameCurrencyConfirm', { previous: previousCurrency, currency }))) {
+            manager.settings.currency = currency;
+            manager.renameCurrency(previousCurrency, currency);
+        } else if (!manager.rebaseExchangeRates(currency)) {
+            alert(t('settings.baseCurrencyNeedsRate', { previous: previousCurrency, currency }));
+            return;
+        }
+    }
+
+    const businessName = document.getElementById('businessName').value.trim();
+    // The default name is shown translated; saving it as shown keeps the stored default
+    manager.settings.businessName = !businessName || businessName === t('app.title') ? DEFAULT_BUSINESS_NAME : businessName;
+    manager.settings.userName = document.getElementById('userName').value.trim();
+
+    manager.settings.reminderLeadDays = [...new Set(leadDays)].sort((a, b) => b - a);
+    manager.settings.gracePeriodDays = gracePeriodDays;
+    manager.settings.notificationsEnabled = document.getElementById('notificationsEnabled').checked;
+    manager.settings.fiscalYearStart = parseInt(document.getElementById('fiscalYearStart').value) || 1;
+
+    manager.saveData();
+    alert(t('settings.saved'));
+    updateDashboard();
+    loadTenants();
+    loadProperties();
+    loadExchangeRates();
+
+    if (manager.settings.notificationsEnabled) enableRentNotifications();
+}
+
+// ===================================
+// Rent Reminders (Notification API)
+// ===================================
+
+// Reminders already shown on this device, so each fires once; kept per device rather than in the shared data
+const NOTIFIED_REMINDERS_KEY = 'notifiedRentReminders';
 
-    // Load expenses list
+// Ask for notification permission, then check for reminders straight away
+function enableRentNotifications() {
+    if (!('Notification' in window)) {
+        alert(t('notifications.unsupported'));
+        return;
+    }
+
+    Notification.requestPermission().then(permission => {
+        if (permission === 'granted') {
+            checkRentNotifications();
+        } else {
+            alert(t('notifications.denied'));
+        }
+    });
+}
+
+// Show a desktop notification for rents reaching a reminder lead time or their due day, and for newly overdue rents
+function checkRentNotifications() {
+    if (!manager.settings.notificationsEnabled || !('Notification' in window) || Notification.permission !== 'granted') return;
+
+    const notified = JSON.parse(localStorage.getItem(NOTIFIED_REMINDERS_KEY) || '{}');
+    const today = getToday();
+    const maxLead = Math.max(0, ...manager.settings.reminderLeadDays);
+    const { dueSoon, overdue } = manager.getRentReminders(maxLead);
+    const currency = item => manager.getPropertyCurrency(item.property.id);
+
+    const notify = (key, title, body) => {
+        if (notified[key]) return;
+        notified[key] = today;
+        new Notification(title, { body, tag: key });
+    };
+
+    dueSoon
+        .filter(item => item.daysUntil === 0 || manager.settings.reminderLeadDays.includes(item.daysUntil))
+        .forEach(item => {
+            const tenantName = item.tenant ? ` - ${item.tenant.name}` : '';
+            notify(
+                `due:${item.property.id}:${item.month}:${item.daysUntil}`,
+                item.daysUntil === 0 ? t('notifications.dueToday') : t('notifications.dueInDays', { days: item.daysUntil }),
+                `${item.property.name}${tenantName}: ${formatAmount(item.amount)} ${currency(item)}`
+            );
+        });
+
+    overdue.forEach(item => {
+        const tenantName = item.tenant ? ` - ${item.tenant.name}` : '';
+        notify(
+            `overdue:${item.property.id}:${item.month}`,
+            t('notifications.overdue'),
+            `${item.property.name}${tenantName}: ${formatAmount(item.amount)} ${currency(item)} (${t('common.days', { days: item.daysLate })})`
+        );
+    });
+
+    // Forget reminders older than two months
+    const cutoff = addDaysToDate(today, -60);
+    Object.keys(notified).forEach(key => {
+        if (notified[key] < cutoff) delete notified[key];
+    });
+    localStorage.setItem(NOTIFIED_REMINDERS_KEY, JSON.stringify(notified));
+}
+
+// Offer a blob as a file download
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// The backup passphrase entered in the settings: '' when there is none, null when it cannot be used
+function readBackupPassphrase() {
+    const passphrase = document.getElementById('backupPassphrase').value;
+    if (!passphrase) return '';
+
+    if (passphrase.length < MIN_BACKUP_PASSPHRASE_LENGTH) {
+        alert(t('backup.passphraseTooShort', { min: MIN_BACKUP_PASSPHRASE_LENGTH }));
+        return null;
+    }
+    if (passphrase !== document.getElementById('backupPassphraseConfirm').value) {
+        alert(t('backup.passphraseMismatch'));
+        return null;
+    }
+    return passphrase;
+}
+
+function clearBackupPassphrase() {
+    document.getElementById('backupPassphrase').value = '';
+    document.getElementById('backupPassphraseConfirm').value = '';
+}
+
+// Export all data, encrypted when a passphrase is entered in the backup settings
+async function exportAllData() {
+    const passphrase = readBackupPassphrase();
+    if (passphrase === null) return;
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (!passphrase) {
+        const dataStr = JSON.stringify(manager.exportData(), null, 2);
+        downloadBlob(new Blob([dataStr], { type: 'application/json' }), `backup_${date}.json`);
+        return;
+    }
+
+    try {
+        const envelope = await encryptBackup(manager.exportData(), passphrase);
+        const dataStr = JSON.stringify(envelope, null, 2);
+        downloadBlob(new Blob([dataStr], { type: 'application/json' }), `backup_${date}.encrypted.json`);
+        clearBackupPassphrase();
+    } catch (error) {
+        alert(t('backup.encryptFailed', { error: error.message }));
+    }
+}
+
+// ===================================
+// Encrypted Backups
+// ===================================
+
+// Backups are encrypted with AES-GCM, which also detects a wrong passphrase or
+// any change to the file, under a key derived from the passphrase with PBKDF2
+const ENCRYPTED_BACKUP_FORMAT = 'property-manager-encrypted-backup';
+const ENCRYPTED_BACKUP_VERSION = 1;
+const BACKUP_KDF_ITERATIONS = 600000;
+const MIN_BACKUP_PASSPHRASE_LENGTH = 8;
+
+function bytesToBase64(bytes) {
+    let binary = '';
+    // Chunked so large backups do not exceed the argument limit of fromCharCode
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+// WebCrypto is only available in secure contexts (https or localhost)
+function getSubtleCrypto() {
+    if (!window.crypto || !window.crypto.subtle) throw new Error(t('backup.cryptoUnavailable'));
+    return window.crypto.subtle;
+}
+
+async function deriveBackupKey(passphrase, salt, iterations, usage) {
+    const subtle = getSubtleCrypto();
+    const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        [usage]
+    );
+}
+
+// Derive an encryption key from a passphrase with a new salt. The key cannot be exported,
+// so it can be kept on the device to encrypt later files without keeping the passphrase
+async function createBackupKey(passphrase) {
+    const salt = window.crypto.getRandomValues(new Uint8Array(16));
+    return { key: await deriveBackupKey(passphrase, salt, BACKUP_KDF_ITERATIONS, 'encrypt'), salt };
+}
+
+// Encrypt exported data into a JSON envelope carrying everything but the passphrase
+async function encryptBackup(data, passphrase) {
+    return encryptWithBackupKey(data, await createBackupKey(passphrase));
+}
+
+// Files encrypted with the same key share its salt; each gets its own IV
+async function encryptWithBackupKey(data, { key, salt }) {
+    const iv = window.crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await getSubtleCrypto().encrypt(
+        { name: 'AES-GCM', iv },
+        key,
+        new TextEncoder().encode(JSON.stringify(data))
+    );
+
+    return {
+        format: ENCRYPTED_BACKUP_FORMAT,
+        version: ENCRYPTED_BACKUP_VERSION,
+        createdAt: new Date().toISOString(),
+        kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: BACKUP_KDF_ITERATIONS, salt: bytesToBase64(salt) },
+        cipher: { name: 'AES-GCM', iv: bytesToBase64(iv) },
+        data: bytesToBase64(new Uint8Array(ciphertext))
+    };
+}
+
+function isEncryptedBackup(data) {
+    return Boolean(data) && data.format === ENCRYPTED_BACKUP_FORMAT;
+}
+
+// Decrypt an envelope made by encryptBackup; a wrong passphrase and a modified
+// file both fail the GCM authentication and cannot be told apart
+async function decryptBackup(envelope, passphrase) {
+    const { kdf, cipher } = envelope;
+    let salt, iv, ciphertext;
+    try {
+        if (envelope.version !== ENCRYPTED_BACKUP_VERSION ||
+            kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256' || cipher.name !== 'AES-GCM' ||
+            !Number.isInteger(kdf.iterations) || kdf.iterations < 100000 || kdf.iterations > 10000000) {
+            throw new Error('unsupported');
+        }
+        salt = base64ToBytes(kdf.salt);
+        iv = base64ToBytes(cipher.iv);
+        ciphertext = base64ToBytes(envelope.data);
+    } catch (error) {
+        throw new Error(t('backup.invalidEncrypted'));
+    }
+
+    const key = await deriveBackupKey(passphrase, salt, kdf.iterations, 'decrypt');
+    let plaintext;
+    try {
+        plaintext = await getSubtleCrypto().decrypt({ name: 'AES-GCM', iv }, key, ciphertext);
+    } catch (error) {
+        throw new Error(t('backup.decryptFailed'));
+    }
+
+    try {
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } catch (error) {
+        throw new Error(t('import.invalidJson'));
+    }
+}
+
+// ===================================
+// Spreadsheet Exchange (CSV / Excel)
+// ===================================
+
+// Build the header and rows of a spreadsheet export
+function buildExportTable(dataset, fromMonth, toMonth) {
+    const properties = manager.getProperties();
+    const propertyName = id => {
+        const property = manager.getPropertyById(id);
+        return property ? property.name : t('common.deletedProperty');
+    };
+    const inRange = month => (!fromMonth || month >= fromMonth) && (!toMonth || month <= toMonth);
+
+    if (dataset === 'properties') {
+        return {
+            headers: EXCHANGE_FIELDS.properties.map(f => t(f.label)),
+            rows: properties.map(p => {
+                const tenant = manager.getCurrentTenant(p.id);
+                return [
+                    p.name,
+                    tenant ? tenant.name : '',
+                    manager.getRentForMonth(p, getCurrentMonth()),
+                    p.rentalDate,
+                    p.paymentDate,
+                    t(`propertyStatus.${p.status}`),
+                    p.notes || '',
+                    manager.getPropertyCurrency(p.id)
+                ];
+            })
+        };
+    }
+
+    if (dataset === 'expenses') {
+        return {
+            headers: EXCHANGE_FIELDS.expenses.map(f => t(f.label)),
+            rows: manager.getAllExpenses()
+                .filter(e => inRange(e.month))
+                .flatMap(e => e.lines.map(line => [
+                    propertyName(e.propertyId),
+                    e.month,
+                    manager.getExpenseCategoryName(line.categoryId),
+                    parseFloat(line.amount),
+                    t(`responsibility.${line.responsibility}`),
+                    manager.getExpenseCurrency(e)
+                ]))
+        };
+    }
+
+    if (dataset === 'payments') {
+        return {
+            headers: [
+                t('common.property'), t('exchange.forMonth'), t('common.amount'), t('common.currency'),
+                t('common.paidOn'), t('common.paymentMethod'), t('exchange.reference')
+            ],
+            rows: manager.getAllPayments()
+                .filter(p => inRange(p.month))
+                .map(p => [
+                    propertyName(p.propertyId),
+                    p.month,
+                    parseFloat(p.amount),
+                    manager.getPropertyCurrency(p.propertyId),
+                    p.paidOn,
+                    getPaymentMethodLabel(p.method),
+                    p.reference || ''
+                ])
+        };
+    }
+
+    // Monthly summary: one row per property and month
+    const rows = [];
+    const first = fromMonth || getCurrentMonth();
+    const last = toMonth || first;
+    for (let month = first; month <= last; month = addMonths(month, 1)) {
+        properties.forEach(property => {
+            const summary = manager.getPropertyMonthSummary(property, month);
+            rows.push([
+                month,
+                property.name,
+                summary.tenants.map(tenant => tenant.name).join(t('common.listSeparator')),
+                summary.rentDue,
+                summary.paid,
+                summary.balance,
+                t(`paymentStatus.${summary.status}`),
+                roundAmount(summary.tenantExpenses),
+                roundAmount(summary.ownerExpenses),
+                roundAmount(summary.netIncome),
+                summary.currency
+            ]);
+        });
+    }
+    return {
+        headers: [
+            t('common.month'), t('common.property'), t('common.tenant'), t('common.rentDue'), t('common.paid'),
+            t('common.balanceWithArrears'), t('exchange.paymentStatus'), t('exchange.tenantExpenses'),
+            t('exchange.ownerExpenses'), t('exchange.ownerNetIncome'), t('common.currency')
+        ],
+        rows
+    };
+}
+
+// Text starting with one of these is run as a formula by Excel and LibreOffice
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Serialize rows as CSV with a UTF-8 BOM so Excel shows Arabic and accented text correctly,
+// separated the way spreadsheets expect in the active language
+function toCSV(headers, rows) {
+    const delimiter = LANGUAGES[activeLanguage].csvDelimiter;
+    const escapeCell = value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        // Quote-prefixed text is shown as typed instead of being evaluated
+        if (typeof value === 'string' && CSV_FORMULA_PREFIX.test(text)) text = `'${text}`;
+        return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return '\uFEFF' + [headers, ...rows].map(row => row.map(escapeCell).join(delimiter)).join('\r\n');
+}
+
+// Parse CSV text into rows, detecting comma, semicolon or tab separators
+function parseCSV(text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const firstLine = content.split(/\r?\n/)[0];
+    const delimiter = [',', ';', '\t'].reduce((best, candidate) =>
+        firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best, ',');
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    // Drop the quote toCSV puts before text that looks like a formula
+    const finishCell = value => value.startsWith("'") && CSV_FORMULA_PREFIX.test(value.slice(1)) ? value.slice(1) : value;
+
+    for (let i = 0; i < content.length; i++) {
+        const char = content[i];
+        if (quoted) {
+            if (char === '"' && content[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(finishCell(cell));
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && content[i + 1] === '\n') i++;
+            row.push(finishCell(cell));
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length > 0) {
+        row.push(finishCell(cell));
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(value => String(value).trim() !== ''));
+}
+
+// Export a dataset as CSV or XLSX
+function exportSpreadsheet(format) {
+    const dataset = document.getElementById('exchangeDataset').value;
+    const fromMonth = document.getElementById('exchangeFromMonth').value;
+    const toMonth = document.getElementById('exchangeToMonth').value;
+
+    if (fromMonth && toMonth && fromMonth > toMonth) {
+        alert(t('exchange.invalidRange'));
+        return;
+    }
+
+    const { headers, rows } = buildExportTable(dataset, fromMonth, toMonth);
+    const filename = `${dataset}_${new Date().toISOString().slice(0, 10)}`;
+
+    if (format === 'csv') {
+        downloadBlob(new Blob([toCSV(headers, rows)], { type: 'text/csv;charset=utf-8' }), `${filename}.csv`);
+        return;
+    }
+
+    if (typeof XLSX === 'undefined') {
+        alert(t('exchange.excelUnavailable'));
+        return;
+    }
+
+    const sheet = XLSX.utils.aoa_to_sheet([headers, ...rows]);
+    sheet['!cols'] = headers.map(() => ({ wch: 18 }));
+    const workbook = XLSX.utils.book_new();
+    workbook.Workbook = { Views: [{ RTL: getDirection() === 'rtl' }] };
+    XLSX.utils.book_append_sheet(workbook, sheet, dataset);
+    XLSX.writeFile(workbook, `${filename}.xlsx`);
+}
+
+// Spreadsheet rows waiting for column mapping
+let spreadsheetImport = null;
+
+// Read a CSV or XLSX file for the column-mapping import
+function handleSpreadsheetFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const isExcel = /\.xlsx?$/i.test(file.name);
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        let rows;
+        try {
+            if (isExcel) {
+                if (typeof XLSX === 'undefined') throw new Error(t('exchange.excelMissing'));
+                const workbook = XLSX.read(e.target.result, { type: 'array', cellDates: true });
+                const sheet = workbook.Sheets[workbook.SheetNames[0]];
+                rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' })
+                    .filter(r => r.some(value => String(value).trim() !== ''));
+            } else {
+                rows = parseCSV(e.target.result);
+            }
+        } catch (error) {
+            alert(t('exchange.unreadableFile', { error: error.message }));
+            return;
+        }
+
+        if (rows.length < 2) {
+            alert(t('exchange.noRows'));
+            return;
+        }
+
+        spreadsheetImport = { headers: rows[0].map(h => String(h).trim()), rows: rows.slice(1), prepared: null };
+        document.getElementById('spreadsheetFileName').textContent = t('exchange.fileRows', { name: file.name, count: rows.length - 1 });
+        renderColumnMapping();
+    };
+
+    if (isExcel) {
+        reader.readAsArrayBuffer(file);
+    } else {
+        reader.readAsText(file, 'UTF-8');
+    }
+    event.target.value = '';
+}
+
+// Show one column select per target field, pre-selecting headers that match
+function renderColumnMapping() {
+    if (!spreadsheetImport) return;
+
+    const entity = document.getElementById('spreadsheetEntity').value;
+    const { headers } = spreadsheetImport;
+
+    render('columnMapping', EXCHANGE_FIELDS[entity].map(field => {
+        const guess = headers.findIndex(h => translationsOf(field.label).includes(h) || h.toLowerCase() === field.key.toLowerCase());
+        return html`
+            <div class="col-md-6 mb-2">
+                <label class="form-label" for="map-${field.key}">${t(field.label)}${field.required && ' *'}</label>
+                <select class="form-select column-map" id="map-${field.key}" data-field="${field.key}">
+                    <option value="">${t('exchange.noColumn')}</option>
+                    ${headers.map((h, i) => html`<option value="${i}" ${i === guess && 'selected'}>${h}</option>`)}
+                </select>
+            </div>
+        `;
+    }));
+
+    document.getElementById('spreadsheetMapping').style.display = 'block';
+    render('spreadsheetResult', '');
+    document.getElementById('applySpreadsheetImport').disabled = true;
+    spreadsheetImport.prepared = null;
+}
+
+// Map the rows to fields and check them without saving
+function validateSpreadsheetImport() {
+    if (!spreadsheetImport) return;
+
+    const entity = document.getElementById('spreadsheetEntity').value;
+    const mapping = {};
+    document.querySelectorAll('.column-map').forEach(select => {
+        if (select.value !== '') mapping[select.dataset.field] = parseInt(select.value);
+    });
+
+    const missing = EXCHANGE_FIELDS[entity].filter(f => f.required && mapping[f.key] === undefined);
+    if (missing.length > 0) {
+        alert(t('exchange.mapRequired', { fields: missing.map(f => t(f.label)).join(t('common.listSeparator')) }));
+        return;
+    }
+
+    const rows = spreadsheetImport.rows.map(row => {
+        const record = {};
+        Object.keys(mapping).forEach(key => { record[key] = row[mapping[key]]; });
+        return record;
+    });
+
+    const prepared = manager.prepareRowImport(entity, rows);
+    spreadsheetImport.prepared = { entity, ...prepared };
+
+    render('spreadsheetResult', html`
+        <div class="alert ${prepared.errors.length > 0 ? 'alert-warning' : 'alert-success'}">
+            ${t('exchange.validRows')} <strong>${prepared.valid.length}</strong> |
+            ${t('exchange.errorRows')} <strong>${prepared.errors.length}</strong>
+        </div>
+        ${prepared.errors.length > 0 && html`
+        <div class="table-responsive import-conflict-list">
+            <table class="table table-sm">
+                <thead><tr><th>${t('exchange.row')}</th><th>${t('exchange.errors')}</th></tr></thead>
+                <tbody>
+                    ${prepared.errors.map(e => html`<tr><td>${e.row}</td><td>${e.problems.join(t('common.listSeparator'))}</td></tr>`)}
+                </tbody>
+            </table>
+        </div>`}
+    `);
+    document.getElementById('applySpreadsheetImport').disabled = prepared.valid.length === 0;
+}
+
+// Create the valid rows
+async function applySpreadsheetImport() {
+    if (!spreadsheetImport || !spreadsheetImport.prepared) return;
+
+    const { entity, valid, errors } = spreadsheetImport.prepared;
+    if (valid.length === 0) return;
+
+    const message = errors.length > 0
+        ? t('exchange.importWithErrorsConfirm', { valid: valid.length, errors: errors.length })
+        : t('exchange.importConfirm', { valid: valid.length });
+    if (!confirm(message)) return;
+    if (!await snapshotBefore('beforeImport')) return;
+
+    manager.applyRowImport(entity, valid);
+    spreadsheetImport = null;
+    document.getElementById('spreadsheetMapping').style.display = 'none';
+    document.getElementById('spreadsheetFileName').textContent = '';
+
+    alert(t('exchange.imported', { count: valid.length }));
+    loadProperties();
+    loadTenants();
     loadExpensesList();
-    
-    // Load settings
+    updateDashboard();
+}
+
+// Import data
+function importData() {
+    document.getElementById('importFile').click();
+}
+
+// Import waiting for the user's confirmation
+let pendingImport = null;
+
+// Handle import file
+function handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        let data;
+        try {
+            data = JSON.parse(e.target.result);
+        } catch (error) {
+            alert(t('import.invalidJson'));
+            return;
+        }
+
+        if (isEncryptedBackup(data)) {
+            askImportPassphrase(file.name, data);
+            return;
+        }
+        previewImportData(file.name, data);
+    };
+    reader.readAsText(file);
+    event.target.value = '';
+}
+
+// Validate the data of an import file and show what it would change
+function previewImportData(fileName, data) {
+    const { errors, staging } = manager.prepareImport(data);
+    pendingImport = staging;
+    showImportPreview(fileName, errors);
+}
+
+// Encrypted import file waiting for its passphrase
+let pendingEncryptedImport = null;
+
+function askImportPassphrase(fileName, envelope) {
+    pendingEncryptedImport = { fileName, envelope };
+    document.getElementById('encryptedImportFileName').textContent = fileName;
+    document.getElementById('importPassphrase').value = '';
+    document.getElementById('importPassphraseError').textContent = '';
+    const modal = new bootstrap.Modal(document.getElementById('importPassphraseModal'));
+    modal.show();
+}
+
+// Decrypt the pending file; on failure the dialog stays open for another attempt
+async function decryptImportFile() {
+    if (!pendingEncryptedImport) return;
+
+    const passphrase = document.getElementById('importPassphrase').value;
+    const errorElement = document.getElementById('importPassphraseError');
+    const button = document.getElementById('decryptImportButton');
+    if (!passphrase) {
+        errorElement.textContent = t('backup.passphraseRequired');
+        return;
+    }
+
+    errorElement.textContent = '';
+    button.disabled = true;
+    try {
+        const { fileName, envelope } = pendingEncryptedImport;
+        const data = await decryptBackup(envelope, passphrase);
+        pendingEncryptedImport = null;
+        bootstrap.Modal.getInstance(document.getElementById('importPassphraseModal')).hide();
+        previewImportData(fileName, data);
+    } catch (error) {
+        errorElement.textContent = error.message;
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// List the problems that keep a file from being imported
+function renderImportErrors(errors) {
+    render('importErrors', errors.length > 0 && html`
+        <div class="alert alert-danger">
+            <strong>${t('import.cannotImport')}</strong>
+            <ul class="mb-0">${errors.slice(0, 20).map(error => html`<li>${error}</li>`)}</ul>
+            ${errors.length > 20 && html`<small>${t('import.moreProblems', { count: errors.length - 20 })}</small>`}
+        </div>
+    `);
+}
+
+// Show the import modal with validation errors or a preview of the changes
+function showImportPreview(fileName, errors) {
+    document.getElementById('importFileName').textContent = fileName;
+    renderImportErrors(errors);
+    document.getElementById('importOptions').style.display = pendingImport ? 'block' : 'none';
+    document.getElementById('confirmImportButton').disabled = !pendingImport;
+    document.querySelector('input[name="importMode"][value="merge"]').checked = true;
+    document.getElementById('importConflictPolicy').value = 'keep';
+
+    if (pendingImport) renderImportPreview();
+
+    const modal = new bootstrap.Modal(document.getElementById('importModal'));
+    modal.show();
+}
+
+// Render the per-collection counts and the conflicts for the selected import mode; references
+// depend on the mode, so they are checked here rather than when the file is read
+function renderImportPreview() {
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    const referenceErrors = manager.findMissingReferences(pendingImport, mode);
+    renderImportErrors(referenceErrors);
+    document.getElementById('confirmImportButton').disabled = referenceErrors.length > 0;
+
+    const preview = manager.previewImport(pendingImport, mode);
+    const acceptAll = document.getElementById('importConflictPolicy').value === 'incoming';
+
+    render('importPreviewTable', html`
+        ${STORE_COLLECTIONS.map(name => html`
+            <tr>
+                <td>${t(`collection.${name}`)}</td>
+                <td class="text-success">${preview[name].added.length}</td>
+                <td class="text-warning">${preview[name].changed.length}</td>
+                <td class="text-danger">${preview[name].removed.length}</td>
+            </tr>
+        `)}
+        <tr>
+            <td>${t('collection.settings')}</td>
+            <td colspan="3">${preview.settingsChanged ? (mode === 'replace' ? t('import.settingsReplaced') : t('import.settingsMerged')) : t('import.unchanged')}</td>
+        </tr>
+    `);
+
+    const conflicts = STORE_COLLECTIONS.flatMap(name => preview[name].changed.map(change => ({ name, change })));
+    document.getElementById('importConflicts').style.display = mode === 'merge' && conflicts.length > 0 ? 'block' : 'none';
+    render('importConflictList', conflicts.map(({ name, change }) => html`
+        <div class="form-check">
+            <input class="form-check-input import-conflict" type="checkbox" value="${name}:${change.incoming.id}"
+                   id="conflict-${name}-${change.incoming.id}" ${acceptAll && 'checked'}>
+            <label class="form-check-label" for="conflict-${name}-${change.incoming.id}">
+                ${t(`collection.${name}`)}: ${manager.describeRecord(name, change.current)}
+                <small class="text-muted">(${t('import.useImported')})</small>
+            </label>
+        </div>
+    `));
+}
+
+// Apply the previewed import after confirmation
+async function confirmImport() {
+    if (!pendingImport) return;
+
+    const mode = document.querySelector('input[name="importMode"]:checked').value;
+    if (manager.findMissingReferences(pendingImport, mode).length > 0) return;
+    if (mode === 'replace' && !confirm(t('import.replaceConfirm'))) return;
+    if (!await snapshotBefore('beforeImport')) return;
+
+    const acceptedConflicts = new Set(
+        Array.from(document.querySelectorAll('.import-conflict:checked')).map(input => input.value)
+    );
+
+    manager.applyImport(pendingImport, mode, acceptedConflicts);
+    pendingImport = null;
+    bootstrap.Modal.getInstance(document.getElementById('importModal')).hide();
+
+    alert(t('import.done'));
+    loadProperties();
+    loadTenants();
+    loadExpensesList();
+    loadPaymentsList();
     loadSettings();
-});
+    resetExpenseLines();
+    updateDashboard();
+}
+
+// Clear all data
+async function clearAllData() {
+    if (!confirm(t('backup.clearConfirm'))) return;
+    if (!await snapshotBefore('beforeClear')) return;
+
+    manager.clearAllData();
+    alert(t('backup.cleared'));
+    refreshAllViews();
+}
+
+// Reload every view after data changed outside the current page
+function refreshAllViews() {
+    loadProperties();
+    loadTenants();
+    loadExpensesList();
+    loadPaymentsList();
+    loadSettings();
+    resetExpenseLines();
+    updateDashboard();
+    loadHistoryPage();
+}
+
+// ===================================
+// Restore Points
+// ===================================
+
+// Take a restore point, copy it to the backup folder and refresh the list; a failed copy is
+// returned as folderError, since the restore point itself was saved
+async function takeSnapshot(reason) {
+    const result = await manager.createSnapshot(reason);
+    if (result) result.folderError = await syncSnapshotFolder(result.snapshot, result.removed);
+    loadSnapshots();
+    return result;
+}
+
+// Take a restore point before a destructive action; if that fails the user decides whether to go on
+async function snapshotBefore(reason) {
+    try {
+        await takeSnapshot(reason);
+        return true;
+    } catch (error) {
+        console.error(error);
+        return confirm(t('snapshots.failedContinue', { error: error.message }));
+    }
+}
+
+// Take today's restore point unless there already is one
+async function ensureDailySnapshot() {
+    try {
+        const today = getToday();
+        const snapshots = await manager.getSnapshots();
+        if (!snapshots.some(snapshot => snapshot.reason === 'daily' && snapshot.createdAt.slice(0, 10) === today)) {
+            await takeSnapshot('daily');
+        }
+    } catch (error) {
+        console.error(error);
+    }
+}
+
+// Record counts of a restore point, leaving out the empty collections
+function describeSnapshotCounts(counts) {
+    const parts = STORE_COLLECTIONS
+        .filter(name => counts[name] > 0)
+        .map(name => `${t(`collection.${name}`)}: ${formatNumber(counts[name])}`);
+    return parts.length > 0 ? parts.join(t('common.listSeparator')) : t('snapshots.noRecords');
+}
+
+// Load the restore point list and folder status of the settings page
+async function loadSnapshots() {
+    document.getElementById('snapshotRetention').value = manager.settings.snapshotRetention;
+
+    try {
+        await loadSnapshotFolderStatus();
+        const snapshots = await manager.getSnapshots();
+        render('snapshotsTable', snapshots.length === 0
+            ? html`<tr><td colspan="4" class="text-center text-muted py-3">${t('snapshots.empty')}</td></tr>`
+            : snapshots.map(snapshot => html`
+                <tr>
+                    <td>${formatDateTime(snapshot.createdAt)}</td>
+                    <td><span class="badge ${snapshot.reason === 'daily' ? 'bg-secondary' : 'bg-info'}">${t(`snapshots.reason.${snapshot.reason}`)}</span></td>
+                    <td class="small">${describeSnapshotCounts(snapshot.counts)}</td>
+                    <td>
+                        <button class="btn btn-sm btn-warning action-btn" data-action="restoreSnapshotConfirm" data-id="${snapshot.id}">
+                            <i class="fas fa-undo"></i> ${t('snapshots.restore')}
+                        </button>
+                        <button class="btn btn-sm btn-info action-btn" data-action="downloadSnapshot" data-id="${snapshot.id}" title="${t('snapshots.download')}">
+                            <i class="fas fa-download"></i>
+                        </button>
+                        <button class="btn btn-sm btn-danger action-btn" data-action="deleteSnapshotConfirm" data-id="${snapshot.id}">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </td>
+                </tr>
+            `));
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
+    }
+}
 
-// Load and display expenses
-function loadExpensesList() {
-    const expenses = manager.getAllExpenses();
-    const list = document.getElementById('expensesList');
+async function createManualSnapshot() {
+    try {
+        const { folderError } = await takeSnapshot('manual');
+        alert(folderError
+            ? `${t('snapshots.created')}\n${t('snapshots.folderCopyFailed', { error: folderError.message })}`
+            : t('snapshots.created'));
+    } catch (error) {
+        alert(t('snapshots.failed', { error: error.message }));
+    }
+}
 
-    if (expenses.length === 0) {
-        list.innerHTML = '<p class="text-muted text-center">لا توجد مصاريف مسجلة</p>';
+// Save the retention count and rotate out what it no longer keeps
+async function saveSnapshotRetention() {
+    const retention = Number(document.getElementById('snapshotRetention').value);
+    if (!Number.isInteger(retention) || retention < 1 || retention > MAX_SNAPSHOT_RETENTION) {
+        alert(t('snapshots.invalidRetention', { max: MAX_SNAPSHOT_RETENTION }));
         return;
     }
 
-    const groupedExpenses = {};
-    expenses.forEach(expense => {
-        const property = manager.getPropertyById(expense.propertyId);
-        const key = `${expense.month}-${expense.propertyId}`;
-        if (!groupedExpenses[key]) {
-            groupedExpenses[key] = {
-                month: expense.month,
-                propertyName: property ? property.name : 'عقار محذوف',
-                expenses: []
-            };
+    try {
+        manager.settings.snapshotRetention = retention;
+        manager.saveData();
+        const removed = await manager.pruneSnapshots();
+        await syncSnapshotFolder(null, removed);
+        await loadSnapshots();
+        alert(t('snapshots.retentionSaved'));
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
+    }
+}
+
+// Replace all data with a restore point, after saving the current data as one
+async function restoreSnapshotConfirm(id) {
+    try {
+        const snapshot = (await manager.getSnapshots()).find(s => s.id === id);
+        if (!snapshot) return;
+        if (!confirm(t('snapshots.restoreConfirm', { date: formatDateTime(snapshot.createdAt) }))) return;
+
+        const { errors, staging } = manager.prepareImport(snapshot.data);
+        const problems = staging ? manager.findMissingReferences(staging, 'replace') : errors;
+        if (problems.length > 0) {
+            alert(`${t('snapshots.cannotRestore')}\n${problems.slice(0, 5).join('\n')}`);
+            return;
         }
-        groupedExpenses[key].expenses.push(expense);
-    });
+        if (!await snapshotBefore('beforeRestore')) return;
 
-    list.innerHTML = Object.values(groupedExpenses).map(group => {
-        const expense = group.expenses[0];
-        const total = expense.electricity + expense.water + expense.other;
-        
-        return `
-            <div class="card mb-2">
-                <div class="card-body">
-                    <div class="d-flex justify-content-between align-items-center">
-                        <div>
-                            <strong>${group.propertyName}</strong><br>
-                            <small class="text-muted">${group.month}</small>
-                        </div>
-                        <div class="text-end">
-                            <div><strong>${total.toFixed(2)} ${manager.settings.currency}</strong></div>
-                            <small class="text-muted">
-                                كهرباء: ${expense.electricity.toFixed(2)}<br>
-                                ماء: ${expense.water.toFixed(2)}<br>
-                                أخرى: ${expense.other.toFixed(2)}
-                            </small>
-                        </div>
-                        <button class="btn btn-sm btn-danger" onclick="deleteExpenseConfirm(${expense.id})">
-                            <i class="fas fa-trash"></i>
-                        </button>
-                    </div>
-                </div>
-            </div>
-        `;
-    }).join('');
+        manager.applyImport(staging, 'replace');
+        refreshAllViews();
+        alert(t('snapshots.restored'));
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
+    }
 }
 
-// Delete expense confirmation
-function deleteExpenseConfirm(id) {
-    if (confirm('هل أنت متأكد من حذف هذه المصاريف؟')) {
-        manager.deleteExpense(id);
-        loadExpensesList();
-        updateDashboard();
-        alert('تم حذف المصاريف بنجاح');
+async function downloadSnapshot(id) {
+    try {
+        const snapshot = (await manager.getSnapshots()).find(s => s.id === id);
+        if (!snapshot) return;
+        const dataStr = JSON.stringify(snapshot.data, null, 2);
+        downloadBlob(new Blob([dataStr], { type: 'application/json' }), snapshotFileName(snapshot));
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
     }
 }
 
-// Load monthly report
-function loadMonthlyReport() {
-    const propertyId = parseInt(document.getElementById('reportProperty').value);
-    const month = document.getElementById('reportMonth').value;
-    
-    const reportContent = document.getElementById('reportContent');
+async function deleteSnapshotConfirm(id) {
+    if (!confirm(t('snapshots.deleteConfirm'))) return;
 
-    if (!propertyId || !month) {
-        reportContent.innerHTML = '<p class="text-center text-muted">يرجى اختيار العقار والشهر لعرض التقرير.</p>';
-        return;
+    try {
+        const snapshot = (await manager.getSnapshots()).find(s => s.id === id);
+        await manager.deleteSnapshot(id);
+        if (snapshot) await syncSnapshotFolder(null, [snapshot]);
+        await loadSnapshots();
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
     }
-    
-    const property = manager.getPropertyById(propertyId);
+}
 
-    if (!property) {
-        reportContent.innerHTML = '<p class="text-center text-muted">لم يتم العثور على العقار.</p>';
+// File written to the backup folder for a restore point
+function snapshotFileName(snapshot) {
+    return `snapshot_${snapshot.createdAt.replace(/[:.]/g, '-')}_${snapshot.reason}.json`;
+}
+
+// Copy a new restore point to the backup folder, encrypted if a passphrase was given for it, and
+// remove the files of the deleted ones. The folder is only written while the browser still holds
+// the write permission. A failed copy is kept for the folder status and returned, null otherwise
+async function syncSnapshotFolder(added, removed) {
+    const folder = await manager.getSnapshotFolder();
+    if (!folder) return null;
+
+    try {
+        if (await folder.queryPermission({ mode: 'readwrite' }) !== 'granted') return null;
+
+        if (added) {
+            const encryption = await manager.getSnapshotFolderEncryption();
+            const content = encryption ? await encryptWithBackupKey(added.data, encryption) : added.data;
+            const file = await folder.getFileHandle(snapshotFileName(added), { create: true });
+            const writable = await file.createWritable();
+            await writable.write(JSON.stringify(content, null, 2));
+            await writable.close();
+            await manager.setSnapshotFolderError(undefined);
+        }
+        for (const snapshot of removed) {
+            // Missing files were already removed by hand
+            await folder.removeEntry(snapshotFileName(snapshot)).catch(() => {});
+        }
+        return null;
+    } catch (error) {
+        console.error(error);
+        await manager.setSnapshotFolderError({ message: error.message, date: new Date().toISOString() })
+            .catch(console.error);
+        return error;
+    }
+}
+
+// Show which folder receives the restore points, if the browser supports picking one
+async function loadSnapshotFolderStatus() {
+    const controls = document.getElementById('snapshotFolderControls');
+    if (!window.showDirectoryPicker) {
+        controls.style.display = 'none';
         return;
     }
 
-    const expenses = manager.getExpenses(propertyId, month);
-    const expense = expenses.length > 0 ? expenses[0] : { electricity: 0, water: 0, other: 0 };
-    
-    const totalExpenses = expense.electricity + expense.water + expense.other;
-    const netIncome = (property.status === 'rented' ? property.monthlyRent : 0); // Net income is just the rent, as expenses are on the tenant
-    const totalDue = netIncome + totalExpenses;
-
-    const [year, monthNum] = month.split('-');
-    // Use 'en-US' locale for Gregorian month name
-    const monthName = new Date(year, monthNum - 1).toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-
-    let html = `
-        <div class="report-card">
-            <div class="report-header">
-                <div class="report-title">تقرير الإيجار الشهري</div>
-                <div class="report-subtitle">العقار: ${property.name} | الشهر: ${monthName}</div>
-            </div>
+    const folder = await manager.getSnapshotFolder();
+    if (!folder) {
+        render('snapshotFolderStatus', t('snapshots.folderHint'));
+        return;
+    }
 
-            <table class="report-table">
-                <tr>
-                    <th>البند</th>
-                    <th>القيمة</th>
-                </tr>
-                <tr>
-                    <td>اسم العقار</td>
-                    <td>${property.name}</td>
-                </tr>
-                <tr>
-                    <td>المستأجر</td>
-                    <td>${property.tenant}</td>
-                </tr>
-                <tr>
-                    <td>مبلغ الإيجار الشهري</td>
-                    <td>${property.monthlyRent.toFixed(2)} ${manager.settings.currency}</td>
-                </tr>
-                <tr>
-                    <td>تاريخ الدفع</td>
-                    <td>اليوم ${property.paymentDate} من كل شهر</td>
-                </tr>
-                <tr>
-                    <td>فاتورة الكهرباء</td>
-                    <td>${expense.electricity.toFixed(2)} ${manager.settings.currency}</td>
-                </tr>
-                <tr>
-                    <td>فاتورة الماء</td>
-                    <td>${expense.water.toFixed(2)} ${manager.settings.currency}</td>
-                </tr>
-                <tr>
-                    <td>مصاريف إضافية</td>
-                    <td>${expense.other.toFixed(2)} ${manager.settings.currency}</td>
-                </tr>
-                <tr style="background-color: #f8f9fa; font-weight: bold;">
-                    <td>صافي دخل المالك (الإيجار)</td>
-                    <td>${netIncome.toFixed(2)} ${manager.settings.currency}</td>
-                </tr>
-                <tr style="background-color: #e8f4f8; font-weight: bold;">
-                    <td>المبلغ الإجمالي المستحق (الإيجار + المصاريف)</td>
-                    <td>${totalDue.toFixed(2)} ${manager.settings.currency}</td>
-                </tr>
-            </table>
+    const granted = await folder.queryPermission({ mode: 'readwrite' }) === 'granted';
+    const encrypted = Boolean(await manager.getSnapshotFolderEncryption());
+    const failure = await manager.getSnapshotFolderError();
+    render('snapshotFolderStatus', html`
+        ${granted ? t('snapshots.folderActive', { folder: folder.name }) : t('snapshots.folderPermission', { folder: folder.name })}
+        ${encrypted ? t('snapshots.folderEncrypted') : html`<strong>${t('snapshots.folderUnencrypted')}</strong>`}
+        ${failure && html`
+            <span class="d-block text-danger">${t('snapshots.folderLastFailure', { date: formatDateTime(failure.date), error: failure.message })}</span>
+        `}
+        ${!granted && html`
+            <button class="btn btn-link btn-sm p-0" data-action="allowSnapshotFolder">${t('snapshots.allowFolder')}</button>
+        `}
+        <button class="btn btn-link btn-sm p-0 text-danger" data-action="forgetSnapshotFolder">${t('snapshots.forgetFolder')}</button>
+    `);
+}
 
-            <div class="report-summary">
-                <div class="report-summary-item">
-                    <span class="report-summary-label">✅ حالة الدفع:</span>
-                    <span class="report-summary-value">تم الدفع كاملًا في تاريخه</span>
-                </div>
-                <div class="report-summary-item">
-                    <span class="report-summary-label">📅 تاريخ التقرير:</span>
-                    <span class="report-summary-value">${new Date().toLocaleDateString('en-US')}</span>
-                </div>
-                <div class="report-summary-item">
-                    <span class="report-summary-label">🏠 النظام:</span>
-                    <span class="report-summary-value">${manager.settings.businessName}</span>
-                </div>
-            </div>
+// The copies leave the app's storage like a backup does, so they are encrypted with the backup
+// passphrase when one is entered, and otherwise only written after the user accepts plain copies
+async function chooseSnapshotFolder() {
+    const passphrase = readBackupPassphrase();
+    if (passphrase === null) return;
 
-            <div class="mt-3">
-                <button class="btn btn-success w-100" onclick="exportReportToPDF('${property.id}', '${month}', '${property.name}')">
-                    <i class="fas fa-file-pdf"></i> تصدير تقرير PDF
-                </button>
-            </div>
-        </div>
-    `;
+    let folder;
+    try {
+        folder = await window.showDirectoryPicker({ id: 'restore-points', mode: 'readwrite' });
+    } catch (error) {
+        // The picker was closed without choosing a folder
+        return;
+    }
+    if (!passphrase && !confirm(t('snapshots.folderUnencryptedConfirm'))) return;
 
-    reportContent.innerHTML = html;
+    try {
+        await manager.setSnapshotFolder(folder, passphrase ? await createBackupKey(passphrase) : undefined);
+        clearBackupPassphrase();
+        const [latest] = await manager.getSnapshots();
+        const folderError = latest ? await syncSnapshotFolder(latest, []) : null;
+        await loadSnapshotFolderStatus();
+        if (folderError) alert(t('snapshots.folderCopyFailed', { error: folderError.message }));
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
+    }
 }
 
-// Export report to PDF
-function exportReportToPDF(propertyId, month, propertyName) {
-    const property = manager.getProperties().find(p => p.id == propertyId) || 
-                     manager.getProperties().find(p => p.name === propertyName);
-    
-    if (!property) {
-        alert('لم يتم العثور على العقار');
-        return;
+// Browsers ask again for the folder permission in new sessions, which needs a click
+async function allowSnapshotFolder() {
+    try {
+        const folder = await manager.getSnapshotFolder();
+        if (!folder || await folder.requestPermission({ mode: 'readwrite' }) !== 'granted') return;
+
+        const [latest] = await manager.getSnapshots();
+        const folderError = latest ? await syncSnapshotFolder(latest, []) : null;
+        await loadSnapshotFolderStatus();
+        if (folderError) alert(t('snapshots.folderCopyFailed', { error: folderError.message }));
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
     }
+}
 
-    const expenses = manager.getExpenses(property.id, month);
-    const expense = expenses.length > 0 ? expenses[0] : { electricity: 0, water: 0, other: 0 };
-    
-    const totalExpenses = expense.electricity + expense.water + expense.other;
-    const netIncome = (property.status === 'rented' ? property.monthlyRent : 0); // Net income is just the rent, as expenses are on the tenant
-    const totalDue = netIncome + totalExpenses;
+async function forgetSnapshotFolder() {
+    try {
+        await manager.setSnapshotFolder(undefined);
+        await loadSnapshotFolderStatus();
+    } catch (error) {
+        alert(t('snapshots.error', { error: error.message }));
+    }
+}
 
-    const [year, monthNum] = month.split('-');
-    const monthName = new Date(year, monthNum - 1).toLocaleDateString('ar-SA', { month: 'long', year: 'numeric' });
+// ===================================
+// Change Log, Undo and Recycle Bin
+// ===================================
 
-    const htmlContent = `
-        <html dir="rtl" lang="ar">
-        <head>
-            <meta charset="UTF-8">
-            <style>
-                body {
-                    font-family: 'Cairo', 'Tajawal', sans-serif;
-                    padding: 20px;
-                    direction: rtl;
-                    text-align: right;
-                }
-                .header {
-                    text-align: center;
-                    margin-bottom: 30px;
-                    border-bottom: 3px solid #0d6efd;
-                    padding-bottom: 20px;
-                }
-                .header h1 {
-                    color: #0d6efd;
-                    margin: 0;
-                    font-size: 24px;
-                }
-                .header p {
-                    color: #666;
-                    margin: 5px 0;
-                }
-                .content {
-                    margin-bottom: 30px;
-                }
-                table {
-                    width: 100%;
-                    border-collapse: collapse;
-                    margin-bottom: 20px;
-                }
-                th {
-                    background-color: #0d6efd;
-                    color: white;
-                    padding: 12px;
-                    text-align: right;
-                    border: 1px solid #ddd;
-                }
-                td {
-                    padding: 12px;
-                    border: 1px solid #ddd;
-                    text-align: right;
-                }
-                tr:nth-child(even) {
-                    background-color: #f9f9f9;
-                }
-                .summary {
-                    background-color: #f0f0f0;
-                    padding: 15px;
-                    border-radius: 5px;
-                    margin-bottom: 20px;
-                }
-                .summary-item {
-                    display: flex;
-                    justify-content: space-between;
-                    margin-bottom: 10px;
-                    padding: 5px 0;
-                }
-                .summary-item:last-child {
-                    margin-bottom: 0;
-                }
-                .summary-label {
-                    font-weight: bold;
-                }
-                .summary-value {
-                    color: #0d6efd;
-                    font-weight: bold;
-                }
-                .footer {
-                    text-align: center;
-                    color: #666;
-                    font-size: 12px;
-                    margin-top: 30px;
-                    padding-top: 20px;
-                    border-top: 1px solid #ddd;
-                }
-            </style>
-        </head>
-        <body>
-            <div class="header">
-                <h1>تقرير الإيجار الشهري</h1>
-                <p><strong>${property.name}</strong></p>
-                <p>${monthName}</p>
-            </div>
+// Short text for a value shown in the change log
+function formatAuditValue(value) {
+    if (value === null || value === undefined || value === '') return '—';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > 60 ? text.slice(0, 60) + '…' : text;
+}
 
-            <div class="content">
-                <table>
-                    <tr>
-                        <th>البند</th>
-                        <th>القيمة</th>
-                    </tr>
-                    <tr>
-                        <td>اسم العقار</td>
-                        <td>${property.name}</td>
-                    </tr>
-                    <tr>
-                        <td>المستأجر</td>
-                        <td>${property.tenant}</td>
-                    </tr>
-                    <tr>
-                        <td>مبلغ الإيجار الشهري</td>
-                        <td>${property.monthlyRent.toFixed(2)} ${manager.settings.currency}</td>
-                    </tr>
-                    <tr>
-                        <td>تاريخ الدفع</td>
-                        <td>اليوم ${property.paymentDate} من كل شهر</td>
-                    </tr>
-                    <tr>
-                        <td>فاتورة الكهرباء</td>
-                        <td>${expense.electricity.toFixed(2)} ${manager.settings.currency}</td>
-                    </tr>
-                    <tr>
-                        <td>فاتورة الماء</td>
-                        <td>${expense.water.toFixed(2)} ${manager.settings.currency}</td>
-                    </tr>
-                    <tr>
-                        <td>مصاريف إضافية</td>
-                        <td>${expense.other.toFixed(2)} ${manager.settings.currency}</td>
-                    </tr>
-                    <tr style="background-color: #e8f4f8; font-weight: bold;">
-                        <td>صافي دخل المالك (الإيجار)</td>
-                        <td>${netIncome.toFixed(2)} ${manager.settings.currency}</td>
-                    </tr>
-                    <tr style="background-color: #d1e7dd; font-weight: bold;">
-                        <td>المبلغ الإجمالي المستحق (الإيجار + المصاريف)</td>
-                        <td>${totalDue.toFixed(2)} ${manager.settings.currency}</td>
-                    </tr>
-                </table>
+// List the changes of one log entry, with before and after values of updated fields
+function renderAuditChanges(changes) {
+    return changes.map(change => {
+        const label = t(`collection.${change.collection}`);
+        // Updates only hold the changed fields, so the rest of the title comes from the record as it is now
+        const record = change.type === 'update'
+            ? { id: change.recordId, propertyId: change.propertyId, ...manager.getRecord(change.collection, change.recordId), ...change.after }
+            : change.after || change.before;
+        const title = change.collection === 'settings' ? '' : `: ${manager.describeRecord(change.collection, record)}`;
 
-                <div class="summary">
-                    <div class="summary-item">
-                        <span class="summary-label">✅ حالة الدفع:</span>
-                        <span class="summary-value">تم الدفع كاملًا في تاريخه</span>
-                    </div>
-                    <div class="summary-item">
-                        <span class="summary-label">📅 تاريخ التقرير:</span>
-                        <span class="summary-value">${new Date().toLocaleDateString('en-US')}</span>
-                    </div>
+        let details = [];
+        if (change.type === 'update') {
+            const fields = Object.keys({ ...change.before, ...change.after })
+                .filter(key => key !== 'id' && JSON.stringify(change.before[key]) !== JSON.stringify(change.after[key]));
+            details = fields.map(key => html`
+                <div class="audit-field">
+                    ${getFieldLabel(key)}:
+                    <span class="text-danger">${formatAuditValue(change.before[key])}</span>
+                    ←
+                    <span class="text-success">${formatAuditValue(change.after[key])}</span>
                 </div>
-            </div>
+            `);
+        }
 
-            <div class="footer">
-                <p>🏠 بواسطة: ${manager.settings.businessName}</p>
-                <p>تم إنشاء هذا التقرير بواسطة نظام إدارة العقارات الذكي</p>
+        return html`
+            <div class="audit-change">
+                <strong>${t(`changeType.${change.type}`)}</strong> ${label}${title}
+                ${details}
             </div>
-        </body>
-        </html>
-    `;
+        `;
+    });
+}
 
-    const element = document.createElement('div');
-    element.innerHTML = htmlContent;
+// Render log entries as table rows
+function renderAuditRows(entries, limit) {
+    if (entries.length === 0) {
+        return html`<tr><td colspan="3" class="text-center text-muted py-4">${t('history.noChanges')}</td></tr>`;
+    }
 
-    const opt = {
-        margin: 10,
-        filename: `تقرير_${property.name}_${month}.pdf`,
-        image: { type: 'jpeg', quality: 0.98 },
-        html2canvas: { scale: 2 },
-        jsPDF: { orientation: 'portrait', unit: 'mm', format: 'a4' }
-    };
+    return entries.slice(0, limit).map(entry => html`
+        <tr>
+            <td class="text-nowrap">${formatDateTime(entry.timestamp)}</td>
+            <td>${entry.user || html`<span class="text-muted">—</span>`}</td>
+            <td>
+                ${entry.undoOf && html`<span class="badge bg-secondary mb-1">${t('common.undo')}</span>`}
+                ${renderAuditChanges(entry.changes.slice(0, 10))}
+                ${entry.changes.length > 10 && html`<small class="text-muted">${t('history.moreChanges', { count: entry.changes.length - 10 })}</small>`}
+            </td>
+        </tr>
+    `);
+}
 
-    // Use outputPdf for better iOS compatibility
-    html2pdf().set(opt).from(element).outputPdf('datauristring').then(function (pdfAsString) {
-        // Open the PDF in a new window/tab for better iOS compatibility
-        window.open(pdfAsString);
-    });
+// Load the change log and recycle bin
+function loadHistoryPage() {
+    const deleted = manager.getDeletedProperties();
+    render('recycleBinTable', deleted.length === 0
+        ? html`<tr><td colspan="5" class="text-center text-muted py-4">${t('history.recycleBinEmpty')}</td></tr>`
+        : deleted.map(item => html`
+            <tr>
+                <td><strong>${item.property.name}</strong></td>
+                <td>${formatDateTime(item.timestamp)}</td>
+                <td>${item.user || html`<span class="text-muted">—</span>`}</td>
+                <td>${item.expenseCount}</td>
+                <td>
+                    <button class="btn btn-sm btn-success action-btn" data-action="restorePropertyConfirm"
+                            data-entry-id="${item.entryId}" data-id="${item.property.id}">
+                        <i class="fas fa-trash-restore"></i> ${t('history.restore')}
+                    </button>
+                </td>
+            </tr>
+        `));
+
+    render('auditLogTable', renderAuditRows(manager.getAuditLog(), 200));
+    document.getElementById('auditLogNote').textContent = t('history.retentionNote', { count: AUDIT_LOG_LIMIT });
 }
 
-// Load and display settings
-function loadSettings() {
-    document.getElementById('currency').value = manager.settings.currency;
-    document.getElementById('businessName').value = manager.settings.businessName;
+// Show every logged change of one property and its records
+function showPropertyHistoryModal(propertyId) {
+    const property = manager.getPropertyById(propertyId);
+    if (!property) return;
+
+    document.getElementById('propertyHistoryTitle').textContent = t('history.propertyTitle', { property: property.name });
+    render('propertyHistoryTable', renderAuditRows(manager.getPropertyHistory(propertyId)));
+    new bootstrap.Modal(document.getElementById('propertyHistoryModal')).show();
 }
 
-// Save settings
-function saveSettings() {
-    manager.settings.currency = document.getElementById('currency').value || 'ر.س';
-    manager.settings.businessName = document.getElementById('businessName').value || 'نظام إدارة العقارات الذكي';
-    manager.saveData();
-    alert('تم حفظ الإعدادات بنجاح');
-    updateDashboard();
+// Undo the most recent change after confirmation
+function undoLastAction() {
+    const entry = manager.getUndoableEntry();
+    if (!entry) {
+        alert(t('history.nothingToUndo'));
+        return;
+    }
+
+    const summary = entry.changes.slice(0, 3).map(change => {
+        return `${t(`changeType.${change.type}`)} ${t(`collection.${change.collection}`)}`;
+    }).join(t('common.listSeparator'));
+    const more = entry.changes.length > 3 ? ` ${t('history.moreChanges', { count: entry.changes.length - 3 })}` : '';
+
+    if (!confirm(t('history.undoConfirm', { time: formatDateTime(entry.timestamp), summary: summary + more }))) return;
+
+    manager.undoLastAction();
+    refreshAllViews();
+    alert(t('history.undone'));
 }
 
-// Export all data
-function exportAllData() {
-    const data = manager.exportData();
-    const dataStr = JSON.stringify(data, null, 2);
-    const dataBlob = new Blob([dataStr], { type: 'application/json' });
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `backup_${new Date().toISOString().slice(0, 10)}.json`;
-    link.click();
-    URL.revokeObjectURL(url);
+// Restore a property from the recycle bin
+function restorePropertyConfirm(entryId, propertyId) {
+    if (!confirm(t('history.restoreConfirm'))) return;
+
+    if (manager.restoreProperty(entryId, propertyId)) {
+        refreshAllViews();
+        alert(t('history.restored'));
+    }
 }
 
-// Import data
-function importData() {
-    document.getElementById('importFile').click();
+// ===================================
+// Offline App (Service Worker)
+// ===================================
+
+// Updated worker waiting for the user to accept the new version
+let waitingServiceWorker = null;
+
+// Set once the user accepts, so the first install (which also takes control) does not reload the page
+let appUpdateAccepted = false;
+
+// Cache the app and its libraries for offline use and watch for newly deployed versions
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+
+    navigator.serviceWorker.register('service-worker.js').then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) showUpdatePrompt(registration.waiting);
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(worker);
+            });
+        });
+
+        // The app often stays open for days, so look for a new version every hour as well;
+        // offline the check fails and simply waits for the next hour
+        setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+    }).catch(error => console.error(error));
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (appUpdateAccepted) location.reload();
+    });
+
+    // Ask the browser not to evict the offline data when storage runs low
+    if (navigator.storage && navigator.storage.persist) navigator.storage.persist();
 }
 
-// Handle import file
-function handleImportFile(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+function showUpdatePrompt(worker) {
+    waitingServiceWorker = worker;
+    document.getElementById('updatePrompt').style.display = 'flex';
+}
 
-    const reader = new FileReader();
-    reader.onload = function(e) {
-        try {
-            const data = JSON.parse(e.target.result);
-            manager.importData(data);
-            alert('تم استيراد البيانات بنجاح');
-            loadProperties();
-            loadExpensesList();
-            updateDashboard();
-        } catch (error) {
-            alert('خطأ في استيراد البيانات: ' + error.message);
-        }
-    };
-    reader.readAsText(file);
+// Let the waiting worker take over; the page reloads when it does
+function applyAppUpdate() {
+    if (!waitingServiceWorker) return;
+    appUpdateAccepted = true;
+    waitingServiceWorker.postMessage({ type: 'SKIP_WAITING' });
+    document.getElementById('updatePrompt').style.display = 'none';
 }
 
-// Clear all data
-function clearAllData() {
-    if (confirm('هل أنت متأكد من حذف جميع البيانات؟ هذا الإجراء لا يمكن التراجع عنه.')) {
-        manager.clearAllData();
-        alert('تم حذف جميع البيانات بنجاح');
-        loadProperties();
-        loadExpensesList();
-        updateDashboard();
-    }
+function dismissUpdatePrompt() {
+    document.getElementById('updatePrompt').style.display = 'none';
 }
 
-// Initialize on page load
+// Initialize on page load, once the data has been read from IndexedDB
 window.addEventListener('load', function() {
-    showPage('dashboard');
-    updateDashboard();
+    applyLanguage();
+    registerServiceWorker();
+    manager.ready.then(() => {
+        restoreViewControls();
+        populateExpenseFilterSelect();
+        resetExpenseLines();
+        loadExpensesList();
+        loadPaymentsList();
+        loadSettings();
+        showPage('dashboard');
+        updateDashboard();
+
+        // Check reminders now and every hour while the app stays open
+        checkRentNotifications();
+        setInterval(checkRentNotifications, 60 * 60 * 1000);
+
+        // Daily restore point, checked the same way for an app left open overnight
+        ensureDailySnapshot();
+        setInterval(ensureDailySnapshot, 60 * 60 * 1000);
+    }).catch(error => {
+        alert(t('app.loadFailed', { error: error.message }));
+    });
 });
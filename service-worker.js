@@ -0,0 +1,84 @@
+// ===================================
+// Service Worker: offline app shell
+// ===================================
+
+// Bump on every deployment; the new worker then caches the new files and the page offers to reload.
+// App files are also fetched network first, so a deployment without a bump still reaches clients
+const CACHE_VERSION = 'v3';
+const CACHE_NAME = `property-manager-${CACHE_VERSION}`;
+
+// Files of the app itself
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'i18n.js',
+    'script.js',
+    'manifest.webmanifest',
+    'icons/icon.svg',
+    'icons/icon-192.png',
+    'icons/icon-512.png'
+];
+
+// Libraries loaded from CDNs by index.html; both Bootstrap builds, since the language picks one
+const VENDOR_FILES = [
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.rtl.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/css/bootstrap.min.css',
+    'https://cdn.jsdelivr.net/npm/bootstrap@5.3.0/dist/js/bootstrap.bundle.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.4.0/css/all.min.css',
+    'https://cdn.jsdelivr.net/npm/chart.js@4.4.0/dist/chart.umd.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/xlsx/0.18.5/xlsx.full.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/jszip/3.10.1/jszip.min.js',
+    'https://cdnjs.cloudflare.com/ajax/libs/html2pdf.js/0.10.1/html2pdf.bundle.min.js'
+];
+
+// Cache everything up front; the worker does not take over until the page agrees to update
+self.addEventListener('install', event => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll([...APP_SHELL, ...VENDOR_FILES])));
+});
+
+// Drop the caches of older versions
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('property-manager-') && key !== CACHE_NAME)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by the update prompt of the page
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// Keep a copy of a response that loaded
+function cacheResponse(key, response) {
+    if (response.ok || response.type === 'opaque') {
+        const copy = response.clone();
+        caches.open(CACHE_NAME).then(cache => cache.put(key, copy));
+    }
+    return response;
+}
+
+// The app's own files are fetched network first, so installed clients get a new version on their next
+// load, with the cached copy as the offline fallback. Libraries have versioned URLs and are served cache
+// first; those not cached at install time, such as the Font Awesome and Google Fonts font files, are
+// cached the first time they load
+self.addEventListener('fetch', event => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+
+    if (new URL(request.url).origin === self.location.origin) {
+        // Every page of the app is index.html
+        const key = request.mode === 'navigate' ? 'index.html' : request;
+        // no-cache still lets the browser revalidate its HTTP cache instead of downloading again
+        event.respondWith(fetch(request, { cache: 'no-cache' })
+            .then(response => cacheResponse(key, response))
+            .catch(() => caches.match(key).then(cached => cached || Response.error())));
+        return;
+    }
+
+    event.respondWith(caches.match(request).then(cached => cached || fetch(request).then(response => cacheResponse(request, response))));
+});